@@ -4,6 +4,8 @@ const environment = require('./config/environment');
 const { createServer } = require('http');
 const { notFound, errorHandler } = require('./middlewares/error.middleware');
 const routes = require('./routes/index');
+const feedRoutes = require('./routes/feeds');
+const sitemapRoutes = require('./routes/sitemap');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
@@ -14,6 +16,10 @@ const { responseMiddleware } = require('./utils/response');
 const swaggerUi = require('swagger-ui-express');
 const specs = require('./config/swagger.config');
 const path = require('path');
+const viewCounterService = require('./services/viewCounter.service');
+const postSchedulerService = require('./services/postScheduler.service');
+const trashPurgerService = require('./services/trashPurger.service');
+const searchService = require('./services/search.service');
 // 获取环境配置
 const config = environment.get();
 // 打印环境配置
@@ -86,6 +92,10 @@ const setupMiddleware = () => {
 const setupRoutes = () => {
     // API 路由
     app.use('/api', routes);
+    // 订阅源（RSS / Atom / JSON Feed）
+    app.use('/', feedRoutes);
+    // 站点地图和 robots.txt
+    app.use('/', sitemapRoutes);
 
     // Swagger API 文档
     app.use(
@@ -170,6 +180,15 @@ const startServer = () => {
         // console.log(`🔄 任务队列: ${aiTaskWorker.getStatus().isRunning ? '✅ 运行中' : '❌ 未启动'}`);
         console.log('\n========================================\n');
 
+        // 启动文章阅读量定时写回任务
+        viewCounterService.start();
+        // 启动文章定时发布任务
+        postSchedulerService.start();
+        // 启动回收站自动清理任务
+        trashPurgerService.start();
+        // 初始化搜索索引（进程内索引在此全量构建）
+        searchService.init().catch(error => logger.error('搜索索引初始化失败:', error));
+
         // 记录到日志文件
         logger.info('🚀 服务器启动成功', {
             port: PORT,
@@ -205,23 +224,25 @@ async function gracefulShutdown(signal) {
             });
         });
 
-        // 2. 第二步：关闭 Socket.IO 实时通信服务（通知客户端后再断连）
-        logger.info('2️⃣ 关闭 Socket.IO 服务...');
-        await socketManager.shutdown(); // 调用之前 SocketManager 的 shutdown 方法
-        // （内部会先通知所有客户端“服务器要关了”，等1秒再断连，避免前端突然报错）
+        // 2. 第二步：停止后台定时任务
+        // 停止定时发布任务（等待正在进行的发布完成）
+        await postSchedulerService.stop();
+        // 停止回收站自动清理任务（等待正在进行的清理完成）
+        await trashPurgerService.stop();
 
-        // 3. 第三步：关闭 AI 任务处理器（停止正在处理的 AI 任务，避免任务中断导致数据混乱）
-        logger.info('3️⃣ 关闭 AI 任务处理器...');
-        await aiTaskWorker.stop();
+        // 停止阅读量定时任务，并把 Redis 中尚未写回的阅读增量写入数据库（需在关闭数据库和 Redis 之前）
+        logger.info('2️⃣ 写回文章阅读量...');
+        await viewCounterService.stop();
+        logger.info('✅ 文章阅读量已写回');
 
-        // 4. 第四步：关闭数据库连接（确保所有数据库操作完成，避免数据写入一半中断）
-        logger.info('4️⃣ 关闭数据库连接...');
+        // 3. 第三步：关闭数据库连接（确保所有数据库操作完成，避免数据写入一半中断）
+        logger.info('3️⃣ 关闭数据库连接...');
         const { sequelize } = require('./config/db.config'); // 导入数据库实例（Sequelize 是ORM工具）
         await sequelize.close(); // 关闭数据库连接
         logger.info('✅ 数据库连接已关闭');
 
-        // 5. 第五步：关闭 Redis 连接（Redis 可能用于缓存、任务队列，必须安全关闭）
-        logger.info('5️⃣ 关闭 Redis 连接...');
+        // 4. 第四步：关闭 Redis 连接（Redis 可能用于缓存、任务队列，必须安全关闭）
+        logger.info('4️⃣ 关闭 Redis 连接...');
         const redisManager = require('./utils/redis'); // 导入 Redis 管理工具
         await redisManager.disconnect(); // 关闭 Redis 连接
         logger.info('✅ Redis 连接已关闭');
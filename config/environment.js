@@ -60,7 +60,33 @@ class EnvironmentManager {
                 },
             },
             // 可扩展其他配置（如 JWT 密钥、API 前缀等）
+            // 认证令牌配置
+            auth: {
+                tokenMode: process.env.AUTH_TOKEN_MODE === 'legacy' ? 'legacy' : 'rotating', // rotating: 短期访问令牌 + 轮换刷新令牌；legacy: 旧版单一令牌
+                accessTokenExpiration: process.env.ACCESS_TOKEN_EXPIRATION || '15m', // 访问令牌有效期（如 15m、2h 或秒数）
+                refreshTokenTtl: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 86400, // 刷新令牌有效期（秒），每次轮换重新计时
+                legacyTokenExpiration: process.env.JWT_EXPIRATION || '1d', // 旧版单一令牌有效期（如 1d 或秒数）
+                passwordResetTtl: parseInt(process.env.PASSWORD_RESET_TTL) || 1800, // 密码重置链接有效期（秒）
+                passwordResetUrl: process.env.PASSWORD_RESET_URL || '', // 前台重置密码页面地址，默认为 {SITE_URL}/reset-password
+                unverifiedPolicy: process.env.UNVERIFIED_USER_POLICY === 'block' ? 'block' : 'readonly', // 邮箱未验证的用户 readonly: 可登录但只能执行只读操作；block: 不能登录
+                emailVerificationTtl: parseInt(process.env.EMAIL_VERIFICATION_TTL) || 86400, // 邮箱验证链接有效期（秒）
+                emailVerificationUrl: process.env.EMAIL_VERIFICATION_URL || '', // 前台邮箱验证页面地址，默认为 {SITE_URL}/verify-email
+                twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || '', // 身份验证器中显示的签发方，默认为站点名称
+                requireAdminTwoFactor: process.env.REQUIRE_ADMIN_2FA === 'true', // 管理员是否必须启用两步验证（默认值，管理员可在接口中修改）
+            },
 
+            // 邮件配置
+            mail: {
+                driver: process.env.MAIL_DRIVER || 'log', // log: 只写入日志，链接中的令牌会被隐藏（本地开发，生产环境不可用）；smtp: 通过 SMTP 发送
+                from: process.env.MAIL_FROM || 'no-reply@localhost', // 发件人
+                smtp: {
+                    host: process.env.SMTP_HOST || 'localhost',
+                    port: parseInt(process.env.SMTP_PORT) || 587,
+                    secure: process.env.SMTP_SECURE === 'true', // 是否直接使用 TLS 连接（465 端口）
+                    user: process.env.SMTP_USER || '', // 为空时不认证（如本地 SMTP 模拟服务）
+                    password: process.env.SMTP_PASSWORD || '',
+                },
+            },
             // 日志配置
             logging: {
                 level: process.env.LOG_LEVEL || 'info',
@@ -77,6 +103,72 @@ class EnvironmentManager {
                     : `redis://${process.env.REDIS_HOST}:${process.env.REDIS_PORT}/${process.env.REDIS_DB}`,
 
             },
+            // 文章阅读量统计配置
+            viewCounter: {
+                dedupWindow: parseInt(process.env.VIEW_DEDUP_WINDOW) || 1800, // 同一访客去重窗口（秒）
+                flushInterval: parseInt(process.env.VIEW_FLUSH_INTERVAL) || 60000, // 写回数据库间隔（毫秒）
+                batchSize: parseInt(process.env.VIEW_FLUSH_BATCH_SIZE) || 100, // 每批写回的文章数
+            },
+            // 定时发布配置
+            postScheduler: {
+                interval: parseInt(process.env.POST_SCHEDULE_INTERVAL) || 30000, // 检查到期文章的间隔（毫秒）
+                batchSize: parseInt(process.env.POST_SCHEDULE_BATCH_SIZE) || 50, // 每次最多发布的文章数
+            },
+            // 文章历史版本配置
+            postRevision: {
+                maxPerPost: parseInt(process.env.POST_REVISION_MAX) || 50, // 每篇文章最多保留的版本数
+            },
+            // 回收站配置
+            trash: {
+                retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) >= 0 ? parseInt(process.env.TRASH_RETENTION_DAYS) : 30, // 保留天数，到期自动彻底删除（0 表示不自动清理）
+                purgeInterval: parseInt(process.env.TRASH_PURGE_INTERVAL) || 3600000, // 检查到期内容的间隔（毫秒）
+                batchSize: parseInt(process.env.TRASH_PURGE_BATCH_SIZE) || 100, // 每类内容每次最多清理的数量
+            },
+            // Markdown 渲染配置
+            markdown: {
+                cjkCharsPerMinute: parseInt(process.env.READING_CJK_PER_MINUTE) || 400, // 中日韩文字阅读速度（字/分钟）
+                wordsPerMinute: parseInt(process.env.READING_WORDS_PER_MINUTE) || 200, // 英文等阅读速度（词/分钟）
+                summaryLength: parseInt(process.env.AUTO_SUMMARY_LENGTH) || 150, // 自动摘要长度（字符）
+            },
+            // 站点信息（用于生成订阅源、站点地图中的绝对链接）
+            site: {
+                title: process.env.SITE_TITLE || '博客',
+                description: process.env.SITE_DESCRIPTION || '',
+                url: (process.env.SITE_URL || 'http://localhost:3000').replace(/\/+$/, ''), // 前台站点地址
+                apiUrl: (process.env.API_URL || `http://localhost:${parseInt(process.env.PORT) || 8200}`).replace(/\/+$/, ''), // 本服务对外地址
+                language: process.env.SITE_LANGUAGE || 'zh-CN',
+                timezone: /^[+-]\d{2}:\d{2}$/.test(process.env.SITE_TIMEZONE || '') ? process.env.SITE_TIMEZONE : '+08:00', // 归档、日历按此时区划分日期
+            },
+            // 订阅源配置
+            feed: {
+                limit: parseInt(process.env.FEED_LIMIT) || 20, // 每个订阅源包含的文章数
+                cacheTtl: parseInt(process.env.FEED_CACHE_TTL) || 3600, // 订阅源缓存时间（秒）
+            },
+            // 归档和发布日历配置
+            archive: {
+                cacheTtl: parseInt(process.env.ARCHIVE_CACHE_TTL) || 3600, // 缓存时间（秒）
+            },
+            // 站点地图配置
+            sitemap: {
+                pageSize: Math.min(parseInt(process.env.SITEMAP_PAGE_SIZE) || 50000, 50000), // 单个站点地图最多包含的链接数（协议上限 50000）
+                cacheTtl: parseInt(process.env.SITEMAP_CACHE_TTL) || 3600, // 站点地图缓存时间（秒）
+            },
+            // robots.txt 配置
+            robots: {
+                allowIndexing: process.env.ROBOTS_ALLOW_INDEXING !== 'false', // 为 false 时禁止所有爬虫抓取（如测试环境）
+                disallow: process.env.ROBOTS_DISALLOW
+                    ? process.env.ROBOTS_DISALLOW.split(',').map(item => item.trim()).filter(Boolean)
+                    : ['/api/', '/api-docs/'],
+            },
+            // 搜索配置
+            search: {
+                driver: process.env.SEARCH_DRIVER || 'mysql', // mysql: FULLTEXT 索引；memory: 进程内倒排索引（适合小型部署和测试）
+            },
+            // 相关文章推荐配置
+            relatedPosts: {
+                limit: parseInt(process.env.RELATED_POSTS_LIMIT) || 5, // 默认返回数量
+                cacheTtl: parseInt(process.env.RELATED_POSTS_CACHE_TTL) || 3600, // 推荐结果缓存时间（秒）
+            },
             // CORS配置
             cors: {
                 allowedOrigins: process.env.ALLOWED_ORIGINS
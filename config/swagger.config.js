@@ -50,6 +50,8 @@ const options = {
                         id: { type: 'integer', description: '用户ID' },
                         username: { type: 'string', description: '用户名' },
                         email: { type: 'string', format: 'email', description: '邮箱' },
+                        emailVerified: { type: 'boolean', description: '邮箱是否已验证' },
+                        twoFactorEnabled: { type: 'boolean', description: '是否已启用两步验证' },
                         fullName: { type: 'string', description: '全名' },
                         avatar: { type: 'string', description: '头像URL' },
                         role: {
@@ -80,13 +82,48 @@ const options = {
                         id: { type: 'integer', description: '文章ID' },
                         title: { type: 'string', description: '文章标题' },
                         slug: { type: 'string', description: '文章别名' },
-                        content: { type: 'string', description: '文章内容' },
+                        content: { type: 'string', description: '文章内容（Markdown）' },
+                        html: { type: 'string', description: '渲染后的 HTML（仅详情返回）' },
+                        toc: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    level: { type: 'integer', description: '标题级别' },
+                                    text: { type: 'string', description: '标题文本' },
+                                    id: { type: 'string', description: '锚点ID' },
+                                },
+                            },
+                            description: '文章目录（仅详情返回）',
+                        },
+                        wordCount: { type: 'integer', description: '字数（中日韩文字按字、其他按词计数）' },
+                        readingTime: { type: 'integer', description: '预计阅读时间（分钟）' },
                         excerpt: { type: 'string', description: '文章摘要' },
                         status: {
                             type: 'string',
-                            enum: ['draft', 'published', 'archived'],
+                            enum: ['draft', 'published', 'archived', 'scheduled'],
                             description: '文章状态',
                         },
+                        scheduledAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            description: '定时发布时间',
+                        },
+                        seriesId: { type: 'integer', description: '所属系列ID' },
+                        seriesOrder: { type: 'integer', description: '在系列中的顺序' },
+                        series: {
+                            type: 'object',
+                            description: '所属系列及上一篇 / 下一篇（仅文章详情返回）',
+                            properties: {
+                                id: { type: 'integer' },
+                                title: { type: 'string' },
+                                slug: { type: 'string' },
+                                total: { type: 'integer', description: '系列中已公开的文章数' },
+                                position: { type: 'integer', description: '当前文章的位置（从 1 开始）' },
+                                prev: { type: 'object', nullable: true, description: '上一篇 { id, title, slug }' },
+                                next: { type: 'object', nullable: true, description: '下一篇 { id, title, slug }' },
+                            },
+                        },
                         author: { $ref: '#/components/schemas/User' },
                         tags: {
                             type: 'array',
@@ -111,11 +148,18 @@ const options = {
                         content: { type: 'string', description: '评论内容' },
                         status: {
                             type: 'string',
-                            enum: ['pending', 'approved', 'rejected'],
+                            enum: ['pending', 'approved', 'spam'],
                             description: '评论状态',
                         },
-                        author: { $ref: '#/components/schemas/User' },
+                        user: { $ref: '#/components/schemas/User' },
+                        nickname: { type: 'string', description: '游客昵称' },
                         postId: { type: 'integer', description: '文章ID' },
+                        parentId: { type: 'integer', description: '父评论ID' },
+                        replies: {
+                            type: 'array',
+                            items: { $ref: '#/components/schemas/Comment' },
+                            description: '回复列表',
+                        },
                         createdAt: {
                             type: 'string',
                             format: 'date-time',
@@ -133,6 +177,7 @@ const options = {
                     properties: {
                         id: { type: 'integer', description: '标签ID' },
                         name: { type: 'string', description: '标签名称' },
+                        slug: { type: 'string', description: '标签别名' },
                         description: { type: 'string', description: '标签描述' },
                         createdAt: {
                             type: 'string',
@@ -146,6 +191,31 @@ const options = {
                         },
                     },
                 },
+                Session: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', description: '会话ID' },
+                        device: { type: 'string', description: '设备名称' },
+                        ip: { type: 'string', description: '最近一次登录或刷新令牌时的IP' },
+                        userAgent: { type: 'string', description: 'User-Agent' },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            description: '登录时间',
+                        },
+                        lastSeenAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            description: '最近活跃时间',
+                        },
+                        expiresAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            description: '过期时间（刷新令牌时延长）',
+                        },
+                        current: { type: 'boolean', description: '是否为当前会话' },
+                    },
+                },
                 ErrorResponse: {
                     type: 'object',
                     properties: {
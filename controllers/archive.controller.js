@@ -0,0 +1,45 @@
+const archiveService = require('../services/archive.service');
+const { asyncHandler } = require('../utils/response');
+
+/**
+ * 解析年份参数
+ * @param {string} value - 年份字符串
+ * @returns {number|null|undefined} - 未提供时返回 undefined，格式错误时返回 null
+ */
+const parseYear = value => {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const year = Number(value);
+    return Number.isInteger(year) && year >= 1970 && year <= 9999 ? year : null;
+};
+
+/**
+ * 获取文章归档（按年、月分组）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getArchive = asyncHandler(async (req, res) => {
+    const year = parseYear(req.query.year);
+    if (year === null) {
+        return res.apiValidationError([{ field: 'year', message: '年份格式不正确' }], '年份格式不正确');
+    }
+
+    const archive = await archiveService.getArchive(year);
+    return res.apiSuccess(archive, '获取文章归档成功');
+});
+
+/**
+ * 获取发布日历（指定年份每天的发布数量）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getCalendar = asyncHandler(async (req, res) => {
+    const year = parseYear(req.query.year);
+    if (year === null) {
+        return res.apiValidationError([{ field: 'year', message: '年份格式不正确' }], '年份格式不正确');
+    }
+
+    const calendar = await archiveService.getCalendar(year || archiveService.getCurrentYear());
+    return res.apiSuccess(calendar, '获取发布日历成功');
+});
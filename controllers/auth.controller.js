@@ -1,7 +1,21 @@
 const authService = require('../services/auth.service');
 const userService = require('../services/user.service');
+const passwordResetService = require('../services/passwordReset.service');
+const emailVerificationService = require('../services/emailVerification.service');
+const twoFactorService = require('../services/twoFactor.service');
 const { asyncHandler } = require('../utils/response');
 
+/**
+ * 获取客户端信息（记录在登录会话中）
+ * @param {Object} req - 请求对象
+ * @returns {Object} - { ip, userAgent, deviceName }
+ */
+const getClientInfo = req => ({
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    deviceName: req.body && req.body.deviceName,
+});
+
 /**
  * 用户登录
  * @param {Object} req - 请求对象
@@ -22,7 +36,11 @@ exports.login = asyncHandler(async (req, res) => {
   }
 
     // 调用登录服务
-    const result = await authService.login(username, password);
+    const result = await authService.login(username, password, getClientInfo(req));
+
+    if (result.twoFactorRequired) {
+        return res.apiSuccess(result, '请输入两步验证码完成登录');
+    }
 
     return res.apiSuccess(result, '登录成功');
 });
@@ -49,7 +67,7 @@ exports.register = asyncHandler(async (req, res) => {
     }
 
     // 调用注册服务
-    const result = await authService.register(userData);
+    const result = await authService.register(userData, getClientInfo(req));
 
     return res.apiCreated(result, '注册成功');
 });
@@ -61,10 +79,8 @@ exports.register = asyncHandler(async (req, res) => {
  * @param {Function} next - 下一个中间件
  */
 exports.logout = asyncHandler(async (req, res) => {
-    const userId = req.user.id;
-
     // 调用登出服务
-    await authService.logout(userId);
+    await authService.logout(req.user);
 
     return res.apiSuccess(null, '登出成功');
 });
@@ -76,14 +92,15 @@ exports.logout = asyncHandler(async (req, res) => {
  * @param {Function} next - 下一个中间件
  */
 exports.refreshToken = asyncHandler(async (req, res) => {
-    const { token } = req.body;
+    // legacy 模式下刷新令牌即当前令牌，兼容旧版请求字段 token
+    const token = req.body.refreshToken || req.body.token;
 
     if (!token) {
-        return res.apiValidationError([{ field: 'token', message: '令牌不能为空' }], '令牌不能为空');
+        return res.apiValidationError([{ field: 'refreshToken', message: '刷新令牌不能为空' }], '刷新令牌不能为空');
     }
 
     // 调用刷新令牌服务
-    const result = await authService.refreshToken(token);
+    const result = await authService.refreshToken(token, getClientInfo(req));
 
     return res.apiSuccess(result, '刷新令牌成功');
 });
@@ -106,3 +123,263 @@ exports.verifyToken = asyncHandler(async (req, res) => {
 
     return res.apiSuccess({ valid: true, user: decoded }, '令牌验证成功');
 });
+
+/**
+ * 获取当前用户的登录会话列表
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getSessions = asyncHandler(async (req, res) => {
+    const sessions = await authService.getSessions(req.user);
+
+    return res.apiList(sessions, '获取登录会话成功');
+});
+
+/**
+ * 撤销指定登录会话
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.revokeSession = asyncHandler(async (req, res) => {
+    const revoked = await authService.revokeSession(req.user, req.params.id);
+
+    if (!revoked) {
+        return res.apiNotFound('登录会话不存在或已失效');
+    }
+
+    return res.apiSuccess(null, req.params.id === req.user.sid ? '已退出当前设备' : '已退出该设备');
+});
+
+/**
+ * 撤销除当前会话外的其他登录会话
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.revokeOtherSessions = asyncHandler(async (req, res) => {
+    const count = await authService.revokeOtherSessions(req.user);
+
+    return res.apiSuccess({ count }, `已退出其他 ${count} 个设备`);
+});
+
+/**
+ * 申请重置密码（无论邮箱是否存在，响应都相同）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.apiValidationError([{ field: 'email', message: '邮箱不能为空' }], '邮箱不能为空');
+    }
+
+    await passwordResetService.requestReset(email);
+
+    return res.apiSuccess(null, '如果该邮箱已注册，重置密码邮件将很快送达，请查收');
+});
+
+/**
+ * 通过重置令牌设置新密码
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.resetPassword = asyncHandler(async (req, res) => {
+    const { token, newPassword, confirmPassword } = req.body;
+
+    if (!token || !newPassword || !confirmPassword) {
+        return res.apiValidationError(
+            [
+                { field: 'token', message: '重置令牌不能为空' },
+                { field: 'newPassword', message: '新密码不能为空' },
+                { field: 'confirmPassword', message: '确认密码不能为空' },
+            ],
+            '请填写所有字段'
+        );
+    }
+
+    if (newPassword !== confirmPassword) {
+        return res.apiValidationError(
+            [{ field: 'confirmPassword', message: '新密码与确认密码不一致' }],
+            '新密码与确认密码不一致'
+        );
+    }
+
+    if (newPassword.length < 8) {
+        return res.apiValidationError([{ field: 'newPassword', message: '新密码至少8位' }], '新密码至少8位');
+    }
+
+    await passwordResetService.resetPassword(token, newPassword);
+
+    return res.apiSuccess(null, '密码已重置，请使用新密码重新登录');
+});
+
+/**
+ * 验证邮箱
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.apiValidationError([{ field: 'token', message: '验证令牌不能为空' }], '验证令牌不能为空');
+    }
+
+    const result = await emailVerificationService.verify(token);
+
+    return res.apiSuccess(result, '邮箱验证成功');
+});
+
+/**
+ * 重新发送验证邮件（已登录时发送给当前用户，未登录时按邮箱发送）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.resendVerification = asyncHandler(async (req, res) => {
+    const userId = req.user && req.user.id;
+    const { email } = req.body;
+
+    if (!userId && !email) {
+        return res.apiValidationError([{ field: 'email', message: '邮箱不能为空' }], '邮箱不能为空');
+    }
+
+    await emailVerificationService.resend({ userId, email });
+
+    return res.apiSuccess(
+        null,
+        userId ? '验证邮件已发送，请查收' : '如果该邮箱已注册且尚未验证，验证邮件将很快送达，请查收'
+    );
+});
+
+/**
+ * 提交两步验证码完成登录
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.verifyTwoFactor = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        return res.apiValidationError(
+            [
+                { field: 'challengeToken', message: '登录挑战令牌不能为空' },
+                { field: 'code', message: '验证码或恢复码不能为空' },
+            ],
+            '登录挑战令牌和验证码不能为空'
+        );
+    }
+
+    const result = await authService.verifyTwoFactor(challengeToken, { code, recoveryCode });
+
+    return res.apiSuccess(result, '登录成功');
+});
+
+/**
+ * 获取当前用户的两步验证状态
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const status = await twoFactorService.getStatus(req.user.id);
+
+    return res.apiSuccess(status, '获取两步验证状态成功');
+});
+
+/**
+ * 开始启用两步验证（生成密钥）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.setupTwoFactor = asyncHandler(async (req, res) => {
+    const result = await twoFactorService.setup(req.user.id);
+
+    return res.apiSuccess(result, '请使用身份验证器扫描二维码，并提交生成的验证码完成启用');
+});
+
+/**
+ * 确认启用两步验证
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.enableTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        return res.apiValidationError([{ field: 'code', message: '验证码不能为空' }], '验证码不能为空');
+    }
+
+    const recoveryCodes = await twoFactorService.enable(req.user.id, code);
+
+    return res.apiSuccess({ recoveryCodes }, '两步验证已启用，请妥善保存恢复码');
+});
+
+/**
+ * 重新生成恢复码
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        return res.apiValidationError([{ field: 'code', message: '验证码不能为空' }], '验证码不能为空');
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, code);
+
+    return res.apiSuccess({ recoveryCodes }, '恢复码已重新生成，原恢复码已失效');
+});
+
+/**
+ * 停用两步验证
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+        return res.apiValidationError(
+            [
+                { field: 'password', message: '密码不能为空' },
+                { field: 'code', message: '验证码不能为空' },
+            ],
+            '密码和验证码不能为空'
+        );
+    }
+
+    await twoFactorService.disable(req.user.id, password, code);
+
+    return res.apiSuccess(null, '两步验证已停用');
+});
+
+/**
+ * 获取两步验证策略（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getTwoFactorPolicy = asyncHandler(async (req, res) => {
+    const policy = await twoFactorService.getPolicy();
+
+    return res.apiSuccess(policy, '获取两步验证策略成功');
+});
+
+/**
+ * 修改两步验证策略（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.updateTwoFactorPolicy = asyncHandler(async (req, res) => {
+    const { requireForAdmins } = req.body;
+
+    if (typeof requireForAdmins !== 'boolean') {
+        return res.apiValidationError(
+            [{ field: 'requireForAdmins', message: 'requireForAdmins 必须为布尔值' }],
+            'requireForAdmins 必须为布尔值'
+        );
+    }
+
+    const policy = await twoFactorService.setPolicy(req.user.id, { requireForAdmins });
+
+    return res.apiSuccess(policy, '两步验证策略已更新');
+});
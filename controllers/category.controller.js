@@ -0,0 +1,81 @@
+const categoryService = require('../services/category.service');
+const { asyncHandler } = require('../utils/response');
+
+/**
+ * 获取分类列表（含已发布文章数量）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getCategories = asyncHandler(async (req, res) => {
+    const categories = await categoryService.getCategories();
+    return res.apiList(categories, '获取分类列表成功');
+});
+
+/**
+ * 获取分类详情（支持ID或别名）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getCategoryById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const category = await categoryService.getCategoryDetail(id);
+    if (!category) {
+        return res.apiNotFound('分类不存在');
+    }
+
+    return res.apiItem(category, '获取分类详情成功');
+});
+
+/**
+ * 创建分类（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.createCategory = asyncHandler(async (req, res) => {
+    const { name } = req.body;
+
+    if (!name || !String(name).trim()) {
+        return res.apiValidationError(
+            [{ field: 'name', message: '分类名不能为空' }],
+            '分类名不能为空'
+        );
+    }
+
+    const category = await categoryService.createCategory(req.body);
+    return res.apiCreated(category, '分类创建成功');
+});
+
+/**
+ * 更新分类（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.updateCategory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const category = await categoryService.updateCategory(id, req.body);
+    if (!category) {
+        return res.apiNotFound('分类不存在');
+    }
+
+    return res.apiUpdated(category, '分类更新成功');
+});
+
+/**
+ * 删除分类（管理员）
+ * 分类下仍有文章时需通过 targetCategoryId 指定迁移目标
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.deleteCategory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const targetCategoryId = req.body?.targetCategoryId || req.query.targetCategoryId;
+
+    const result = await categoryService.deleteCategory(id, targetCategoryId);
+    if (!result) {
+        return res.apiNotFound('分类不存在');
+    }
+
+    return res.apiDeleted('分类已移入回收站', result);
+});
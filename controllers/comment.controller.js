@@ -0,0 +1,115 @@
+const commentService = require('../services/comment.service');
+const { COMMENT_STATUSES } = require('../services/comment.service');
+const { asyncHandler } = require('../utils/response');
+
+// 简单邮箱格式校验
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * 获取文章评论树（已审核，按顶层评论分页）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getPostComments = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+
+    const result = await commentService.getPostCommentTree(id, { page, limit }, req.user);
+    return res.apiPaginated(result.data, result.pagination, '获取评论成功');
+});
+
+/**
+ * 发表评论（登录用户或游客）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.createComment = asyncHandler(async (req, res) => {
+    const { postId, content, nickname, email } = req.body;
+
+    const errors = [];
+    if (!postId) {
+        errors.push({ field: 'postId', message: '文章ID不能为空' });
+    }
+    if (!content || !String(content).trim()) {
+        errors.push({ field: 'content', message: '评论内容不能为空' });
+    }
+    // 游客评论需要昵称和邮箱
+    if (!req.user) {
+        if (!nickname || !String(nickname).trim()) {
+            errors.push({ field: 'nickname', message: '昵称不能为空' });
+        }
+        if (!email || !EMAIL_PATTERN.test(String(email).trim())) {
+            errors.push({ field: 'email', message: '请填写有效的邮箱' });
+        }
+    }
+    if (errors.length > 0) {
+        return res.apiValidationError(errors, '评论信息不完整');
+    }
+
+    const comment = await commentService.createComment(req.body, req.user, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+    });
+
+    const message = comment.status === 'approved' ? '评论发表成功' : '评论已提交，等待审核';
+    return res.apiCreated(comment, message);
+});
+
+/**
+ * 获取评论列表（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getComments = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, status, postId } = req.query;
+
+    if (status && !COMMENT_STATUSES.includes(status)) {
+        return res.apiValidationError(
+            [{ field: 'status', message: `状态只能为 ${COMMENT_STATUSES.join('、')}` }],
+            '评论状态无效'
+        );
+    }
+
+    const result = await commentService.getComments({ page, limit, status, postId });
+    return res.apiPaginated(result.data, result.pagination, '获取评论列表成功');
+});
+
+/**
+ * 审核评论（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.updateCommentStatus = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!COMMENT_STATUSES.includes(status)) {
+        return res.apiValidationError(
+            [{ field: 'status', message: `状态只能为 ${COMMENT_STATUSES.join('、')}` }],
+            '评论状态无效'
+        );
+    }
+
+    const comment = await commentService.updateStatus(id, status);
+    if (!comment) {
+        return res.apiNotFound('评论不存在');
+    }
+
+    return res.apiUpdated(comment, '评论状态更新成功');
+});
+
+/**
+ * 删除评论（评论作者或管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.deleteComment = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const deleted = await commentService.deleteComment(id);
+    if (!deleted) {
+        return res.apiNotFound('评论不存在');
+    }
+
+    return res.apiDeleted('评论删除成功');
+});
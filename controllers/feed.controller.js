@@ -0,0 +1,30 @@
+const feedService = require('../services/feed.service');
+const { asyncHandler } = require('../utils/response');
+
+/**
+ * 生成订阅源处理函数
+ * 返回 ETag 和 Last-Modified，订阅源未变化时响应 304
+ * @param {string} format - 格式（rss、atom、json）
+ * @param {string} [scopeType] - 订阅范围（category、tag、author），路由参数 value 为对应的别名或用户名
+ * @returns {Function} - 路由处理函数
+ */
+exports.getFeed = (format, scopeType) =>
+    asyncHandler(async (req, res) => {
+        const scope = scopeType ? { type: scopeType, value: req.params.value } : {};
+
+        const feed = await feedService.getFeed(format, scope);
+        if (!feed) {
+            return res.apiNotFound('订阅源不存在');
+        }
+
+        res.set({
+            'Content-Type': feed.contentType,
+            ETag: feed.etag,
+            'Last-Modified': feed.lastModified,
+            'Cache-Control': 'public, max-age=300',
+        });
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        return res.send(feed.body);
+    });
@@ -6,6 +6,11 @@ const Categroup = db.Categroup;
 const PostLike = db.PostLike;
 const PostBookmark = db.PostBookmark;
 const { Op } = require('sequelize');
+const postService = require('../services/post.service');
+const interactionService = require('../services/interaction.service');
+const viewCounterService = require('../services/viewCounter.service');
+const postRevisionService = require('../services/postRevision.service');
+const searchService = require('../services/search.service');
 /**
  * 获取公开文章列表（前台展示）
  * 返回所有已发布且审核通过的文章
@@ -17,90 +22,111 @@ exports.getAllPosts = asyncHandler(async (req, res) => {
     page = parseInt(page);
     limit = parseInt(limit);
 
-    // const where = {};
-    // // 前台只显示已发布并审核通过的文章
-    // where.status = 1;
-    // where.auditStatus = 1;
-    // 搜索功能
-    // if (search) {
-    //     where[Op.or] = [
-    //         { title: { [Op.like]: `%${search}%` } },
-    //         { content: { [Op.like]: `%${search}%` } },
-    //     ];
-    // }
+    const where = {};
+    // 前台只显示已发布并审核通过的文章
+    where.status = 1;
+    where.auditStatus = 1;
+    // 搜索功能（使用全文索引，避免对正文做 LIKE 全表扫描）
+    const keyword = searchService.normalizeQuery(search);
+    if (keyword) {
+        where[Op.and] = [await searchService.condition(keyword)];
+    }
 
     // 标签过滤（支持两种参数名）
-    // const tagFilter = tagId || tag;
-    // let tagInclude = null;
-    // if (tagFilter) {
-    //     if (isNaN(tagFilter)) {
-    //         // 如果是标签名，通过关联查询
-    //         tagInclude = {
-    //             model: Tag,
-    //             as: 'tags',
-    //             where: { name: { [Op.like]: `%${tagFilter}%` } },
-    //             through: { attributes: [] },
-    //             attributes: ['id', 'name', 'description'],
-    //         };
-    //     } else {
-    //         // 如果是标签ID
-    //         tagInclude = {
-    //             model: Tag,
-    //             as: 'tags',
-    //             where: { id: parseInt(tagFilter) },
-    //             through: { attributes: [] },
-    //             attributes: ['id', 'name', 'description'],
-    //         };
-    //     }
-    // }
-    //
-    // // 分类过滤
-    // if (categoryId) {
-    //     where.typeId = parseInt(categoryId);
-    // }
-    //
-    // // 按年份筛选
-    // if (year) {
-    //     const yearInt = parseInt(year);
-    //     const startDate = new Date(yearInt, 0, 1); // 1月1日
-    //     const endDate = new Date(yearInt + 1, 0, 1); // 下一年1月1日
-    //     where.publishedAt = {
-    //         [Op.gte]: startDate,
-    //         [Op.lt]: endDate,
-    //     };
-    // }
-    //
-    // // 完整的关联查询：作者、分类、标签
-    // const include = [
-    //     {
-    //         model: User,
-    //         as: 'author',
-    //         attributes: ['id', 'username', 'email', 'fullName', 'avatar'],
-    //     },
-    //     {
-    //         model: Categroup,
-    //         as: 'category',
-    //         attributes: ['id', 'name', 'description'],
-    //     },
-    //     // 如果有标签筛选，使用带条件的 include，否则使用普通 include
-    //     tagInclude || {
-    //         model: Tag,
-    //         as: 'tags',
-    //         through: { attributes: [] },
-    //         attributes: ['id', 'name', 'description'],
-    //     },
-    // ];
+    const tagFilter = tagId || tag;
+    // 重复的查询参数（如 ?tag=a&tag=b）会解析为数组
+    if (tagFilter !== undefined && typeof tagFilter !== 'string') {
+        return res.apiValidationError(
+            [{ field: tagId ? 'tagId' : 'tag', message: '只能按一个标签筛选' }],
+            '标签参数错误'
+        );
+    }
+    let tagInclude = null;
+    if (tagFilter) {
+        if (isNaN(tagFilter)) {
+            // 如果是标签名或别名，通过关联查询
+            tagInclude = {
+                model: Tag,
+                as: 'tags',
+                where: { [Op.or]: [{ name: tagFilter }, { slug: tagFilter }] },
+                through: { attributes: [] },
+                attributes: ['id', 'name', 'slug'],
+            };
+        } else {
+            // 如果是标签ID
+            tagInclude = {
+                model: Tag,
+                as: 'tags',
+                where: { id: parseInt(tagFilter) },
+                through: { attributes: [] },
+                attributes: ['id', 'name', 'slug'],
+            };
+        }
+    }
+
+    // 分类过滤
+    if (categoryId) {
+        where.typeId = parseInt(categoryId);
+    }
+
+    // 按年份筛选
+    const yearInt = parseInt(year);
+    if (!isNaN(yearInt)) {
+        const startDate = new Date(yearInt, 0, 1); // 1月1日
+        const endDate = new Date(yearInt + 1, 0, 1); // 下一年1月1日
+        where.publishedAt = {
+            [Op.gte]: startDate,
+            [Op.lt]: endDate,
+        };
+    }
+
+    // 关联查询：作者（不含敏感字段）、分类、标签
+    const include = [
+        {
+            model: User,
+            as: 'author',
+            attributes: ['id', 'username', 'fullName', 'avatar'],
+        },
+        {
+            model: Categroup,
+            as: 'category',
+            attributes: ['id', 'name', 'slug', 'description'],
+        },
+        // 如果有标签筛选，使用带条件的 include，否则使用普通 include
+        tagInclude || {
+            model: Tag,
+            as: 'tags',
+            through: { attributes: [] },
+            attributes: ['id', 'name', 'slug'],
+        },
+    ];
     const { count, rows } = await Post.findAndCountAll({
-        // where,
-        // include,
-        // order: [
-        //     ['publishedAt', 'DESC'],
-        //     ['createdAt', 'DESC'],
-        // ],
+        where,
+        attributes: {
+            // 列表不返回渲染后的正文和目录
+            exclude: ['html', 'toc'],
+            include: [
+                // 已审核通过的评论数量
+                [
+                    db.sequelize.literal(
+                        "(SELECT COUNT(*) FROM comments WHERE comments.post_id = post.id AND comments.status = 'approved')"
+                    ),
+                    'commentCount',
+                ],
+            ],
+        },
+        include,
+        order: [
+            ['publishedAt', 'DESC'],
+            ['createdAt', 'DESC'],
+        ],
         limit,
         offset: (page - 1) * limit,
-        // distinct: true,
+        distinct: true,
     });
+    // 附加当前用户的点赞、收藏状态
+    await interactionService.attachUserState(rows, req.user?.id);
+
     const totalPages = Math.ceil(count / limit);
     const pagination = {
         page: parseInt(page),
@@ -113,4 +139,319 @@ exports.getAllPosts = asyncHandler(async (req, res) => {
 
     return res.apiPaginated(rows, pagination, '获取文章列表成功');
 
-})
\ No newline at end of file
+});
+
+/**
+ * 获取文章详情
+ * 未发布或未审核通过的文章仅作者和管理员可以预览
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getPostById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const post = await postService.getPostDetail(id, req.user);
+    if (!post) {
+        return res.apiNotFound('文章不存在');
+    }
+    return await sendPostDetail(req, res, post);
+});
+
+/**
+ * 根据别名获取文章详情
+ * 别名已变更时返回跳转提示（redirect 为 true，附带当前别名和访问地址）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getPostBySlug = asyncHandler(async (req, res) => {
+    const { slug } = req.params;
+
+    const post = await postService.getPostDetail(slug, req.user);
+    if (post) {
+        return await sendPostDetail(req, res, post);
+    }
+
+    const target = await postService.resolveSlugAlias(slug, req.user);
+    if (!target) {
+        return res.apiNotFound('文章不存在');
+    }
+    return res.apiSuccess({ redirect: true, ...target }, '文章地址已变更');
+});
+
+/**
+ * 返回文章详情：附加当前用户的点赞收藏状态，公开文章记录阅读量
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Object} post - 文章实例
+ */
+const sendPostDetail = async (req, res, post) => {
+    await interactionService.attachUserState(post, req.user?.id);
+
+    // 公开文章记录阅读量（Redis 去重累加，定时写回数据库）
+    if (postService.isPublic(post)) {
+        await viewCounterService.recordView(post.id, {
+            userId: req.user?.id,
+            ip: req.ip,
+            userAgent: req.get('User-Agent'),
+        });
+        post.viewCount += await viewCounterService.getPendingViews(post.id);
+    }
+
+    return res.apiItem(post, '获取文章详情成功');
+};
+
+/**
+ * 获取相关文章推荐
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getRelatedPosts = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { limit } = req.query;
+
+    const posts = await postService.getRelatedPosts(id, limit, req.user);
+    if (!posts) {
+        return res.apiNotFound('文章不存在');
+    }
+
+    return res.apiList(posts, '获取相关文章成功');
+});
+
+/**
+ * 创建文章
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.createPost = asyncHandler(async (req, res) => {
+    const { title, content, typeId } = req.body;
+
+    // 验证必填字段
+    const errors = [];
+    if (!title) {
+        errors.push({ field: 'title', message: '文章标题不能为空' });
+    }
+    if (!content) {
+        errors.push({ field: 'content', message: '文章内容不能为空' });
+    }
+    if (!typeId) {
+        errors.push({ field: 'typeId', message: '文章分类不能为空' });
+    }
+    if (errors.length > 0) {
+        return res.apiValidationError(errors, '标题、内容和分类不能为空');
+    }
+
+    const post = await postService.createPost(req.user.id, req.body);
+    return res.apiCreated(post, '文章创建成功');
+});
+
+/**
+ * 更新文章（作者或管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.updatePost = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const post = await postService.updatePost(id, req.body, req.user.id);
+    if (!post) {
+        return res.apiNotFound('文章不存在');
+    }
+
+    return res.apiUpdated(post, '文章更新成功');
+});
+
+/**
+ * 删除文章（作者或管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.deletePost = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const deleted = await postService.deletePost(id);
+    if (!deleted) {
+        return res.apiNotFound('文章不存在');
+    }
+
+    return res.apiDeleted('文章已移入回收站');
+});
+
+/**
+ * 获取待审核文章列表（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getPendingPosts = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+
+    const result = await postService.getPendingPosts({ page, limit });
+    return res.apiPaginated(result.data, result.pagination, '获取待审核文章成功');
+});
+
+/**
+ * 审核文章（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.auditPost = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const auditStatus = parseInt(req.body.auditStatus);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (![1, 2].includes(auditStatus)) {
+        return res.apiValidationError(
+            [{ field: 'auditStatus', message: '审核结果只能为 1（通过）或 2（驳回）' }],
+            '审核结果无效'
+        );
+    }
+
+    if (auditStatus === 2 && !reason) {
+        return res.apiValidationError(
+            [{ field: 'reason', message: '驳回原因不能为空' }],
+            '驳回原因不能为空'
+        );
+    }
+
+    const post = await postService.auditPost(id, req.user.id, auditStatus, reason);
+    if (!post) {
+        return res.apiNotFound('文章不存在');
+    }
+
+    return res.apiUpdated(post, auditStatus === 1 ? '文章审核通过' : '文章已驳回');
+});
+
+/**
+ * 获取文章审核记录（作者或管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getAuditHistory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const post = await postService.findById(id);
+    if (!post) {
+        return res.apiNotFound('文章不存在');
+    }
+
+    const audits = await postService.getAuditHistory(id);
+    return res.apiList(audits, '获取审核记录成功');
+});
+
+/**
+ * 获取文章历史版本列表（作者或管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getRevisions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const post = await postService.findById(id);
+    if (!post) {
+        return res.apiNotFound('文章不存在');
+    }
+
+    const result = await postRevisionService.getRevisions(id, { page, limit });
+    return res.apiPaginated(result.data, result.pagination, '获取历史版本成功');
+});
+
+/**
+ * 获取文章指定历史版本（作者或管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getRevision = asyncHandler(async (req, res) => {
+    const { id, revisionId } = req.params;
+
+    const revision = await postRevisionService.getRevision(id, revisionId);
+    if (!revision) {
+        return res.apiNotFound('历史版本不存在');
+    }
+
+    return res.apiItem(revision, '获取历史版本成功');
+});
+
+/**
+ * 比较文章的两个历史版本（作者或管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.diffRevisions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    const errors = [];
+    if (!from) {
+        errors.push({ field: 'from', message: '请指定旧版本ID' });
+    }
+    if (!to) {
+        errors.push({ field: 'to', message: '请指定新版本ID' });
+    }
+    if (errors.length > 0) {
+        return res.apiValidationError(errors, '请指定需要比较的两个版本');
+    }
+
+    const diff = await postRevisionService.diffRevisions(id, from, to);
+    if (!diff) {
+        return res.apiNotFound('历史版本不存在');
+    }
+
+    return res.apiSuccess(diff, '版本比较成功');
+});
+
+/**
+ * 将文章恢复为指定历史版本（作者或管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.restoreRevision = asyncHandler(async (req, res) => {
+    const { id, revisionId } = req.params;
+
+    const post = await postService.restoreRevision(id, revisionId, req.user.id);
+    if (!post) {
+        return res.apiNotFound('文章或历史版本不存在');
+    }
+
+    return res.apiUpdated(post, '文章已恢复到该版本');
+});
+
+/**
+ * 点赞文章
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.likePost = asyncHandler(async (req, res) => {
+    const result = await interactionService.likePost(req.user.id, req.params.id);
+    return res.apiSuccess(result, '点赞成功');
+});
+
+/**
+ * 取消点赞
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.unlikePost = asyncHandler(async (req, res) => {
+    const result = await interactionService.unlikePost(req.user.id, req.params.id);
+    return res.apiSuccess(result, '已取消点赞');
+});
+
+/**
+ * 收藏文章
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.bookmarkPost = asyncHandler(async (req, res) => {
+    const result = await interactionService.bookmarkPost(req.user.id, req.params.id);
+    return res.apiSuccess(result, '收藏成功');
+});
+
+/**
+ * 取消收藏
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.unbookmarkPost = asyncHandler(async (req, res) => {
+    const result = await interactionService.unbookmarkPost(req.user.id, req.params.id);
+    return res.apiSuccess(result, '已取消收藏');
+});
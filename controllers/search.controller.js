@@ -0,0 +1,95 @@
+const searchService = require('../services/search.service');
+const { asyncHandler } = require('../utils/response');
+
+/**
+ * 解析日期参数
+ * @param {string} value - 日期字符串
+ * @param {boolean} endOfDay - 仅有日期时是否取当天结束时间
+ * @returns {Date|null|undefined} - 未提供时返回 undefined，格式错误时返回 null
+ */
+const parseDate = (value, endOfDay) => {
+    if (!value) {
+        return undefined;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        return null;
+    }
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+};
+
+/**
+ * 全文搜索文章
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.search = asyncHandler(async (req, res) => {
+    const { q, page = 1, limit = 10, categoryId, tag, author } = req.query;
+    const from = parseDate(req.query.from, false);
+    const to = parseDate(req.query.to, true);
+
+    const errors = [];
+    if (!searchService.normalizeQuery(q)) {
+        errors.push({ field: 'q', message: '搜索关键词不能为空' });
+    }
+    if (from === null) {
+        errors.push({ field: 'from', message: '开始日期格式不正确' });
+    }
+    if (to === null) {
+        errors.push({ field: 'to', message: '结束日期格式不正确' });
+    }
+    // 重复的查询参数（如 ?tag=a&tag=b）会解析为数组
+    if (tag !== undefined && typeof tag !== 'string') {
+        errors.push({ field: 'tag', message: '只能按一个标签筛选' });
+    }
+    if (errors.length > 0) {
+        return res.apiValidationError(errors, '搜索参数错误');
+    }
+
+    const result = await searchService.search({ q, page, limit, categoryId, tag, author, from, to });
+    return res.apiPaginated(result.data, result.pagination, '搜索成功');
+});
+
+/**
+ * 搜索联想（文章标题和标签前缀匹配）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.suggest = asyncHandler(async (req, res) => {
+    const { q, limit } = req.query;
+
+    if (!searchService.normalizeQuery(q)) {
+        return res.apiSuccess({ titles: [], tags: [] }, '获取搜索建议成功');
+    }
+
+    const result = await searchService.suggest(q, limit);
+    return res.apiSuccess(result, '获取搜索建议成功');
+});
+
+/**
+ * 重建搜索索引（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.reindex = asyncHandler(async (req, res) => {
+    const postId = req.body && req.body.postId ? parseInt(req.body.postId) : null;
+    if (req.body && req.body.postId && !postId) {
+        return res.apiValidationError([{ field: 'postId', message: '文章ID格式不正确' }], '文章ID格式不正确');
+    }
+
+    const stats = await searchService.reindex(postId);
+    return res.apiSuccess(stats, postId ? '文章索引已更新' : '搜索索引重建完成');
+});
+
+/**
+ * 获取搜索索引状态（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getStats = asyncHandler(async (req, res) => {
+    const stats = await searchService.stats();
+    return res.apiSuccess(stats, '获取索引状态成功');
+});
@@ -0,0 +1,105 @@
+const seriesService = require('../services/series.service');
+const { asyncHandler } = require('../utils/response');
+
+/**
+ * 获取系列列表
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getSeriesList = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, userId } = req.query;
+
+    const result = await seriesService.getSeriesList({ page, limit, userId });
+    return res.apiPaginated(result.data, result.pagination, '获取系列列表成功');
+});
+
+/**
+ * 获取系列详情（含全部文章及发布状态）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getSeriesBySlug = asyncHandler(async (req, res) => {
+    const { slug } = req.params;
+
+    const series = await seriesService.getSeriesBySlug(slug, req.user);
+    if (!series) {
+        return res.apiNotFound('系列不存在');
+    }
+
+    return res.apiItem(series, '获取系列详情成功');
+});
+
+/**
+ * 创建系列
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.createSeries = asyncHandler(async (req, res) => {
+    const { title } = req.body;
+
+    if (!title || !String(title).trim()) {
+        return res.apiValidationError(
+            [{ field: 'title', message: '系列标题不能为空' }],
+            '系列标题不能为空'
+        );
+    }
+
+    const series = await seriesService.createSeries(req.user.id, req.body);
+    return res.apiCreated(series, '系列创建成功');
+});
+
+/**
+ * 更新系列（创建者或管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.updateSeries = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const series = await seriesService.updateSeries(id, req.body);
+    if (!series) {
+        return res.apiNotFound('系列不存在');
+    }
+
+    return res.apiUpdated(series, '系列更新成功');
+});
+
+/**
+ * 删除系列（创建者或管理员），系列中的文章保留
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.deleteSeries = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const deleted = await seriesService.deleteSeries(id);
+    if (!deleted) {
+        return res.apiNotFound('系列不存在');
+    }
+
+    return res.apiDeleted('系列删除成功');
+});
+
+/**
+ * 设置系列文章及顺序（创建者或管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.setParts = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { postIds } = req.body;
+
+    if (!Array.isArray(postIds)) {
+        return res.apiValidationError(
+            [{ field: 'postIds', message: 'postIds 必须是文章ID数组' }],
+            'postIds 必须是文章ID数组'
+        );
+    }
+
+    const series = await seriesService.setParts(id, postIds, req.user);
+    if (!series) {
+        return res.apiNotFound('系列不存在');
+    }
+
+    return res.apiUpdated(series, '系列文章顺序已更新');
+});
@@ -0,0 +1,61 @@
+const sitemapService = require('../services/sitemap.service');
+const { asyncHandler } = require('../utils/response');
+
+/**
+ * 返回 XML 响应
+ * @param {Object} res - 响应对象
+ * @param {string} xml - XML 内容
+ */
+const sendXml = (res, xml) => {
+    res.set({
+        'Content-Type': 'application/xml; charset=utf-8',
+        'Cache-Control': 'public, max-age=3600',
+    });
+    return res.send(xml);
+};
+
+/**
+ * 获取站点地图（或站点地图索引）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getSitemap = asyncHandler(async (req, res) => {
+    const xml = await sitemapService.getSitemap();
+    return sendXml(res, xml);
+});
+
+/**
+ * 获取页面子站点地图（首页、分类、标签、作者）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getPagesSitemap = asyncHandler(async (req, res) => {
+    const xml = await sitemapService.getPagesSitemap();
+    return sendXml(res, xml);
+});
+
+/**
+ * 获取分页的文章子站点地图
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getPostsSitemap = asyncHandler(async (req, res) => {
+    const page = parseInt(req.params.page);
+
+    const xml = page > 0 ? await sitemapService.getPostsSitemap(page) : null;
+    if (!xml) {
+        return res.apiNotFound('站点地图不存在');
+    }
+
+    return sendXml(res, xml);
+});
+
+/**
+ * 获取 robots.txt
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getRobots = (req, res) => {
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    return res.send(sitemapService.getRobots());
+};
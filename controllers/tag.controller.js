@@ -0,0 +1,93 @@
+const tagService = require('../services/tag.service');
+const { asyncHandler } = require('../utils/response');
+
+/**
+ * 获取标签列表
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getTags = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, search } = req.query;
+
+    const result = await tagService.getTags({ page, limit, search });
+    return res.apiPaginated(result.data, result.pagination, '获取标签列表成功');
+});
+
+/**
+ * 获取标签云（带文章数量）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getTagCloud = asyncHandler(async (req, res) => {
+    const { limit } = req.query;
+
+    const tags = await tagService.getTagCloud(limit);
+    return res.apiList(tags, '获取标签云成功');
+});
+
+/**
+ * 根据ID获取标签
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getTagById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const tag = await tagService.findById(id);
+    if (!tag) {
+        return res.apiNotFound('标签不存在');
+    }
+
+    return res.apiItem(tag, '获取标签成功');
+});
+
+/**
+ * 创建标签（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.createTag = asyncHandler(async (req, res) => {
+    const { name } = req.body;
+
+    if (!name || !String(name).trim()) {
+        return res.apiValidationError(
+            [{ field: 'name', message: '标签名不能为空' }],
+            '标签名不能为空'
+        );
+    }
+
+    const tag = await tagService.createTag(req.body);
+    return res.apiCreated(tag, '标签创建成功');
+});
+
+/**
+ * 更新标签（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.updateTag = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const tag = await tagService.updateTag(id, req.body);
+    if (!tag) {
+        return res.apiNotFound('标签不存在');
+    }
+
+    return res.apiUpdated(tag, '标签更新成功');
+});
+
+/**
+ * 删除标签（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.deleteTag = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const deleted = await tagService.deleteTag(id);
+    if (!deleted) {
+        return res.apiNotFound('标签不存在');
+    }
+
+    return res.apiDeleted('标签删除成功');
+});
@@ -0,0 +1,70 @@
+const trashService = require('../services/trash.service');
+const { asyncHandler } = require('../utils/response');
+
+/**
+ * 校验回收站类型，不支持时返回参数错误响应
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @returns {boolean} - 类型是否有效
+ */
+const assertType = (req, res) => {
+    if (trashService.isValidType(req.params.type)) {
+        return true;
+    }
+    const message = `回收站类型必须是 ${trashService.TRASH_TYPES.join('、')} 之一`;
+    res.apiValidationError([{ field: 'type', message }], message);
+    return false;
+};
+
+/**
+ * 获取回收站列表（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getTrash = asyncHandler(async (req, res) => {
+    if (!assertType(req, res)) {
+        return;
+    }
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await trashService.getTrash(req.params.type, { page, limit });
+    return res.apiPaginated(result.data, result.pagination, '获取回收站列表成功');
+});
+
+/**
+ * 从回收站恢复（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.restore = asyncHandler(async (req, res) => {
+    if (!assertType(req, res)) {
+        return;
+    }
+    const { type, id } = req.params;
+
+    const item = await trashService.restore(type, id);
+    if (!item) {
+        return res.apiNotFound('回收站中不存在该记录');
+    }
+
+    return res.apiUpdated(item, '恢复成功');
+});
+
+/**
+ * 彻底删除回收站中的记录（管理员）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.purge = asyncHandler(async (req, res) => {
+    if (!assertType(req, res)) {
+        return;
+    }
+    const { type, id } = req.params;
+
+    const purged = await trashService.purge(type, id);
+    if (!purged) {
+        return res.apiNotFound('回收站中不存在该记录');
+    }
+
+    return res.apiDeleted('已彻底删除');
+});
@@ -1,5 +1,6 @@
 const userService = require('../services/user.service');
 const { uploadService } = require('../services/upload.service');
+const interactionService = require('../services/interaction.service');
 const { asyncHandler } = require('../utils/response');
 const { logger } = require('../utils/logger');
 
@@ -309,7 +310,7 @@ exports.getUserById = asyncHandler(async (req, res) => {
         return res.apiNotFound('用户不存在');
     }
 
-    return res.apiSuccess(user, '获取用户成功');
+    return res.apiSuccess(userService.toSafeJSON(user), '获取用户成功');
 });
 
 /**
@@ -372,9 +373,12 @@ exports.updateUser = asyncHandler(async (req, res) => {
 exports.deleteUser = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    await userService.deleteUser(id);
+    const deleted = await userService.deleteUser(id, req.user);
+    if (!deleted) {
+        return res.apiNotFound('用户不存在');
+    }
 
-    return res.apiDeleted('用户删除成功');
+    return res.apiDeleted('用户已移入回收站');
 });
 
 /**
@@ -392,9 +396,7 @@ exports.getCurrentUser = asyncHandler(async (req, res) => {
     }
 
     // 移除敏感信息
-    const { password, ...userInfo } = user;
-
-    return res.apiItem(userInfo, '获取当前用户信息成功');
+    return res.apiItem(userService.toSafeJSON(user), '获取当前用户信息成功');
 });
 
 /**
@@ -418,3 +420,16 @@ exports.getAdminTodoItems = asyncHandler(async (req, res) => {
     const todoItems = await userService.getAdminTodoItems(userId);
     return res.apiSuccess(todoItems, '获取待办事项成功');
 });
+
+/**
+ * 获取当前用户收藏的文章
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getBookmarks = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const { page = 1, limit = 10 } = req.query;
+
+    const result = await interactionService.getUserBookmarks(userId, { page, limit });
+    return res.apiPaginated(result.data, result.pagination, '获取收藏列表成功');
+});
@@ -1,5 +1,45 @@
 const authService = require('../services/auth.service');
 
+// 只读请求方法
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// 邮箱未验证的用户仍可执行的写操作（验证邮箱、登出、管理登录会话）
+const UNVERIFIED_WRITE_PATHS = [
+    '/api/auth/verify-email',
+    '/api/auth/resend-verification',
+    '/api/auth/logout',
+    '/api/auth/sessions',
+];
+
+/**
+ * 检查请求是否允许执行：邮箱未验证的用户只能执行只读操作
+ * @param {Object} req - 请求对象
+ * @param {Object} decoded - 解码后的令牌数据
+ * @returns {Promise<boolean>}
+ */
+const isRequestAllowed = async (req, decoded) => {
+    if (decoded.emailVerified !== false || READ_METHODS.includes(req.method)) {
+        return true;
+    }
+    const path = req.originalUrl.split('?')[0];
+    if (UNVERIFIED_WRITE_PATHS.some(allowed => path === allowed || path.startsWith(`${allowed}/`))) {
+        return true;
+    }
+    // 令牌签发后已完成验证
+    return await authService.isEmailVerified(decoded.id);
+};
+
+/**
+ * 应用两步验证策略：要求管理员启用两步验证而未启用时，按普通用户处理
+ * @param {Object} decoded - 解码后的令牌数据
+ * @returns {Promise<Object>} - 请求中的用户信息
+ */
+const applyTwoFactorPolicy = async decoded => {
+    if (await authService.isTwoFactorSatisfied(decoded)) {
+        return decoded;
+    }
+    return { ...decoded, role: 'user', twoFactorRequired: true };
+};
+
 /**
  * 验证令牌中间件
  * 用于验证用户是否已登录
@@ -24,8 +64,12 @@ const verifyToken = async (req, res, next) => {
             // 验证令牌
             const decoded = await authService.verifyToken(token);
 
+            if (!(await isRequestAllowed(req, decoded))) {
+                return res.apiForbidden('请先验证邮箱后再进行此操作');
+            }
+
             // 将用户信息添加到请求对象
-            req.user = decoded;
+            req.user = await applyTwoFactorPolicy(decoded);
 
             next();
         } catch (tokenError) {
@@ -55,6 +99,9 @@ const isAdmin = (req, res, next) => {
     }
 
     // 检查用户角色
+    if (req.user.twoFactorRequired) {
+        return res.apiForbidden('管理员账号需要先启用两步验证');
+    }
     if (req.user.role !== 'admin') {
         return res.apiForbidden('需要管理员权限');
     }
@@ -75,7 +122,7 @@ const isResourceOwner = getOwnerId => {
                 return res.apiUnauthorized('未认证的用户');
             }
 
-            // 获取资源所有者ID
+            // 获取资源所有者ID（资源不存在时抛出 404，交由错误处理中间件响应）
             const ownerId = await getOwnerId(req);
 
             // 检查当前用户是否为资源所有者或管理员
@@ -116,8 +163,11 @@ const optionalAuth = async (req, res, next) => {
         try {
             // 验证令牌
             const decoded = await authService.verifyToken(token);
+            if (!(await isRequestAllowed(req, decoded))) {
+                return res.apiForbidden('请先验证邮箱后再进行此操作');
+            }
             // 将用户信息添加到请求对象
-            req.user = decoded;
+            req.user = await applyTwoFactorPolicy(decoded);
         } catch (tokenError) {
             // 令牌无效，但不阻止请求继续执行
             console.warn('可选认证令牌验证失败:', tokenError.message);
@@ -148,6 +198,9 @@ const checkRole = roles => {
 
         // 检查用户角色
         if (!allowedRoles.includes(req.user.role)) {
+            if (req.user.twoFactorRequired && allowedRoles.includes('admin')) {
+                return res.apiForbidden('管理员账号需要先启用两步验证');
+            }
             return res.apiForbidden('权限不足');
         }
 
@@ -23,8 +23,8 @@ const notFound = (req, res, next) => {
 
 // 全局错误处理
 const errorHandler = (err, req, res, next) => {
-    // 确定状态码
-    const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+    // 确定状态码（业务错误自带状态码）
+    const statusCode = err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
 
     // 记录错误日志
     logger.error('应用错误', {
@@ -18,21 +18,42 @@ module.exports = sequelize => {
                     len: [2, 50],
                 },
             },
+            slug: {
+                type: DataTypes.STRING(80),
+                allowNull: true, // 兼容历史数据，新建分类时自动生成
+                unique: true,
+            },
             description: {
                 type: DataTypes.TEXT,
                 allowNull: true,
             },
+            sortOrder: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0, // 数值越小越靠前
+                field: 'sort_order',
+            },
         },
         {
             tableName: 'categroup', // 明确指定表名
             timestamps: true,
-            paranoid: false, // 禁用软删除
+            paranoid: true, // 软删除：删除后进入回收站（deleted_at），名称和别名在彻底删除前仍被占用
             underscored: true,
             indexes: [
                 {
                     unique: true,
                     fields: ['name'],
                 },
+                {
+                    unique: true,
+                    fields: ['slug'],
+                },
+                {
+                    fields: ['sort_order'],
+                },
+                {
+                    fields: ['deleted_at'],
+                },
             ],
         }
     );
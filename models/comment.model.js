@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+    const Comment = sequelize.define(
+        'comment',
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            postId: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'posts',
+                    key: 'id',
+                },
+                field: 'post_id',
+            },
+            userId: {
+                type: DataTypes.INTEGER,
+                allowNull: true, // 游客评论为空
+                references: {
+                    model: 'users',
+                    key: 'id',
+                },
+                field: 'user_id',
+            },
+            parentId: {
+                type: DataTypes.INTEGER,
+                allowNull: true, // 顶层评论为空
+                field: 'parent_id',
+            },
+            rootId: {
+                type: DataTypes.INTEGER,
+                allowNull: true, // 所属顶层评论ID，便于按楼层整体查询回复
+                field: 'root_id',
+            },
+            content: {
+                type: DataTypes.TEXT,
+                allowNull: false,
+                validate: {
+                    notEmpty: true,
+                    len: [1, 2000],
+                },
+            },
+            nickname: {
+                type: DataTypes.STRING(50),
+                allowNull: true, // 游客必填
+            },
+            email: {
+                type: DataTypes.STRING(100),
+                allowNull: true, // 游客必填
+                validate: {
+                    isEmail: true,
+                },
+            },
+            status: {
+                type: DataTypes.ENUM('pending', 'approved', 'spam'),
+                defaultValue: 'pending',
+            },
+            ip: {
+                type: DataTypes.STRING(45),
+                allowNull: true,
+            },
+            userAgent: {
+                type: DataTypes.STRING(255),
+                allowNull: true,
+                field: 'user_agent',
+            },
+        },
+        {
+            tableName: 'comments', // 明确指定表名
+            timestamps: true,
+            paranoid: false,
+            underscored: true,
+            indexes: [
+                {
+                    fields: ['post_id', 'status'],
+                },
+                {
+                    fields: ['root_id'],
+                },
+                {
+                    fields: ['user_id'],
+                },
+                {
+                    fields: ['status'],
+                },
+            ],
+        }
+    );
+
+    return Comment;
+};
@@ -11,16 +11,154 @@ db.sequelize = sequelize; // 存储数据库连接实例（方便执行同步、
 db.User = require('./user.model.js')(sequelize, Sequelize);
 db.Post = require('./post.model.js')(sequelize, Sequelize);
 db.Categroup = require('./categroup.model.js')(sequelize, Sequelize);
+db.PostAudit = require('./postAudit.model.js')(sequelize, Sequelize);
+db.Tag = require('./tag.model.js')(sequelize, Sequelize);
+db.PostTag = require('./postTag.model.js')(sequelize, Sequelize);
+db.Comment = require('./comment.model.js')(sequelize, Sequelize);
+db.PostLike = require('./postLike.model.js')(sequelize, Sequelize);
+db.PostBookmark = require('./postBookmark.model.js')(sequelize, Sequelize);
+db.PostRevision = require('./postRevision.model.js')(sequelize, Sequelize);
+db.Series = require('./series.model.js')(sequelize, Sequelize);
+db.PostSlugAlias = require('./postSlugAlias.model.js')(sequelize, Sequelize);
+db.Setting = require('./setting.model.js')(sequelize, Sequelize);
 
 
 
 
 
 // 定义模型之间的关系
-// db.User.hasMany(db.Post, {
-//     foreignKey: 'userId',
-//     as: 'posts',
+// 用户 - 文章（作者）
+db.User.hasMany(db.Post, {
+    foreignKey: 'userId',
+    as: 'posts',
+});
+db.Post.belongsTo(db.User, {
+    foreignKey: 'userId',
+    as: 'author',
+});
 
-// })
+// 分类 - 文章
+db.Categroup.hasMany(db.Post, {
+    foreignKey: 'typeId',
+    as: 'posts',
+});
+db.Post.belongsTo(db.Categroup, {
+    foreignKey: 'typeId',
+    as: 'category',
+});
+
+// 文章 - 标签（多对多）
+db.Post.belongsToMany(db.Tag, {
+    through: db.PostTag,
+    foreignKey: 'postId',
+    otherKey: 'tagId',
+    as: 'tags',
+});
+db.Tag.belongsToMany(db.Post, {
+    through: db.PostTag,
+    foreignKey: 'tagId',
+    otherKey: 'postId',
+    as: 'posts',
+});
+
+// 文章审核记录
+db.Post.hasMany(db.PostAudit, {
+    foreignKey: 'postId',
+    as: 'audits',
+    onDelete: 'CASCADE',
+});
+db.PostAudit.belongsTo(db.Post, {
+    foreignKey: 'postId',
+    as: 'post',
+});
+db.PostAudit.belongsTo(db.User, {
+    foreignKey: 'reviewerId',
+    as: 'reviewer',
+});
+
+// 评论：文章 - 评论、用户 - 评论、评论 - 回复
+db.Post.hasMany(db.Comment, {
+    foreignKey: 'postId',
+    as: 'comments',
+    onDelete: 'CASCADE',
+});
+db.Comment.belongsTo(db.Post, {
+    foreignKey: 'postId',
+    as: 'post',
+});
+db.Comment.belongsTo(db.User, {
+    foreignKey: 'userId',
+    as: 'user',
+});
+db.Comment.belongsTo(db.Comment, {
+    foreignKey: 'parentId',
+    as: 'parent',
+});
+db.Comment.hasMany(db.Comment, {
+    foreignKey: 'parentId',
+    as: 'replies',
+    onDelete: 'CASCADE',
+});
+
+// 点赞、收藏
+db.Post.hasMany(db.PostLike, {
+    foreignKey: 'postId',
+    as: 'likes',
+    onDelete: 'CASCADE',
+});
+db.PostLike.belongsTo(db.Post, {
+    foreignKey: 'postId',
+    as: 'post',
+});
+db.Post.hasMany(db.PostBookmark, {
+    foreignKey: 'postId',
+    as: 'bookmarks',
+    onDelete: 'CASCADE',
+});
+db.PostBookmark.belongsTo(db.Post, {
+    foreignKey: 'postId',
+    as: 'post',
+});
+
+// 文章历史版本
+db.Post.hasMany(db.PostRevision, {
+    foreignKey: 'postId',
+    as: 'revisions',
+    onDelete: 'CASCADE',
+});
+db.PostRevision.belongsTo(db.Post, {
+    foreignKey: 'postId',
+    as: 'post',
+});
+db.PostRevision.belongsTo(db.User, {
+    foreignKey: 'editorId',
+    as: 'editor',
+});
+
+// 文章历史别名
+db.Post.hasMany(db.PostSlugAlias, {
+    foreignKey: 'postId',
+    as: 'slugAliases',
+    onDelete: 'CASCADE',
+});
+db.PostSlugAlias.belongsTo(db.Post, {
+    foreignKey: 'postId',
+    as: 'post',
+});
+
+// 系列 - 文章、系列 - 创建者
+db.Series.hasMany(db.Post, {
+    foreignKey: 'seriesId',
+    as: 'posts',
+    onDelete: 'SET NULL',
+});
+db.Post.belongsTo(db.Series, {
+    foreignKey: 'seriesId',
+    as: 'series',
+});
+db.Series.belongsTo(db.User, {
+    foreignKey: 'userId',
+    as: 'author',
+});
 
 module.exports = db;
\ No newline at end of file
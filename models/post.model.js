@@ -17,6 +17,11 @@ module.exports = sequelize => {
                     len: [3, 200],
                 },
             },
+            slug: {
+                type: DataTypes.STRING(80),
+                allowNull: true, // 别名上线前的文章由 scripts/post.backfill.js（npm run posts:backfill）补充生成
+                unique: true,
+            },
             content: {
                 type: DataTypes.TEXT('long'),
                 allowNull: false,
@@ -25,6 +30,25 @@ module.exports = sequelize => {
                 type: DataTypes.TEXT,
                 allowNull: true,
             },
+            html: {
+                type: DataTypes.TEXT('long'),
+                allowNull: true, // 由 content 渲染得到的安全 HTML，保存文章时生成
+                field: 'content_html',
+            },
+            toc: {
+                type: DataTypes.JSON,
+                allowNull: true, // 文章目录 [{ level, text, id }]
+            },
+            wordCount: {
+                type: DataTypes.INTEGER,
+                defaultValue: 0,
+                field: 'word_count',
+            },
+            readingTime: {
+                type: DataTypes.INTEGER,
+                defaultValue: 0, // 预计阅读时间（分钟）
+                field: 'reading_time',
+            },
             coverImage: {
                 type: DataTypes.STRING(255),
                 allowNull: true,
@@ -32,9 +56,9 @@ module.exports = sequelize => {
             },
             status: {
                 type: DataTypes.INTEGER,
-                defaultValue: 0, // 0: 草稿, 1: 已发布, 2: 已归档
+                defaultValue: 0, // 0: 草稿, 1: 已发布, 2: 已归档, 3: 定时发布
                 validate: {
-                    isIn: [[0, 1, 2]],
+                    isIn: [[0, 1, 2, 3]],
                 },
             },
             auditStatus: {
@@ -73,11 +97,30 @@ module.exports = sequelize => {
                 },
                 field: 'type_id',
             },
+            seriesId: {
+                type: DataTypes.INTEGER,
+                allowNull: true, // 所属系列
+                references: {
+                    model: 'series',
+                    key: 'id',
+                },
+                field: 'series_id',
+            },
+            seriesOrder: {
+                type: DataTypes.INTEGER,
+                allowNull: true, // 在系列中的顺序（从 1 开始）
+                field: 'series_order',
+            },
             publishedAt: {
                 type: DataTypes.DATE,
                 allowNull: true,
                 field: 'published_at',
             },
+            scheduledAt: {
+                type: DataTypes.DATE,
+                allowNull: true, // 定时发布时间，仅定时发布状态下有值
+                field: 'scheduled_at',
+            },
             lastReadAt: {
                 type: DataTypes.DATE,
                 allowNull: true,
@@ -87,12 +130,15 @@ module.exports = sequelize => {
         {
             tableName: 'posts', // 明确指定表名
             timestamps: true,
-            paranoid: false, // 禁用软删除
+            paranoid: true, // 软删除：删除后进入回收站（deleted_at），别名在彻底删除前仍被占用
             underscored: true,
             indexes: [
                 {
                     fields: ['user_id'],
                 },
+                {
+                    fields: ['deleted_at'],
+                },
                 {
                     fields: ['status'],
                 },
@@ -108,7 +154,35 @@ module.exports = sequelize => {
                 {
                     fields: ['published_at'],
                 },
+                {
+                    fields: ['status', 'scheduled_at'],
+                },
+                {
+                    fields: ['title'], // 标题前缀联想
+                },
+                {
+                    unique: true,
+                    fields: ['slug'],
+                },
+                {
+                    fields: ['series_id', 'series_order'],
+                },
+                {
+                    // 全文搜索索引，ngram 分词以支持中文
+                    name: 'posts_fulltext',
+                    type: 'FULLTEXT',
+                    fields: ['title', 'summary', 'content'],
+                    parser: 'ngram',
+                },
             ],
+            hooks: {
+                // 状态变更为已发布时记录发布时间
+                beforeSave(post) {
+                    if (post.changed('status') && post.status === 1 && !post.publishedAt) {
+                        post.publishedAt = new Date();
+                    }
+                },
+            },
             // 添加虚拟字段
             getterMethods: {
                 // 获取文章类型名称
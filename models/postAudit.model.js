@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+    const PostAudit = sequelize.define(
+        'postAudit',
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            postId: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'posts',
+                    key: 'id',
+                },
+                field: 'post_id',
+            },
+            reviewerId: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id',
+                },
+                field: 'reviewer_id',
+            },
+            fromStatus: {
+                type: DataTypes.TINYINT,
+                allowNull: false, // 审核前状态 0: 待审核, 1: 审核通过, 2: 审核驳回
+                field: 'from_status',
+            },
+            toStatus: {
+                type: DataTypes.TINYINT,
+                allowNull: false, // 审核结果 1: 审核通过, 2: 审核驳回
+                validate: {
+                    isIn: [[1, 2]],
+                },
+                field: 'to_status',
+            },
+            reason: {
+                type: DataTypes.STRING(500),
+                allowNull: true, // 驳回时必填
+            },
+        },
+        {
+            tableName: 'post_audits', // 明确指定表名
+            timestamps: true,
+            updatedAt: false, // 审核记录只增不改
+            paranoid: false,
+            underscored: true,
+            indexes: [
+                {
+                    fields: ['post_id'],
+                },
+                {
+                    fields: ['reviewer_id'],
+                },
+            ],
+        }
+    );
+
+    return PostAudit;
+};
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+    // 文章收藏记录，每个用户对同一篇文章只能收藏一次
+    const PostBookmark = sequelize.define(
+        'postBookmark',
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            userId: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id',
+                },
+                field: 'user_id',
+            },
+            postId: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'posts',
+                    key: 'id',
+                },
+                field: 'post_id',
+            },
+        },
+        {
+            tableName: 'post_bookmarks', // 明确指定表名
+            timestamps: true,
+            updatedAt: false,
+            underscored: true,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ['user_id', 'post_id'],
+                },
+                {
+                    fields: ['post_id'],
+                },
+            ],
+        }
+    );
+
+    return PostBookmark;
+};
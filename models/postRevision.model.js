@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+    const PostRevision = sequelize.define(
+        'postRevision',
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            postId: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'posts',
+                    key: 'id',
+                },
+                field: 'post_id',
+            },
+            version: {
+                type: DataTypes.INTEGER,
+                allowNull: false, // 文章内递增的版本号，从 1 开始
+            },
+            editorId: {
+                type: DataTypes.INTEGER,
+                allowNull: true, // 历史数据补录的版本没有编辑者
+                references: {
+                    model: 'users',
+                    key: 'id',
+                },
+                field: 'editor_id',
+            },
+            title: {
+                type: DataTypes.STRING(200),
+                allowNull: false,
+            },
+            summary: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+            },
+            content: {
+                type: DataTypes.TEXT('long'),
+                allowNull: false,
+            },
+            restoredFrom: {
+                type: DataTypes.INTEGER,
+                allowNull: true, // 由历史版本恢复时记录来源版本号
+                field: 'restored_from',
+            },
+        },
+        {
+            tableName: 'post_revisions', // 明确指定表名
+            timestamps: true,
+            updatedAt: false, // 历史版本只增不改
+            paranoid: false,
+            underscored: true,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ['post_id', 'version'],
+                },
+                {
+                    fields: ['editor_id'],
+                },
+            ],
+        }
+    );
+
+    return PostRevision;
+};
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+    const PostSlugAlias = sequelize.define(
+        'postSlugAlias',
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            postId: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'posts',
+                    key: 'id',
+                },
+                field: 'post_id',
+            },
+            slug: {
+                type: DataTypes.STRING(80),
+                allowNull: false, // 文章曾经使用过的别名
+            },
+        },
+        {
+            tableName: 'post_slug_aliases', // 明确指定表名
+            timestamps: true,
+            updatedAt: false, // 历史别名只增不改
+            paranoid: false,
+            underscored: true,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ['slug'],
+                },
+                {
+                    fields: ['post_id'],
+                },
+            ],
+        }
+    );
+
+    return PostSlugAlias;
+};
@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+    // 文章 - 标签 关联表
+    const PostTag = sequelize.define(
+        'postTag',
+        {
+            postId: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                references: {
+                    model: 'posts',
+                    key: 'id',
+                },
+                field: 'post_id',
+            },
+            tagId: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                references: {
+                    model: 'tags',
+                    key: 'id',
+                },
+                field: 'tag_id',
+            },
+        },
+        {
+            tableName: 'post_tags', // 明确指定表名
+            timestamps: true,
+            updatedAt: false,
+            underscored: true,
+            indexes: [
+                {
+                    fields: ['tag_id'],
+                },
+            ],
+        }
+    );
+
+    return PostTag;
+};
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+    const Series = sequelize.define(
+        'series',
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            title: {
+                type: DataTypes.STRING(200),
+                allowNull: false,
+                validate: {
+                    notEmpty: true,
+                    len: [1, 200],
+                },
+            },
+            slug: {
+                type: DataTypes.STRING(80),
+                allowNull: false,
+                unique: true,
+            },
+            description: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+            },
+            coverImage: {
+                type: DataTypes.STRING(255),
+                allowNull: true,
+                field: 'cover_image',
+            },
+            userId: {
+                type: DataTypes.INTEGER,
+                allowNull: false, // 系列创建者
+                references: {
+                    model: 'users',
+                    key: 'id',
+                },
+                field: 'user_id',
+            },
+        },
+        {
+            tableName: 'series', // 明确指定表名
+            freezeTableName: true,
+            timestamps: true,
+            paranoid: false, // 禁用软删除
+            underscored: true,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ['slug'],
+                },
+                {
+                    fields: ['user_id'],
+                },
+            ],
+        }
+    );
+
+    return Series;
+};
@@ -0,0 +1,26 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+    const Setting = sequelize.define(
+        'setting',
+        {
+            key: {
+                type: DataTypes.STRING(64),
+                primaryKey: true, // 设置项名称，如 2fa.requireAdmin
+            },
+            value: {
+                type: DataTypes.JSON,
+                allowNull: true,
+            },
+        },
+        {
+            tableName: 'settings', // 明确指定表名
+            timestamps: true,
+            createdAt: false, // 只记录最后修改时间
+            paranoid: false,
+            underscored: true,
+        }
+    );
+
+    return Setting;
+};
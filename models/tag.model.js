@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+    const Tag = sequelize.define(
+        'tag',
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            name: {
+                type: DataTypes.STRING(50),
+                allowNull: false,
+                unique: true,
+                validate: {
+                    notEmpty: true,
+                    len: [1, 50],
+                },
+            },
+            slug: {
+                type: DataTypes.STRING(80),
+                allowNull: false,
+                unique: true,
+            },
+            description: {
+                type: DataTypes.STRING(255),
+                allowNull: true,
+            },
+        },
+        {
+            tableName: 'tags', // 明确指定表名
+            timestamps: true,
+            paranoid: false, // 禁用软删除
+            underscored: true,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ['name'],
+                },
+                {
+                    unique: true,
+                    fields: ['slug'],
+                },
+            ],
+        }
+    );
+
+    return Tag;
+};
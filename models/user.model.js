@@ -50,6 +50,38 @@ module.exports = (sequelize, Sequelize) => {
             type: DataTypes.ENUM('active', 'inactive', 'banned'),
             defaultValue: 'active',
         },
+        emailVerified: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true, // 存量用户和管理员创建的用户视为已验证，自助注册时显式设为 false
+            field: 'email_verified',
+        },
+        emailVerifiedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'email_verified_at',
+        },
+        twoFactorEnabled: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            field: 'two_factor_enabled',
+        },
+        twoFactorSecret: {
+            type: DataTypes.STRING(64),
+            allowNull: true,
+            field: 'two_factor_secret', // TOTP 密钥（Base32），启用两步验证后写入
+        },
+        twoFactorRecoveryCodes: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            field: 'two_factor_recovery_codes', // 未使用的恢复码哈希（SHA-256）
+        },
+        twoFactorEnabledAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'two_factor_enabled_at',
+        },
         lastLogin: {
             type: DataTypes.DATE,
             allowNull: true,
@@ -58,8 +90,14 @@ module.exports = (sequelize, Sequelize) => {
     }, {
         tableName: 'users',  // 明确指定数据库表名（必填，避免 Sequelize 自动复数化导致表名不符）
         timestamps: true,    // 自动添加 createdAt（创建时间）和 updatedAt（更新时间）字段
-        paranoid: false,     // 禁用软删除（若为 true，会添加 deletedAt 字段，删除时仅标记不真删）
+        paranoid: true,      // 软删除：删除时仅标记 deleted_at（进入回收站），用户名和邮箱在彻底删除前仍被占用
         underscored: true,   // 自动将驼峰命名转换为下划线命名（如 createdAt → created_at）
+        defaultScope: {      // 默认不查询密码和两步验证密钥等敏感字段，校验凭证时使用 User.scope('withSecrets')
+            attributes: { exclude: ['password', 'twoFactorSecret', 'twoFactorRecoveryCodes'] },
+        },
+        scopes: {
+            withSecrets: {}, // 包含全部字段
+        },
         indexes: [           // 定义数据库索引（优化查询性能）
             {
                 unique: true,
@@ -69,6 +107,9 @@ module.exports = (sequelize, Sequelize) => {
                 unique: true,
                 fields: ['username'],
             },
+            {
+                fields: ['deleted_at'],
+            },
         ],
     }
     )
@@ -15,6 +15,13 @@ const authController = require('../controllers/auth.controller');
  * /api/auth/login:
  *   post:
  *     summary: 用户登录
+ *     description: |
+ *       返回 token（访问令牌）、refreshToken（刷新令牌）、expiresIn（访问令牌有效秒数）和 refreshExpiresIn。
+ *       访问令牌有效期较短，过期后使用刷新令牌换取新令牌；旧版单一令牌模式（AUTH_TOKEN_MODE=legacy）只返回 token 和 expiresIn。
+ *       每次登录创建一个独立的登录会话，在其他设备登录不影响当前设备。
+ *       邮箱未验证的用户只能执行只读操作；配置为 block（UNVERIFIED_USER_POLICY=block）时不能登录。
+ *       已启用两步验证时不返回令牌，而是返回 twoFactorRequired、challengeToken（有效期 5 分钟）和 expiresIn，
+ *       需调用 /api/auth/2fa/verify 提交验证码完成登录
  *     tags: [认证]
  *     requestBody:
  *       required: true
@@ -32,6 +39,9 @@ const authController = require('../controllers/auth.controller');
  *               password:
  *                 type: string
  *                 description: 密码
+ *               deviceName:
+ *                 type: string
+ *                 description: 设备名称（可选，显示在登录会话列表中，不传时根据 User-Agent 识别）
  *     responses:
  *       200:
  *         description: 登录成功
@@ -53,6 +63,9 @@ router.post('/login', authController.login);
  * /api/auth/register:
  *   post:
  *     summary: 用户注册
+ *     description: |
+ *       注册后向邮箱发送验证邮件。默认返回令牌，验证邮箱前只能执行只读操作；
+ *       配置为 block（UNVERIFIED_USER_POLICY=block）时不返回令牌，完成邮箱验证后才能登录
  *     tags: [认证]
  *     requestBody:
  *       required: true
@@ -75,6 +88,9 @@ router.post('/login', authController.login);
  *               password:
  *                 type: string
  *                 description: 密码
+ *               deviceName:
+ *                 type: string
+ *                 description: 设备名称（可选）
  *     responses:
  *       201:
  *         description: 注册成功
@@ -96,6 +112,10 @@ router.post('/register', authController.register);
  * /api/auth/refresh-token:
  *   post:
  *     summary: 刷新访问令牌
+ *     description: |
+ *       刷新令牌只能使用一次，成功后返回新的访问令牌和刷新令牌，旧刷新令牌随即失效。
+ *       已使用过的刷新令牌再次提交时视为泄露，所属登录会话的所有令牌全部失效，需要重新登录。
+ *       旧版单一令牌模式下提交当前令牌（token），返回新令牌
  *     tags: [认证]
  *     requestBody:
  *       required: true
@@ -103,12 +123,13 @@ router.post('/register', authController.register);
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - refreshToken
  *             properties:
  *               refreshToken:
  *                 type: string
  *                 description: 刷新令牌
+ *               token:
+ *                 type: string
+ *                 description: 当前令牌（仅旧版单一令牌模式）
  *     responses:
  *       200:
  *         description: 刷新成功
@@ -130,6 +151,7 @@ router.post('/refresh-token', authController.refreshToken);
  * /api/auth/logout:
  *   post:
  *     summary: 用户登出
+ *     description: 当前登录会话的访问令牌和刷新令牌全部失效，其他设备不受影响
  *     tags: [认证]
  *     security:
  *       - bearerAuth: []
@@ -149,4 +171,560 @@ router.post('/refresh-token', authController.refreshToken);
  */
 router.post('/logout', authMiddleware.verifyToken, authController.logout);
 
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: 申请重置密码
+ *     description: |
+ *       向邮箱发送一次性的重置密码链接（默认 30 分钟内有效，重复申请时之前的链接失效）。
+ *       无论邮箱是否已注册，响应都相同
+ *     tags: [认证]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: 注册邮箱
+ *     responses:
+ *       200:
+ *         description: 已受理
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/forgot-password', authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: 重置密码
+ *     description: 使用邮件中的重置令牌设置新密码，令牌只能使用一次；重置成功后所有设备的登录会话失效
+ *     tags: [认证]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: 重置令牌（重置链接中的 token 参数）
+ *               newPassword:
+ *                 type: string
+ *                 description: 新密码（至少8位）
+ *               confirmPassword:
+ *                 type: string
+ *                 description: 确认密码
+ *     responses:
+ *       200:
+ *         description: 重置成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 参数错误或重置链接无效、已过期
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/reset-password', authController.resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: 验证邮箱
+ *     description: 使用验证邮件中的令牌完成邮箱验证（默认 24 小时内有效，邮箱变更后失效）
+ *     tags: [认证]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: 验证令牌（验证链接中的 token 参数）
+ *     responses:
+ *       200:
+ *         description: 验证成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 验证链接无效或已过期
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/verify-email', authController.verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: 重新发送验证邮件
+ *     description: |
+ *       已登录时发送给当前用户，同一用户 60 秒内只能发送一次；
+ *       未登录时（如配置为未验证不能登录）提交邮箱，无论邮箱是否存在响应都相同
+ *     tags: [认证]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: 注册邮箱（未登录时必填）
+ *     responses:
+ *       200:
+ *         description: 发送成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 邮箱已验证或参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: 发送过于频繁
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/resend-verification', authMiddleware.optionalAuth, authController.resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: 获取登录会话列表
+ *     description: 返回当前用户在各设备上的登录会话（按最近活跃时间倒序），current 为 true 的是当前会话
+ *     tags: [认证]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/sessions', authMiddleware.verifyToken, authController.getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/others:
+ *   delete:
+ *     summary: 退出其他设备
+ *     description: 撤销除当前会话外的全部登录会话
+ *     tags: [认证]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 撤销成功，data.count 为撤销的会话数
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/sessions/others', authMiddleware.verifyToken, authController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: 退出指定设备
+ *     description: 撤销指定登录会话，该设备上的令牌立即失效
+ *     tags: [认证]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 会话ID
+ *     responses:
+ *       200:
+ *         description: 撤销成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 会话不存在或已失效
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/sessions/:id', authMiddleware.verifyToken, authController.revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: 两步验证登录
+ *     description: |
+ *       提交登录时返回的 challengeToken 和验证码（或一次性恢复码）完成登录，成功后返回与登录相同的用户信息和令牌。
+ *       同一登录挑战最多尝试 5 次，超过后需重新输入密码登录
+ *     tags: [认证]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: 登录时返回的挑战令牌
+ *               code:
+ *                 type: string
+ *                 description: 身份验证器中的 6 位验证码
+ *               recoveryCode:
+ *                 type: string
+ *                 description: 恢复码（无法使用身份验证器时代替验证码，使用后失效）
+ *     responses:
+ *       200:
+ *         description: 登录成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 验证码或恢复码错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: 登录挑战已过期或失败次数过多
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/verify', authController.verifyTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: 获取两步验证状态
+ *     description: data 包含 enabled、enabledAt、recoveryCodesRemaining（剩余恢复码数量）和 required（当前角色是否必须启用）
+ *     tags: [认证]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/2fa', authMiddleware.verifyToken, authController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: 开始启用两步验证
+ *     description: |
+ *       生成 TOTP 密钥，返回 secret 和 otpauthUrl（可生成二维码供身份验证器扫描）。
+ *       密钥 10 分钟内有效，需调用 /api/auth/2fa/enable 提交第一个验证码完成启用
+ *     tags: [认证]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 生成成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 已启用两步验证
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/setup', authMiddleware.verifyToken, authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: 确认启用两步验证
+ *     description: 提交身份验证器生成的验证码完成启用，data.recoveryCodes 为一次性恢复码，只返回这一次，请提示用户下载保存
+ *     tags: [认证]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 身份验证器中的 6 位验证码
+ *     responses:
+ *       200:
+ *         description: 启用成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 验证码错误或密钥已过期
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/enable', authMiddleware.verifyToken, authController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: 重新生成恢复码
+ *     description: 提交当前验证码后生成新的恢复码，原恢复码全部失效
+ *     tags: [认证]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 身份验证器中的 6 位验证码
+ *     responses:
+ *       200:
+ *         description: 生成成功，data.recoveryCodes 为新的恢复码
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 验证码错误或未启用两步验证
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/recovery-codes', authMiddleware.verifyToken, authController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: 停用两步验证
+ *     description: 需要提交密码和当前验证码；要求管理员启用两步验证时，管理员不能停用
+ *     tags: [认证]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: 密码
+ *               code:
+ *                 type: string
+ *                 description: 身份验证器中的 6 位验证码
+ *     responses:
+ *       200:
+ *         description: 停用成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 密码或验证码错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/disable', authMiddleware.verifyToken, authController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   get:
+ *     summary: 获取两步验证策略
+ *     description: data.requireForAdmins 表示管理员是否必须启用两步验证
+ *     tags: [认证]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: 需要管理员权限
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/2fa/policy', authMiddleware.verifyToken, authMiddleware.isAdmin, authController.getTwoFactorPolicy);
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   put:
+ *     summary: 修改两步验证策略
+ *     description: |
+ *       开启后，未启用两步验证的管理员按普通用户处理，需先启用两步验证才能使用管理功能。
+ *       开启前当前管理员自己必须已启用两步验证
+ *     tags: [认证]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requireForAdmins
+ *             properties:
+ *               requireForAdmins:
+ *                 type: boolean
+ *                 description: 管理员是否必须启用两步验证
+ *     responses:
+ *       200:
+ *         description: 修改成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 当前管理员未启用两步验证
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: 需要管理员权限
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/2fa/policy', authMiddleware.verifyToken, authMiddleware.isAdmin, authController.updateTwoFactorPolicy);
+
 module.exports = router;
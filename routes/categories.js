@@ -0,0 +1,212 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middlewares/auth.middleware');
+const categoryController = require('../controllers/category.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 分类
+ *   description: 分类管理相关接口
+ */
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: 获取分类列表
+ *     description: 按排序值升序返回所有分类，包含每个分类下已发布文章数量（postCount）
+ *     tags: [分类]
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ */
+router.get('/', categoryController.getCategories);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   get:
+ *     summary: 获取分类详情
+ *     tags: [分类]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 分类ID或别名
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 分类不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', categoryController.getCategoryById);
+
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: 创建分类（管理员）
+ *     tags: [分类]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 分类名称
+ *               slug:
+ *                 type: string
+ *                 description: 分类别名（不填则根据名称生成）
+ *               description:
+ *                 type: string
+ *                 description: 分类描述
+ *               sortOrder:
+ *                 type: integer
+ *                 description: 排序值（越小越靠前）
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       409:
+ *         description: 分类名已存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+    '/',
+    authMiddleware.verifyToken,
+    authMiddleware.isAdmin,
+    categoryController.createCategory
+);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   put:
+ *     summary: 更新分类（管理员）
+ *     tags: [分类]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 分类ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 分类名称
+ *               slug:
+ *                 type: string
+ *                 description: 分类别名
+ *               description:
+ *                 type: string
+ *                 description: 分类描述
+ *               sortOrder:
+ *                 type: integer
+ *                 description: 排序值
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 分类不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+    '/:id',
+    authMiddleware.verifyToken,
+    authMiddleware.isAdmin,
+    categoryController.updateCategory
+);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   delete:
+ *     summary: 删除分类（管理员）
+ *     description: 分类下仍有文章（含回收站中的文章）时拒绝删除，除非通过 targetCategoryId 指定文章迁移的目标分类；删除后分类移入回收站
+ *     tags: [分类]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 分类ID
+ *       - in: query
+ *         name: targetCategoryId
+ *         schema:
+ *           type: integer
+ *         description: 文章迁移的目标分类ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 分类不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: 分类下仍有文章
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+    '/:id',
+    authMiddleware.verifyToken,
+    authMiddleware.isAdmin,
+    categoryController.deleteCategory
+);
+
+module.exports = router;
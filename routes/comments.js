@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middlewares/auth.middleware');
+const commentController = require('../controllers/comment.controller');
+const commentService = require('../services/comment.service');
+
+// 获取评论作者ID，用于资源所有者校验
+const getCommentOwnerId = req => commentService.getOwnerId(req.params.id);
+
+/**
+ * @swagger
+ * tags:
+ *   name: 评论
+ *   description: 评论管理相关接口
+ */
+
+/**
+ * @swagger
+ * /api/comments:
+ *   get:
+ *     summary: 获取评论列表（管理员）
+ *     tags: [评论]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: 每页数量
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, spam]
+ *         description: 评论状态筛选
+ *       - in: query
+ *         name: postId
+ *         schema:
+ *           type: integer
+ *         description: 文章筛选
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: 权限不足
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', authMiddleware.verifyToken, authMiddleware.isAdmin, commentController.getComments);
+
+/**
+ * @swagger
+ * /api/comments:
+ *   post:
+ *     summary: 发表评论
+ *     description: 登录用户直接评论；游客需提供昵称和邮箱。非管理员的评论需审核后展示
+ *     tags: [评论]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - postId
+ *               - content
+ *             properties:
+ *               postId:
+ *                 type: integer
+ *                 description: 文章ID
+ *               parentId:
+ *                 type: integer
+ *                 description: 回复的评论ID
+ *               content:
+ *                 type: string
+ *                 description: 评论内容
+ *               nickname:
+ *                 type: string
+ *                 description: 游客昵称（游客必填）
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: 游客邮箱（游客必填）
+ *     responses:
+ *       201:
+ *         description: 提交成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 请求参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', authMiddleware.optionalAuth, commentController.createComment);
+
+/**
+ * @swagger
+ * /api/comments/{id}/status:
+ *   patch:
+ *     summary: 审核评论（管理员）
+ *     tags: [评论]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 评论ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, approved, spam]
+ *                 description: 评论状态
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 评论不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch(
+    '/:id/status',
+    authMiddleware.verifyToken,
+    authMiddleware.isAdmin,
+    commentController.updateCommentStatus
+);
+
+/**
+ * @swagger
+ * /api/comments/{id}:
+ *   delete:
+ *     summary: 删除评论（评论作者或管理员）
+ *     tags: [评论]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 评论ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 评论不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+    '/:id',
+    authMiddleware.verifyToken,
+    authMiddleware.isResourceOwner(getCommentOwnerId),
+    commentController.deleteComment
+);
+
+module.exports = router;
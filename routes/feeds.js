@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const feedController = require('../controllers/feed.controller');
+const { FEED_FORMATS } = require('../services/feed.service');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 订阅
+ *   description: RSS / Atom / JSON Feed 订阅源（挂载在站点根路径，不带 /api 前缀）
+ */
+
+/**
+ * @swagger
+ * /feed.xml:
+ *   get:
+ *     summary: 全站 RSS 2.0 订阅源
+ *     description: 同样提供 /atom.xml（Atom 1.0）和 /feed.json（JSON Feed 1.1）。支持 If-None-Match / If-Modified-Since 条件请求
+ *     tags: [订阅]
+ *     responses:
+ *       200:
+ *         description: 订阅源内容
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: 订阅源未变化
+ */
+
+/**
+ * @swagger
+ * /categories/{slug}/feed.xml:
+ *   get:
+ *     summary: 分类 RSS 订阅源
+ *     description: 同样提供 atom.xml 和 feed.json；slug 也可以是分类ID
+ *     tags: [订阅]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 分类别名
+ *     responses:
+ *       200:
+ *         description: 订阅源内容
+ *       304:
+ *         description: 订阅源未变化
+ *       404:
+ *         description: 分类不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /tags/{slug}/feed.xml:
+ *   get:
+ *     summary: 标签 RSS 订阅源
+ *     description: 同样提供 atom.xml 和 feed.json；slug 也可以是标签ID
+ *     tags: [订阅]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 标签别名
+ *     responses:
+ *       200:
+ *         description: 订阅源内容
+ *       304:
+ *         description: 订阅源未变化
+ *       404:
+ *         description: 标签不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /authors/{username}/feed.xml:
+ *   get:
+ *     summary: 作者 RSS 订阅源
+ *     description: 同样提供 atom.xml 和 feed.json
+ *     tags: [订阅]
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 作者用户名
+ *     responses:
+ *       200:
+ *         description: 订阅源内容
+ *       304:
+ *         description: 订阅源未变化
+ *       404:
+ *         description: 作者不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+Object.entries(FEED_FORMATS).forEach(([format, { file }]) => {
+    router.get(`/${file}`, feedController.getFeed(format));
+    router.get(`/categories/:value/${file}`, feedController.getFeed(format, 'category'));
+    router.get(`/tags/:value/${file}`, feedController.getFeed(format, 'tag'));
+    router.get(`/authors/:value/${file}`, feedController.getFeed(format, 'author'));
+});
+
+module.exports = router;
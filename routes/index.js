@@ -10,11 +10,14 @@ const router = express.Router();
 
 // 导入模块化路由
 const authRoutes = require('./auth');
-// const userRoutes = require('./users');
+const userRoutes = require('./users');
 const postRoutes = require('./posts');
-// const commentRoutes = require('./comments');
-// const tagRoutes = require('./tags');
-// const categoryRoutes = require('./categories');
+const commentRoutes = require('./comments');
+const tagRoutes = require('./tags');
+const categoryRoutes = require('./categories');
+const searchRoutes = require('./search');
+const seriesRoutes = require('./series');
+const trashRoutes = require('./trash');
 // const systemRoutes = require('./system');
 // const exampleRoutes = require('./example');
 // const aiRoutes = require('./ai');
@@ -61,11 +64,14 @@ router.get('/health', (req, res) => {
 
 // 注册模块化路由
 router.use('/auth', authRoutes);
-// router.use('/users', userRoutes); // 统一用户路由
+router.use('/users', userRoutes); // 统一用户路由
 router.use('/posts', postRoutes);
-// router.use('/comments', commentRoutes);
-// router.use('/tags', tagRoutes);
-// router.use('/categories', categoryRoutes);
+router.use('/comments', commentRoutes);
+router.use('/tags', tagRoutes);
+router.use('/categories', categoryRoutes);
+router.use('/search', searchRoutes);
+router.use('/series', seriesRoutes);
+router.use('/trash', trashRoutes);
 // router.use('/system', systemRoutes);
 // router.use('/example', exampleRoutes);
 // router.use('/ai', aiRoutes);
@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middlewares/auth.middleware');
 const postController = require('../controllers/post.controller');
+const commentController = require('../controllers/comment.controller');
+const archiveController = require('../controllers/archive.controller');
+const postService = require('../services/post.service');
+
+// 获取文章作者ID，用于资源所有者校验
+const getPostOwnerId = req => postService.getOwnerId(req.params.id);
 
 /**
  * @swagger
@@ -15,7 +21,7 @@ const postController = require('../controllers/post.controller');
  * /api/posts:
  *   get:
  *     summary: 获取公开文章列表（前台展示）
- *     description: 返回所有已发布且审核通过的文章
+ *     description: 返回所有已发布且审核通过的文章，按发布时间倒序，包含作者和分类信息
  *     tags: [文章]
  *     parameters:
  *       - in: query
@@ -34,7 +40,12 @@ const postController = require('../controllers/post.controller');
  *         name: tag
  *         schema:
  *           type: string
- *         description: 标签筛选
+ *         description: 标签筛选（标签名、别名或ID）
+ *       - in: query
+ *         name: tagId
+ *         schema:
+ *           type: integer
+ *         description: 标签ID筛选
  *       - in: query
  *         name: categoryId
  *         schema:
@@ -45,6 +56,11 @@ const postController = require('../controllers/post.controller');
  *         schema:
  *           type: string
  *         description: 搜索关键词
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: 按发布年份筛选
  *     responses:
  *       200:
  *         description: 获取成功
@@ -53,13 +69,877 @@ const postController = require('../controllers/post.controller');
  *             schema:
  *               $ref: '#/components/schemas/PaginationResponse'
  */
-router.get('/', postController.getAllPosts);
+router.get('/', authMiddleware.optionalAuth, postController.getAllPosts);
+
+/**
+ * @swagger
+ * /api/posts/audit/pending:
+ *   get:
+ *     summary: 获取待审核文章列表（管理员）
+ *     description: 包含已发布和定时发布（status 为 3）的待审核文章，定时发布的文章可提前审核
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: 权限不足
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+    '/audit/pending',
+    authMiddleware.verifyToken,
+    authMiddleware.isAdmin,
+    postController.getPendingPosts
+);
+
+/**
+ * @swagger
+ * /api/posts/archive:
+ *   get:
+ *     summary: 获取文章归档
+ *     description: 按年、月分组返回已发布文章的数量和标题（按站点时区划分，年月均为倒序），结果缓存在 Redis 中
+ *     tags: [文章]
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: 只返回指定年份
+ *     responses:
+ *       200:
+ *         description: '获取成功，data 为 { total, years: [{ year, count, months: [{ month, count, posts }] }] }'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 年份格式不正确
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/archive', archiveController.getArchive);
+
+/**
+ * @swagger
+ * /api/posts/calendar:
+ *   get:
+ *     summary: 获取发布日历
+ *     description: 返回指定年份每天的文章发布数量（只包含有发布的日期），用于绘制贡献热力图，结果缓存在 Redis 中
+ *     tags: [文章]
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: 年份（默认当前年份）
+ *     responses:
+ *       200:
+ *         description: '获取成功，data 为 { year, timezone, total, maxCount, days: [{ date, count }] }'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 年份格式不正确
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/calendar', archiveController.getCalendar);
+
+/**
+ * @swagger
+ * /api/posts:
+ *   post:
+ *     summary: 创建文章
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - content
+ *               - typeId
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: 文章标题
+ *               slug:
+ *                 type: string
+ *                 description: 文章别名（不填则根据标题生成，中文转换为拼音）
+ *               content:
+ *                 type: string
+ *                 description: 文章内容
+ *               summary:
+ *                 type: string
+ *                 description: 文章摘要（留空时根据正文自动生成）
+ *               coverImage:
+ *                 type: string
+ *                 description: 封面图片
+ *               status:
+ *                 type: integer
+ *                 enum: [0, 1, 2, 3]
+ *                 description: 文章状态（0草稿 1已发布 2已归档 3定时发布）
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: 定时发布时间（状态为3时必填，需晚于当前时间）
+ *               typeId:
+ *                 type: integer
+ *                 description: 分类ID
+ *               tagIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: 标签ID列表
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 标签名列表（不存在的标签会自动创建）
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 请求参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', authMiddleware.verifyToken, postController.createPost);
+
+/**
+ * @swagger
+ * /api/posts/by-slug/{slug}:
+ *   get:
+ *     summary: 根据别名获取文章详情
+ *     description: |
+ *       别名为文章当前别名时返回文章详情；为历史别名时返回跳转提示
+ *       { redirect: true, id, slug, permalink }，前端据此跳转到当前地址。
+ *       未发布或未审核通过的文章仅作者和管理员可以预览
+ *     tags: [文章]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 文章别名
+ *     responses:
+ *       200:
+ *         description: 获取成功（文章详情或跳转提示）
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/by-slug/:slug', authMiddleware.optionalAuth, postController.getPostBySlug);
 
+/**
+ * @swagger
+ * /api/posts/{id}:
+ *   get:
+ *     summary: 获取文章详情
+ *     description: 未发布或未审核通过的文章仅作者和管理员可以预览
+ *     tags: [文章]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 文章ID或别名
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', authMiddleware.optionalAuth, postController.getPostById);
+
+/**
+ * @swagger
+ * /api/posts/{id}/related:
+ *   get:
+ *     summary: 获取相关文章推荐
+ *     description: |
+ *       根据共同标签、同分类和标题共同词计算相关度，同分时较新的文章优先；
+ *       只返回已发布且审核通过的文章（不含当前文章），每篇带有相关度得分 score。
+ *       结果按文章缓存，文章标签、分类或标题变化时自动失效。
+ *     tags: [文章]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: 返回数量（最大 20）
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id/related', authMiddleware.optionalAuth, postController.getRelatedPosts);
+
+/**
+ * @swagger
+ * /api/posts/{id}/comments:
+ *   get:
+ *     summary: 获取文章评论
+ *     description: 返回已审核评论的树形结构，按顶层评论分页；未公开文章的评论仅作者本人和管理员可见
+ *     tags: [评论]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页顶层评论数量
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id/comments', authMiddleware.optionalAuth, commentController.getPostComments);
+
+/**
+ * @swagger
+ * /api/posts/{id}/like:
+ *   post:
+ *     summary: 点赞文章
+ *     description: 幂等操作，重复请求不会产生重复记录
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/like', authMiddleware.verifyToken, postController.likePost);
+
+/**
+ * @swagger
+ * /api/posts/{id}/like:
+ *   delete:
+ *     summary: 取消点赞
+ *     description: 幂等操作，重复请求不会产生重复记录
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:id/like', authMiddleware.verifyToken, postController.unlikePost);
+
+/**
+ * @swagger
+ * /api/posts/{id}/bookmark:
+ *   post:
+ *     summary: 收藏文章
+ *     description: 幂等操作，重复请求不会产生重复记录
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/bookmark', authMiddleware.verifyToken, postController.bookmarkPost);
+
+/**
+ * @swagger
+ * /api/posts/{id}/bookmark:
+ *   delete:
+ *     summary: 取消收藏
+ *     description: 幂等操作，重复请求不会产生重复记录
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: 未授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:id/bookmark', authMiddleware.verifyToken, postController.unbookmarkPost);
+
+/**
+ * @swagger
+ * /api/posts/{id}:
+ *   put:
+ *     summary: 更新文章（作者或管理员）
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: 文章标题
+ *               slug:
+ *                 type: string
+ *                 description: 文章别名（中文转换为拼音；修改后旧别名仍可通过 /api/posts/by-slug/{slug} 跳转，传空字符串则根据标题重新生成）
+ *               content:
+ *                 type: string
+ *                 description: 文章内容
+ *               summary:
+ *                 type: string
+ *                 description: 文章摘要（留空时根据正文自动生成）
+ *               coverImage:
+ *                 type: string
+ *                 description: 封面图片
+ *               status:
+ *                 type: integer
+ *                 enum: [0, 1, 2, 3]
+ *                 description: 文章状态（设置为1时记录发布时间，设置为3时到点自动发布）
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: 定时发布时间（状态为3时必填，需晚于当前时间）
+ *               typeId:
+ *                 type: integer
+ *                 description: 分类ID
+ *               tagIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: 标签ID列表
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 标签名列表（不存在的标签会自动创建）
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: 无权修改
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+    '/:id',
+    authMiddleware.verifyToken,
+    authMiddleware.isResourceOwner(getPostOwnerId),
+    postController.updatePost
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}:
+ *   delete:
+ *     summary: 删除文章（作者或管理员）
+ *     description: 文章移入回收站，管理员可在回收站中恢复或彻底删除
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: 无权删除
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+    '/:id',
+    authMiddleware.verifyToken,
+    authMiddleware.isResourceOwner(getPostOwnerId),
+    postController.deletePost
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/audit:
+ *   patch:
+ *     summary: 审核文章（管理员）
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - auditStatus
+ *             properties:
+ *               auditStatus:
+ *                 type: integer
+ *                 enum: [1, 2]
+ *                 description: 审核结果（1通过 2驳回）
+ *               reason:
+ *                 type: string
+ *                 description: 驳回原因（驳回时必填）
+ *     responses:
+ *       200:
+ *         description: 审核成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 请求参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
 router.patch(
     '/:id/audit',
     authMiddleware.verifyToken,
     authMiddleware.isAdmin,
-    // postController.auditPost
+    postController.auditPost
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/audits:
+ *   get:
+ *     summary: 获取文章审核记录（作者或管理员）
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+    '/:id/audits',
+    authMiddleware.verifyToken,
+    authMiddleware.isResourceOwner(getPostOwnerId),
+    postController.getAuditHistory
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions:
+ *   get:
+ *     summary: 获取文章历史版本列表（作者或管理员）
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 获取成功（列表不含正文）
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+    '/:id/revisions',
+    authMiddleware.verifyToken,
+    authMiddleware.isResourceOwner(getPostOwnerId),
+    postController.getRevisions
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/diff:
+ *   get:
+ *     summary: 逐行比较文章的两个历史版本（作者或管理员）
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 旧版本ID
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 新版本ID
+ *     responses:
+ *       200:
+ *         description: 比较成功，按字段返回差异行（equal/added/removed）
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 历史版本不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+    '/:id/revisions/diff',
+    authMiddleware.verifyToken,
+    authMiddleware.isResourceOwner(getPostOwnerId),
+    postController.diffRevisions
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/{revisionId}:
+ *   get:
+ *     summary: 获取文章指定历史版本（作者或管理员）
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 版本ID
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 历史版本不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+    '/:id/revisions/:revisionId',
+    authMiddleware.verifyToken,
+    authMiddleware.isResourceOwner(getPostOwnerId),
+    postController.getRevision
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/{revisionId}/restore:
+ *   post:
+ *     summary: 恢复文章到指定历史版本（作者或管理员）
+ *     description: 恢复后的内容作为一个新版本保存，原有版本不受影响
+ *     tags: [文章]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 文章ID
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 版本ID
+ *     responses:
+ *       200:
+ *         description: 恢复成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 文章或历史版本不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: 文章内容与该版本一致
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+    '/:id/revisions/:revisionId/restore',
+    authMiddleware.verifyToken,
+    authMiddleware.isResourceOwner(getPostOwnerId),
+    postController.restoreRevision
 );
 
 module.exports = router;
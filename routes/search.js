@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middlewares/auth.middleware');
+const searchController = require('../controllers/search.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 搜索
+ *   description: 文章全文搜索相关接口
+ */
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: 全文搜索文章
+ *     description: 基于 FULLTEXT（ngram）索引搜索标题、摘要和正文，按相关度排序，返回高亮片段（关键词包裹在 mark 标签中）
+ *     tags: [搜索]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 搜索关键词
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页数量（最多 50）
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: integer
+ *         description: 分类ID
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: 标签别名、名称或ID
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: 作者用户名或ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 发布日期起
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 发布日期止（包含当天）
+ *     responses:
+ *       200:
+ *         description: 搜索成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 请求参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', searchController.search);
+
+/**
+ * @swagger
+ * /api/search/suggest:
+ *   get:
+ *     summary: 搜索联想
+ *     description: 按前缀匹配已公开文章的标题和标签名
+ *     tags: [搜索]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 输入前缀
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: 每类最多返回数量（最多 20）
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ */
+router.get('/suggest', searchController.suggest);
+
+/**
+ * @swagger
+ * /api/search/stats:
+ *   get:
+ *     summary: 获取搜索索引状态（管理员）
+ *     tags: [搜索]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功，返回索引驱动、文档数和词条数
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: 权限不足
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/stats', authMiddleware.verifyToken, authMiddleware.isAdmin, searchController.getStats);
+
+/**
+ * @swagger
+ * /api/search/reindex:
+ *   post:
+ *     summary: 重建搜索索引（管理员）
+ *     description: 不传 postId 时重建全部索引；MySQL 全文索引由数据库自动维护，仅返回索引状态
+ *     tags: [搜索]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               postId:
+ *                 type: integer
+ *                 description: 只重建指定文章的索引
+ *     responses:
+ *       200:
+ *         description: 重建完成，返回索引状态
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: 权限不足
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/reindex', authMiddleware.verifyToken, authMiddleware.isAdmin, searchController.reindex);
+
+module.exports = router;
@@ -0,0 +1,300 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middlewares/auth.middleware');
+const seriesController = require('../controllers/series.controller');
+const seriesService = require('../services/series.service');
+
+// 获取系列创建者ID（供资源所有者校验使用）
+const getSeriesOwnerId = req => seriesService.getOwnerId(req.params.id);
+
+/**
+ * @swagger
+ * tags:
+ *   name: 系列
+ *   description: 文章系列（合集）相关接口
+ */
+
+/**
+ * @swagger
+ * /api/series:
+ *   get:
+ *     summary: 获取系列列表
+ *     description: 按最近更新时间降序返回系列，包含每个系列已发布的文章数量（partCount）
+ *     tags: [系列]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页数量（最大 50）
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: 按创建者筛选
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ */
+router.get('/', seriesController.getSeriesList);
+
+/**
+ * @swagger
+ * /api/series/{slug}:
+ *   get:
+ *     summary: 获取系列详情
+ *     description: |
+ *       返回系列信息及按顺序排列的全部文章（parts），每篇文章带有发布状态 state：
+ *       published（已发布）、scheduled（定时发布）、pending（待审核）、draft（草稿）、archived（已归档）。
+ *       草稿、待审核和已归档的文章仅系列创建者和管理员可见。
+ *     tags: [系列]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 系列别名（兼容ID）
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 系列不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:slug', authMiddleware.optionalAuth, seriesController.getSeriesBySlug);
+
+/**
+ * @swagger
+ * /api/series:
+ *   post:
+ *     summary: 创建系列
+ *     tags: [系列]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: 系列标题
+ *               slug:
+ *                 type: string
+ *                 description: 系列别名（不填则根据标题生成）
+ *               description:
+ *                 type: string
+ *                 description: 系列简介
+ *               coverImage:
+ *                 type: string
+ *                 description: 封面图片地址
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 参数错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', authMiddleware.verifyToken, seriesController.createSeries);
+
+/**
+ * @swagger
+ * /api/series/{id}:
+ *   put:
+ *     summary: 更新系列（创建者或管理员）
+ *     tags: [系列]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 系列ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: 系列标题
+ *               slug:
+ *                 type: string
+ *                 description: 系列别名
+ *               description:
+ *                 type: string
+ *                 description: 系列简介
+ *               coverImage:
+ *                 type: string
+ *                 description: 封面图片地址
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: 无权操作
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 系列不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+    '/:id',
+    authMiddleware.verifyToken,
+    authMiddleware.isResourceOwner(getSeriesOwnerId),
+    seriesController.updateSeries
+);
+
+/**
+ * @swagger
+ * /api/series/{id}/posts:
+ *   put:
+ *     summary: 设置系列文章及顺序（创建者或管理员）
+ *     description: |
+ *       按 postIds 的顺序一次性设置系列中的全部文章：列表中的文章加入系列并按位置排序，
+ *       原有但不在列表中的文章移出系列。非管理员只能加入自己的文章，已属于其他系列的文章需先从原系列移除。
+ *     tags: [系列]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 系列ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - postIds
+ *             properties:
+ *               postIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: 按顺序排列的文章ID
+ *                 example: [12, 15, 13]
+ *     responses:
+ *       200:
+ *         description: 更新成功，返回系列详情
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 参数错误或文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: 无权操作
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: 文章已属于其他系列
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+    '/:id/posts',
+    authMiddleware.verifyToken,
+    authMiddleware.isResourceOwner(getSeriesOwnerId),
+    seriesController.setParts
+);
+
+/**
+ * @swagger
+ * /api/series/{id}:
+ *   delete:
+ *     summary: 删除系列（创建者或管理员）
+ *     description: 系列中的文章不会被删除，仅解除与系列的关联
+ *     tags: [系列]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 系列ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: 无权操作
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 系列不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+    '/:id',
+    authMiddleware.verifyToken,
+    authMiddleware.isResourceOwner(getSeriesOwnerId),
+    seriesController.deleteSeries
+);
+
+module.exports = router;
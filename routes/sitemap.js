@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const sitemapController = require('../controllers/sitemap.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: SEO
+ *   description: 站点地图和 robots.txt（挂载在站点根路径，不带 /api 前缀）
+ */
+
+/**
+ * @swagger
+ * /sitemap.xml:
+ *   get:
+ *     summary: 站点地图
+ *     description: 包含公开文章以及有公开文章的分类、标签和作者页面；链接数超过单个站点地图上限时返回站点地图索引
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: 站点地图或站点地图索引
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ */
+router.get('/sitemap.xml', sitemapController.getSitemap);
+
+/**
+ * @swagger
+ * /sitemaps/pages.xml:
+ *   get:
+ *     summary: 页面子站点地图（首页、分类、标签、作者）
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: 站点地图
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ */
+router.get('/sitemaps/pages.xml', sitemapController.getPagesSitemap);
+
+/**
+ * @swagger
+ * /sitemaps/posts-{page}.xml:
+ *   get:
+ *     summary: 文章子站点地图（分页）
+ *     tags: [SEO]
+ *     parameters:
+ *       - in: path
+ *         name: page
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 页码
+ *     responses:
+ *       200:
+ *         description: 站点地图
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: 页码超出范围
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/sitemaps/posts-:page.xml', sitemapController.getPostsSitemap);
+
+/**
+ * @swagger
+ * /robots.txt:
+ *   get:
+ *     summary: robots.txt
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: robots.txt 内容
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+router.get('/robots.txt', sitemapController.getRobots);
+
+module.exports = router;
@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middlewares/auth.middleware');
+const tagController = require('../controllers/tag.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 标签
+ *   description: 标签管理相关接口
+ */
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: 获取标签列表
+ *     tags: [标签]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: 每页数量
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: 按标签名搜索
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ */
+router.get('/', tagController.getTags);
+
+/**
+ * @swagger
+ * /api/tags/cloud:
+ *   get:
+ *     summary: 获取标签云
+ *     description: 返回包含已发布文章的标签及其文章数量，按文章数量倒序
+ *     tags: [标签]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: 返回数量上限
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ */
+router.get('/cloud', tagController.getTagCloud);
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   get:
+ *     summary: 根据ID获取标签
+ *     tags: [标签]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 标签ID
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 标签不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', tagController.getTagById);
+
+/**
+ * @swagger
+ * /api/tags:
+ *   post:
+ *     summary: 创建标签（管理员）
+ *     tags: [标签]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 标签名称
+ *               slug:
+ *                 type: string
+ *                 description: 标签别名（不填则根据名称生成）
+ *               description:
+ *                 type: string
+ *                 description: 标签描述
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       409:
+ *         description: 标签名已存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/', authMiddleware.verifyToken, authMiddleware.isAdmin, tagController.createTag);
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   put:
+ *     summary: 更新标签（管理员）
+ *     tags: [标签]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 标签ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 标签名称
+ *               slug:
+ *                 type: string
+ *                 description: 标签别名
+ *               description:
+ *                 type: string
+ *                 description: 标签描述
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 标签不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:id', authMiddleware.verifyToken, authMiddleware.isAdmin, tagController.updateTag);
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   delete:
+ *     summary: 删除标签（管理员）
+ *     tags: [标签]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 标签ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 标签不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:id', authMiddleware.verifyToken, authMiddleware.isAdmin, tagController.deleteTag);
+
+module.exports = router;
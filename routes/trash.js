@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middlewares/auth.middleware');
+const trashController = require('../controllers/trash.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 回收站
+ *   description: 已删除的文章、用户和分类的恢复与彻底删除（管理员）
+ */
+
+// 回收站接口仅管理员可用
+router.use(authMiddleware.verifyToken, authMiddleware.isAdmin);
+
+/**
+ * @swagger
+ * /api/trash/{type}:
+ *   get:
+ *     summary: 获取回收站列表（管理员）
+ *     description: 按删除时间倒序返回，purgeAt 为保留期满自动彻底删除的时间（未开启自动清理时为 null）
+ *     tags: [回收站]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [posts, users, categories]
+ *         description: 内容类型
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: 每页数量（最大 100）
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: 不支持的类型
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: 需要管理员权限
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:type', trashController.getTrash);
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}/restore:
+ *   post:
+ *     summary: 从回收站恢复（管理员）
+ *     tags: [回收站]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [posts, users, categories]
+ *         description: 内容类型
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 记录ID
+ *     responses:
+ *       200:
+ *         description: 恢复成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 回收站中不存在该记录
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:type/:id/restore', trashController.restore);
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}:
+ *   delete:
+ *     summary: 彻底删除（管理员）
+ *     description: |
+ *       不可恢复。彻底删除用户时，其文章和系列一并删除，评论保留并显示为已注销用户；
+ *       有审核记录的用户和仍有文章的分类不能彻底删除
+ *     tags: [回收站]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [posts, users, categories]
+ *         description: 内容类型
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 记录ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: 回收站中不存在该记录
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: 存在关联数据，不能彻底删除
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/:type/:id', trashController.purge);
+
+module.exports = router;
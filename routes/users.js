@@ -1,8 +1,6 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middlewares/auth.middleware');
-const { uploadUtil, UploadPresets } = require('../utils/upload');
-const UploadMiddleware = require('../middlewares/upload.middleware');
 const userController = require('../controllers/user.controller');
 
 /**
@@ -12,123 +10,6 @@ const userController = require('../controllers/user.controller');
  *   description: 用户管理相关接口
  */
 
-/**
- * @swagger
- * /api/users:
- *   get:
- *     summary: 获取所有用户 (管理员)
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: 页码
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: 每页数量
- *     responses:
- *       200:
- *         description: 获取成功
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/PaginationResponse'
- *       401:
- *         description: 未授权
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       403:
- *         description: 权限不足
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.get('/', authMiddleware.verifyToken, authMiddleware.isAdmin, userController.getAllUsers);
-
-/**
- * @swagger
- * /api/users/profile:
- *   get:
- *     summary: 获取用户资料
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: 获取成功
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
- *       401:
- *         description: 未授权
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.get('/profile', authMiddleware.verifyToken, userController.getProfile);
-
-/**
- * @swagger
- * /api/users/profile:
- *   put:
- *     summary: 更新用户资料
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               nickname:
- *                 type: string
- *                 description: 昵称
- *               email:
- *                 type: string
- *                 format: email
- *                 description: 邮箱
- *               bio:
- *                 type: string
- *                 description: 个人简介
- *               location:
- *                 type: string
- *                 description: 位置
- *               website:
- *                 type: string
- *                 description: 个人网站
- *               socialLinks:
- *                 type: object
- *                 description: 社交链接
- *     responses:
- *       200:
- *         description: 更新成功
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
- *       400:
- *         description: 请求参数错误
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.put('/profile', authMiddleware.verifyToken, userController.updateProfile);
-
 /**
  * @swagger
  * /api/users/password:
@@ -175,28 +56,28 @@ router.put('/password', authMiddleware.verifyToken, userController.changePasswor
 
 /**
  * @swagger
- * /api/users/avatar:
- *   post:
- *     summary: 上传头像
+ * /api/users/account:
+ *   delete:
+ *     summary: 删除账户
+ *     description: 账户移入回收站，保留期内管理员可恢复，期间用户名和邮箱不可被重新注册
  *     tags: [用户]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
  *             required:
- *               - avatar
+ *               - password
  *             properties:
- *               avatar:
+ *               password:
  *                 type: string
- *                 format: binary
- *                 description: 头像文件
+ *                 description: 确认密码
  *     responses:
  *       200:
- *         description: 上传成功
+ *         description: 删除成功
  *         content:
  *           application/json:
  *             schema:
@@ -208,21 +89,32 @@ router.put('/password', authMiddleware.verifyToken, userController.changePasswor
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post(
-    '/avatar',
+router.delete('/account', authMiddleware.verifyToken, userController.deleteAccount);
+
+/**
+ * @swagger
+ * /api/users/todo-items:
+ *   get:
+ *     summary: 获取管理员待办事项
+ *     tags: [用户]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get(
+    '/todo-items',
     authMiddleware.verifyToken,
-    ...UploadMiddleware.createUploadChain(uploadUtil.createUploader(UploadPresets.AVATAR), {
-        maxCount: 1,
-        requiredFields: ['avatar'],
-    }),
-    userController.uploadAvatar
+    authMiddleware.isAdmin,
+    userController.getAdminTodoItems
 );
 
 /**
  * @swagger
- * /api/users/activities:
+ * /api/users/bookmarks:
  *   get:
- *     summary: 获取用户活动记录
+ *     summary: 获取当前用户收藏的文章
  *     tags: [用户]
  *     security:
  *       - bearerAuth: []
@@ -253,37 +145,13 @@ router.post(
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/activities', authMiddleware.verifyToken, userController.getActivities);
-
-/**
- * @swagger
- * /api/users/achievements:
- *   get:
- *     summary: 获取用户成就
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: 获取成功
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
- *       401:
- *         description: 未授权
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.get('/achievements', authMiddleware.verifyToken, userController.getAchievements);
+router.get('/bookmarks', authMiddleware.verifyToken, userController.getBookmarks);
 
 /**
  * @swagger
- * /api/users/stats:
+ * /api/users/me:
  *   get:
- *     summary: 获取用户统计数据
+ *     summary: 获取当前用户信息
  *     tags: [用户]
  *     security:
  *       - bearerAuth: []
@@ -301,180 +169,16 @@ router.get('/achievements', authMiddleware.verifyToken, userController.getAchiev
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/stats', authMiddleware.verifyToken, userController.getStats);
-
-/**
- * @swagger
- * /api/users/export:
- *   post:
- *     summary: 导出用户数据
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: 导出成功
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
- *       401:
- *         description: 未授权
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.post('/export', authMiddleware.verifyToken, userController.exportData);
-
-/**
- * @swagger
- * /api/users/account:
- *   delete:
- *     summary: 删除账户
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - password
- *             properties:
- *               password:
- *                 type: string
- *                 description: 确认密码
- *     responses:
- *       200:
- *         description: 删除成功
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
- *       400:
- *         description: 请求参数错误
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.delete('/account', authMiddleware.verifyToken, userController.deleteAccount);
-
-/**
- * @swagger
- * /api/users/upload:
- *   post:
- *     summary: 批量上传文件
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: type
- *         schema:
- *           type: string
- *           enum: [avatar, article, document, general]
- *           default: general
- *         description: 上传类型
- *       - in: query
- *         name: maxCount
- *         schema:
- *           type: integer
- *           default: 10
- *         description: 最大文件数量
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             required:
- *               - files
- *             properties:
- *               files:
- *                 type: array
- *                 items:
- *                   type: string
- *                   format: binary
- *                 description: 文件列表
- *     responses:
- *       200:
- *         description: 上传成功
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
- *       400:
- *         description: 请求参数错误
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.post(
-    '/upload',
-    authMiddleware.verifyToken,
-    ...UploadMiddleware.createUploadChain(uploadUtil.createUploader(UploadPresets.GENERAL), {
-        maxCount: 10,
-        enableCleanup: true,
-    }),
-    userController.batchUpload
-);
-
-/**
- * @swagger
- * /api/users/file:
- *   delete:
- *     summary: 删除文件
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - filePath
- *             properties:
- *               filePath:
- *                 type: string
- *                 description: 文件路径
- *     responses:
- *       200:
- *         description: 删除成功
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
- *       400:
- *         description: 请求参数错误
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.delete('/file', authMiddleware.verifyToken, userController.deleteFile);
+router.get('/me', authMiddleware.verifyToken, userController.getCurrentUser);
 
 /**
  * @swagger
- * /api/users/upload-stats:
+ * /api/users/info:
  *   get:
- *     summary: 获取上传统计信息
+ *     summary: 获取当前用户信息 (兼容接口)
  *     tags: [用户]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: uploadDir
- *         schema:
- *           type: string
- *           default: uploads
- *         description: 上传目录
  *     responses:
  *       200:
  *         description: 获取成功
@@ -489,46 +193,14 @@ router.delete('/file', authMiddleware.verifyToken, userController.deleteFile);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/upload-stats', authMiddleware.verifyToken, userController.getUploadStats);
-
-/**
- * @swagger
- * /api/users/publish-trend:
- *   get:
- *     summary: 获取用户发布趋势（最近6个月）
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: 获取成功
- */
-router.get('/publish-trend', authMiddleware.verifyToken, userController.getPublishTrend);
-
-/**
- * @swagger
- * /api/users/todo-items:
- *   get:
- *     summary: 获取管理员待办事项
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: 获取成功
- */
-router.get(
-    '/todo-items',
-    authMiddleware.verifyToken,
-    authMiddleware.isAdmin,
-    userController.getAdminTodoItems
-);
+router.get('/info', authMiddleware.verifyToken, userController.getCurrentUser);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
  *     summary: 根据ID获取用户信息
+ *     description: 只能获取自己的信息，管理员可获取任意用户
  *     tags: [用户]
  *     security:
  *       - bearerAuth: []
@@ -552,6 +224,12 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: 无权访问
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: 用户不存在
  *         content:
@@ -559,7 +237,12 @@ router.get(
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', authMiddleware.verifyToken, userController.getUserById);
+router.get(
+    '/:id',
+    authMiddleware.verifyToken,
+    authMiddleware.isResourceOwner(req => parseInt(req.params.id)),
+    userController.getUserById
+);
 
 /**
  * @swagger
@@ -623,74 +306,12 @@ router.get('/:id', authMiddleware.verifyToken, userController.getUserById);
  */
 router.post('/', authMiddleware.verifyToken, authMiddleware.isAdmin, userController.createUser);
 
-/**
- * @swagger
- * /api/users/{id}:
- *   put:
- *     summary: 更新用户信息
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: 用户ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               username:
- *                 type: string
- *                 description: 用户名
- *               email:
- *                 type: string
- *                 format: email
- *                 description: 邮箱
- *               bio:
- *                 type: string
- *                 description: 个人简介
- *               avatar:
- *                 type: string
- *                 description: 头像URL
- *     responses:
- *       200:
- *         description: 更新成功
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
- *       400:
- *         description: 更新失败
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       401:
- *         description: 未授权
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       404:
- *         description: 用户不存在
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.put('/:id', authMiddleware.verifyToken, userController.updateUser);
-
 /**
  * @swagger
  * /api/users/{id}:
  *   delete:
- *     summary: 删除用户
+ *     summary: 删除用户（管理员）
+ *     description: 用户移入回收站，可在回收站中恢复；保留期满后自动彻底删除
  *     tags: [用户]
  *     security:
  *       - bearerAuth: []
@@ -721,54 +342,6 @@ router.put('/:id', authMiddleware.verifyToken, userController.updateUser);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', authMiddleware.verifyToken, userController.deleteUser);
-
-/**
- * @swagger
- * /api/users/me:
- *   get:
- *     summary: 获取当前用户信息
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: 获取成功
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
- *       401:
- *         description: 未授权
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.get('/me', authMiddleware.verifyToken, userController.getCurrentUser);
-
-/**
- * @swagger
- * /api/user/info:
- *   get:
- *     summary: 获取当前用户信息 (兼容接口)
- *     tags: [用户]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: 获取成功
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
- *       401:
- *         description: 未授权
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.get('/info', authMiddleware.verifyToken, userController.getCurrentUser);
+router.delete('/:id', authMiddleware.verifyToken, authMiddleware.isAdmin, userController.deleteUser);
 
 module.exports = router;
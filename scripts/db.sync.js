@@ -12,8 +12,18 @@ async function syncDatabase() {
                 // 1. 先处理“基础表”（无外键依赖的表）
                 [db.User, 'ASC'],         // users 表（posts 依赖它）
                 [db.Categroup, 'ASC'],    // categroup 表（posts 依赖它）
+                [db.Tag, 'ASC'],          // tags 表
+                [db.Series, 'ASC'],       // series 表（posts 依赖它）
+                [db.Setting, 'ASC'],      // settings 表
                 // 2. 再处理“依赖表”
                 [db.Post, 'ASC'],         // posts 表（依赖 users 和 categroup）
+                [db.PostAudit, 'ASC'],    // post_audits 表（依赖 posts 和 users）
+                [db.PostTag, 'ASC'],      // post_tags 表（依赖 posts 和 tags）
+                [db.Comment, 'ASC'],      // comments 表（依赖 posts 和 users）
+                [db.PostLike, 'ASC'],     // post_likes 表（依赖 posts 和 users）
+                [db.PostBookmark, 'ASC'], // post_bookmarks 表（依赖 posts 和 users）
+                [db.PostRevision, 'ASC'], // post_revisions 表（依赖 posts 和 users）
+                [db.PostSlugAlias, 'ASC'], // post_slug_aliases 表（依赖 posts）
                 // 其他表按实际依赖关系添加，如 Tag、PostLike 等
             ]
         });
@@ -0,0 +1,58 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const postService = require('../services/post.service');
+const { RENDERED_FIELDS } = require('../services/post.service');
+
+// 每批处理的文章数
+const BATCH_SIZE = 100;
+
+/**
+ * 为渲染和别名功能上线前的文章补充渲染结果和别名（一次性迁移，可重复执行）
+ * 按ID顺序逐篇处理，回收站中的文章同样处理，保证恢复后可正常访问
+ */
+async function backfillPosts() {
+    let rendered = 0;
+    let slugged = 0;
+    try {
+        await db.sequelize.authenticate();
+
+        let lastId = 0;
+        while (true) {
+            const posts = await db.Post.findAll({
+                where: {
+                    id: { [Op.gt]: lastId },
+                    [Op.or]: [{ html: null }, { slug: null }, { slug: '' }],
+                },
+                order: [['id', 'ASC']],
+                limit: BATCH_SIZE,
+                paranoid: false,
+            });
+            if (posts.length === 0) {
+                break;
+            }
+
+            for (const post of posts) {
+                if (post.html === null) {
+                    postService.applyRendering(post);
+                    await post.save({ fields: RENDERED_FIELDS, silent: true });
+                    rendered++;
+                }
+                if (!post.slug) {
+                    post.slug = await postService.generateSlug(post.title, post.id);
+                    await post.save({ fields: ['slug'], silent: true });
+                    slugged++;
+                }
+            }
+            lastId = posts[posts.length - 1].id;
+        }
+
+        console.log(`文章数据补充完成：补充渲染 ${rendered} 篇，补充别名 ${slugged} 篇`);
+    } catch (error) {
+        console.error('文章数据补充失败:', error);
+        process.exitCode = 1;
+    } finally {
+        await db.sequelize.close();
+    }
+}
+
+backfillPosts();
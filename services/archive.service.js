@@ -0,0 +1,153 @@
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, Post } = require('../models');
+const redisManager = require('../utils/redis');
+const environment = require('../config/environment');
+
+const siteConfig = environment.get('site');
+const archiveConfig = environment.get('archive');
+
+// 归档缓存键前缀（位于文章缓存前缀下，文章发布、修改或下线时一并清除）
+const CACHE_PREFIX = 'cache:posts:archive';
+
+/**
+ * 将时区偏移（如 +08:00）转换为毫秒
+ * @param {string} timezone - 时区偏移
+ * @returns {number}
+ */
+const parseOffset = timezone => {
+    const [, sign, hours, minutes] = timezone.match(/^([+-])(\d{2}):(\d{2})$/);
+    return (sign === '-' ? -1 : 1) * (parseInt(hours) * 60 + parseInt(minutes)) * 60 * 1000;
+};
+
+const TIMEZONE_OFFSET = parseOffset(siteConfig.timezone);
+
+/**
+ * 文章归档服务层
+ * 按站点时区（site.timezone）划分年、月、日，结果缓存在 Redis 中
+ */
+class ArchiveService {
+    /**
+     * 获取文章归档：按年、月分组的已发布文章数量和标题
+     * @param {number} [year] - 只返回指定年份
+     * @returns {Promise<Object>} - { total, years: [{ year, count, months: [{ month, count, posts }] }] }
+     */
+    async getArchive(year) {
+        return await redisManager.cached(
+            `${CACHE_PREFIX}:${year || 'all'}`,
+            () => this.buildArchive(year),
+            archiveConfig.cacheTtl
+        );
+    }
+
+    /**
+     * 查询并分组归档数据
+     * @param {number} [year] - 年份
+     * @returns {Promise<Object>}
+     */
+    async buildArchive(year) {
+        const where = { status: 1, auditStatus: 1, publishedAt: { [Op.ne]: null } };
+        if (year) {
+            const { start, end } = this.getYearRange(year);
+            where.publishedAt = { [Op.gte]: start, [Op.lt]: end };
+        }
+
+        const posts = await Post.findAll({
+            where,
+            attributes: ['id', 'title', 'slug', 'publishedAt'],
+            order: [
+                ['publishedAt', 'DESC'],
+                ['id', 'DESC'],
+            ],
+            raw: true,
+        });
+
+        const years = [];
+        posts.forEach(post => {
+            const local = this.toLocalDate(post.publishedAt);
+            const postYear = local.getUTCFullYear();
+            const postMonth = local.getUTCMonth() + 1;
+
+            let yearGroup = years[years.length - 1];
+            if (!yearGroup || yearGroup.year !== postYear) {
+                yearGroup = { year: postYear, count: 0, months: [] };
+                years.push(yearGroup);
+            }
+            let monthGroup = yearGroup.months[yearGroup.months.length - 1];
+            if (!monthGroup || monthGroup.month !== postMonth) {
+                monthGroup = { month: postMonth, count: 0, posts: [] };
+                yearGroup.months.push(monthGroup);
+            }
+
+            yearGroup.count++;
+            monthGroup.count++;
+            monthGroup.posts.push({ id: post.id, title: post.title, slug: post.slug, publishedAt: post.publishedAt });
+        });
+
+        return { total: posts.length, years };
+    }
+
+    /**
+     * 获取发布日历：指定年份每天的发布数量（只包含有发布的日期）
+     * @param {number} year - 年份
+     * @returns {Promise<Object>} - { year, timezone, total, maxCount, days: [{ date, count }] }
+     */
+    async getCalendar(year) {
+        return await redisManager.cached(
+            `${CACHE_PREFIX}:calendar:${year}`,
+            async () => {
+                const { start, end } = this.getYearRange(year);
+                const rows = await sequelize.query(
+                    `SELECT DATE_FORMAT(CONVERT_TZ(published_at, '+00:00', :timezone), '%Y-%m-%d') AS date, COUNT(*) AS count
+                     FROM posts
+                     WHERE status = 1 AND audit_status = 1 AND deleted_at IS NULL AND published_at >= :start AND published_at < :end
+                     GROUP BY date
+                     ORDER BY date`,
+                    { replacements: { timezone: siteConfig.timezone, start, end }, type: QueryTypes.SELECT }
+                );
+
+                const days = rows.map(row => ({ date: row.date, count: Number(row.count) }));
+                return {
+                    year,
+                    timezone: siteConfig.timezone,
+                    total: days.reduce((sum, day) => sum + day.count, 0),
+                    maxCount: days.reduce((max, day) => Math.max(max, day.count), 0),
+                    days,
+                };
+            },
+            archiveConfig.cacheTtl
+        );
+    }
+
+    /**
+     * 获取站点时区下的当前年份
+     * @returns {number}
+     */
+    getCurrentYear() {
+        return this.toLocalDate(new Date()).getUTCFullYear();
+    }
+
+    /**
+     * 计算站点时区下某一年的起止时间（UTC）
+     * @param {number} year - 年份
+     * @returns {Object} - { start, end }
+     */
+    getYearRange(year) {
+        return {
+            start: new Date(Date.UTC(year, 0, 1) - TIMEZONE_OFFSET),
+            end: new Date(Date.UTC(year + 1, 0, 1) - TIMEZONE_OFFSET),
+        };
+    }
+
+    /**
+     * 转换为站点时区的日期（读取时使用 getUTC* 方法）
+     * @param {Date|string} value - 时间
+     * @returns {Date}
+     */
+    toLocalDate(value) {
+        return new Date(new Date(value).getTime() + TIMEZONE_OFFSET);
+    }
+}
+
+// 创建服务实例
+const archiveService = new ArchiveService();
+module.exports = archiveService;
@@ -1,13 +1,17 @@
-// 引入JWT库，用于生成和验证JSON Web Tokens（JWT）
-const jwt = require('jsonwebtoken');
 // 引入用户服务模块，用于处理用户相关操作
 const userService = require('./user.service.js');
-// 引入 Redis 工具，用于存储/删除令牌（管理令牌状态）
-const redisManager = require('../utils/redis');
+// 引入令牌服务，负责令牌的签发、验证和轮换
+const tokenService = require('./token.service');
+// 引入会话服务，管理各设备的登录会话
+const sessionService = require('./session.service');
+// 引入邮箱验证服务，注册后发送验证邮件
+const emailVerificationService = require('./emailVerification.service');
+// 引入两步验证服务，启用后登录需提交验证码
+const twoFactorService = require('./twoFactor.service');
+const environment = require('../config/environment');
+const { BusinessError } = require('../utils/response');
 
-// JWT密钥， 实际应用中应从环境变量中获取
-const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret';
-const JWT_EXPIRATION = process.env.JWT_EXPIRATION || '1d';
+const authConfig = environment.get('auth');
 
 /**
  * 认证服务层
@@ -18,18 +22,19 @@ class AuthService {
      * 用户登录
      * @param {string} email - 用户邮箱
      * @param {string} password - 用户密码
-     * @returns {Promise<Object>} - 返回包含令牌的登录成功消息
+     * @param {Object} client - 客户端信息 { ip, userAgent, deviceName }，记录在登录会话中
+     * @returns {Promise<Object>} - 返回包含令牌的登录成功消息；启用两步验证时返回 { twoFactorRequired, challengeToken, expiresIn }
      */
-    async login(username, password) {
+    async login(username, password, client = {}) {
         // 验证用户邮箱和密码
-        const user = await userService.findByUsername(username);
+        const user = await userService.findByUsername(username, { withSecrets: true });
 
         // 如果用户不存在 抛出错误
         if (!user) {
             throw new Error('用户不存在');
         }
         // 验证密码是否正确
-        const isPasswordValid = userService.verifyPassword(password, user.password);
+        const isPasswordValid = await userService.verifyPassword(password, user.password);
         if (!isPasswordValid) {
             throw new Error('密码错误');
         }
@@ -37,13 +42,41 @@ class AuthService {
         if (user.status !== 'active') {
             throw new Error('用户已被禁用');
         }
+        // 检查邮箱是否已验证（配置为 block 时未验证的用户不能登录）
+        if (!user.emailVerified && authConfig.unverifiedPolicy === 'block') {
+            throw new BusinessError('邮箱尚未验证，请先查收验证邮件完成验证', 403);
+        }
+        // 已启用两步验证时只返回登录挑战，提交验证码后才签发令牌
+        if (user.twoFactorEnabled) {
+            return await twoFactorService.createChallenge(user, client);
+        }
+
+        return await this.completeLogin(user, client);
+    }
+
+    /**
+     * 两步验证登录：提交登录挑战和验证码（或恢复码）完成登录
+     * @param {string} challengeToken - 登录时返回的挑战令牌
+     * @param {Object} credentials - { code, recoveryCode }
+     * @returns {Promise<Object>} - 与登录成功时相同的用户信息和令牌
+     */
+    async verifyTwoFactor(challengeToken, credentials) {
+        const { user, client } = await twoFactorService.verifyChallenge(challengeToken, credentials);
+        return await this.completeLogin(user, client);
+    }
+
+    /**
+     * 完成登录：更新最后登录时间并签发令牌
+     * @param {Object} user - 用户实例
+     * @param {Object} client - 客户端信息 { ip, userAgent, deviceName }
+     * @returns {Promise<Object>} - 用户信息和令牌
+     */
+    async completeLogin(user, client = {}) {
         // 更新最后登录时间
         await userService.updateLastLoginTime(user.id);
 
-        // 生成令牌
-        const token = this.generateToken(user);
-        // 存储令牌到redis
-        await this.storeToken(user.id, token);
+        // 签发令牌
+        const tokens = await tokenService.issue(user, client);
         // 返回用户消息和令牌
         return {
             user: {
@@ -53,33 +86,33 @@ class AuthService {
                 avatar: user.avatar,
                 role: user.role,
                 status: user.status,
+                emailVerified: user.emailVerified,
+                twoFactorEnabled: user.twoFactorEnabled,
             },
-            token,
+            ...tokens,
         };
     }
     /**
      * 用户注册
      * @param {Object} userData - 用户注册数据，包含用户名、密码、邮箱等
+     * @param {Object} client - 客户端信息 { ip, userAgent, deviceName }
      * @returns {Promise<Object>} - 返回注册成功的用户信息
      */
-    async register(userData) {
-        // 检查用户名是否已存在
-        const existingUser = await userService.findByUsername(userData.username);
-        if (existingUser) {
-            throw new Error('用户名已存在');
-        }
-        // 检查邮箱是否已存在
-        const existingEmail = await userService.findByEmail(userData.email);
-        if (existingEmail) {
-            throw new Error('邮箱已存在');
-        }
-        // 创建新用户
-        const user = await userService.createUser(userData);
+    async register(userData, client = {}) {
+        // 检查用户名和邮箱是否已被占用（含回收站中的用户）
+        await userService.assertIdentityAvailable(userData.username, userData.email);
+        // 创建新用户（只取注册字段，角色和状态使用默认值）
+        const user = await userService.createUser({
+            username: userData.username,
+            email: userData.email,
+            password: userData.password,
+            emailVerified: false,
+        });
+        // 发送验证邮件
+        await emailVerificationService.send(user);
 
-        // 生成令牌
-        const token = this.generateToken(user);
-        // 存储令牌到Redis
-        await this.storeToken(user.id, token);
+        // 签发令牌（配置为 block 时完成邮箱验证后才能登录）
+        const tokens = authConfig.unverifiedPolicy === 'block' ? {} : await tokenService.issue(user, client);
         // 返回用户信息和令牌
         return {
             user: {
@@ -89,21 +122,19 @@ class AuthService {
                 avatar: user.avatar,
                 role: user.role,
                 status: user.status,
+                emailVerified: user.emailVerified,
             },
-            token,
-        }
-
+            ...tokens,
+        };
     }
     /**
-     * 用户登出
-     * @param {number} userId - 用户ID（字符串或数字类型）
+     * 用户登出（撤销当前会话，其他设备不受影响）
+     * @param {Object} user - 解码后的访问令牌数据
      * @returns {Promise<boolean>} 登出结果
-     * 
      */
-    async logout(userId) {
+    async logout(user) {
         try {
-            // 删除redis中的令牌
-            await redisManager.del(`user:${userId}`);
+            await sessionService.revoke(user.id, user.sid);
             return true;
         } catch (error) {
             console.error('删除令牌失败:', error.message);
@@ -118,85 +149,119 @@ class AuthService {
      */
     async verifyToken(token) {
         try {
-            // 解码令牌
-            const decoded = jwt.verify(token, JWT_SECRET);
-            // 从Redis中获取存储的令牌
-            const storedToken = await redisManager.get(`user:${decoded.id}:token`);
-            // 验证令牌是否存在于Redis中
-            if (!storedToken || storedToken !== token) {
-                throw new Error('令牌已失效');
-            }
-            return decoded;
+            return await tokenService.verifyAccessToken(token);
         } catch (error) {
             console.error('令牌验证失败:', error.message);
-            if (error.message === 'TokenExpiredError') {
-                throw error;
-            } else if (error.message === 'JsonWebTokenError') {
-                throw error;
-            } else {
-                throw error;
-            }
+            throw error;
         }
     }
+
     /**
      * 刷新令牌
+     * rotating 模式：使用刷新令牌换取新的访问令牌和刷新令牌，旧刷新令牌随即失效；
+     * legacy 模式：使用当前令牌换取新令牌
+     * @param {string} token - 刷新令牌（legacy 模式为当前令牌）
+     * @param {Object} client - 客户端信息 { ip, userAgent }
+     * @returns {Promise<Object>} - 新令牌
+     */
+    async refreshToken(token, client = {}) {
+        if (tokenService.isLegacyMode()) {
+            return await this.refreshLegacyToken(token, client);
+        }
+
+        const session = await tokenService.consumeRefreshToken(token);
+        // 重新读取用户，角色和状态变化在刷新后生效
+        const user = await userService.findById(session.userId);
+        if (!user || user.status !== 'active') {
+            await sessionService.revoke(session.userId, session.id);
+            throw new BusinessError(user ? '用户已被禁用' : '用户不存在', 401);
+        }
+        return await tokenService.issue(user, client, session);
+    }
+
+    /**
+     * 刷新旧版单一令牌（原会话失效，以新会话签发令牌）
      * @param {string} token - 当前令牌
-     * @returns {Promise<Object>} - 刷新后的令牌数据
+     * @param {Object} client - 客户端信息 { ip, userAgent }
+     * @returns {Promise<Object>} - { token, expiresIn }
      */
-    async refreshToken(token) {
+    async refreshLegacyToken(token, client = {}) {
+        let decoded;
         try {
-            // 验证当前令牌
-            const decoded = await this.verifyToken(token);
-            // 获取用户信息
-            const user = await userService.findById(decoded.id);
-            // 如果用户不存在 抛出错误
-            if (!user) {
-                throw new Error('用户不存在');
-            }
-            // 生成新令牌
-            const newToken = this.generateToken(user);
-            // 更新Redis中的令牌
-            await this.storeToken(user.id, newToken);
-            return { token: newToken };
+            decoded = await this.verifyToken(token);
         } catch (error) {
-            throw new Error('刷新令牌失败');
+            throw new BusinessError('刷新令牌失败', 401);
         }
+        // 获取用户信息
+        const user = await userService.findById(decoded.id);
+        // 如果用户不存在 抛出错误
+        if (!user || user.status !== 'active') {
+            throw new BusinessError('刷新令牌失败', 401);
+        }
+        const session = await sessionService.get(decoded.id, decoded.sid);
+        await sessionService.revoke(decoded.id, decoded.sid);
+        return await tokenService.issue(user, { deviceName: session && session.device, ...client });
     }
 
+    /**
+     * 令牌签发后用户是否已完成邮箱验证
+     * @param {string|number} userId - 用户ID
+     * @returns {Promise<boolean>}
+     */
+    async isEmailVerified(userId) {
+        return await emailVerificationService.isVerified(userId);
+    }
 
+    /**
+     * 令牌是否满足两步验证要求
+     * 管理员必须启用两步验证时，令牌签发后才启用的以数据库为准
+     * @param {Object} decoded - 解码后的访问令牌数据
+     * @returns {Promise<boolean>}
+     */
+    async isTwoFactorSatisfied(decoded) {
+        if (decoded.twoFactor || !(await twoFactorService.isRequiredFor(decoded.role))) {
+            return true;
+        }
+        const user = await userService.findById(decoded.id);
+        return Boolean(user && user.twoFactorEnabled);
+    }
 
+    /**
+     * 获取当前用户的登录会话列表
+     * @param {Object} user - 解码后的访问令牌数据
+     * @returns {Promise<Array<Object>>} - 会话列表，current 标记当前会话
+     */
+    async getSessions(user) {
+        const sessions = await sessionService.list(user.id);
+        return sessions.map(session => ({
+            id: session.id,
+            device: session.device,
+            ip: session.ip,
+            userAgent: session.userAgent,
+            createdAt: new Date(session.createdAt),
+            lastSeenAt: new Date(session.lastSeenAt),
+            expiresAt: new Date(session.expiresAt),
+            current: session.id === user.sid,
+        }));
+    }
 
     /**
-     * 生成JWT令牌
-     * @param {Object} user - 用户对象，包含用户信息
-     * @returns {string} - 生成的JWT令牌
+     * 撤销当前用户的指定会话（该设备需重新登录）
+     * @param {Object} user - 解码后的访问令牌数据
+     * @param {string} sessionId - 会话ID
+     * @returns {Promise<boolean>} - 是否撤销成功，会话不存在时返回 false
      */
-    generateToken(user) {
-        const payload = {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            role: user.role,
-        };
-        return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRATION });
+    async revokeSession(user, sessionId) {
+        return await sessionService.revoke(user.id, sessionId);
     }
+
     /**
-     * 存储令牌到Redis
-     * @param {string} userId - 用户ID
-     * @param {string} token - JWT令牌
-     * @returns {Promise<void>}
+     * 撤销当前用户除当前会话外的其他会话
+     * @param {Object} user - 解码后的访问令牌数据
+     * @returns {Promise<number>} - 撤销的会话数
      */
-    async storeToken(userId, token) {
-        try {
-            // 解析jwt过期时间
-            const decoded = jwt.decode(token);
-            const expiresAt = decoded.exp - Math.floor(Date.now() / 1000); // 转换为秒
-            // 存储令牌到redis
-            await redisManager.set(`user:${userId}`, token, expiresAt);
-        } catch (error) {
-            console.error('存储令牌到Redis失败:', error);
-            // throw error;// 错误不影响主流程
-        }
+    async revokeOtherSessions(user) {
+        return await sessionService.revokeOthers(user.id, user.sid);
     }
 }
 module.exports = new AuthService();
\ No newline at end of file
@@ -0,0 +1,196 @@
+const { Op } = require('sequelize');
+const { sequelize, Categroup, Post } = require('../models');
+const { BusinessError } = require('../utils/response');
+const { generateUniqueSlug } = require('../utils/slug');
+const postService = require('./post.service');
+const relatedPostService = require('./relatedPost.service');
+
+// 分类下已发布且审核通过的文章数量
+const PUBLISHED_POST_COUNT = [
+    sequelize.literal(
+        '(SELECT COUNT(*) FROM posts WHERE posts.type_id = categroup.id AND posts.status = 1 AND posts.audit_status = 1 AND posts.deleted_at IS NULL)'
+    ),
+    'postCount',
+];
+
+/**
+ * 分类服务层
+ * 处理分类的增删改查以及删除时的文章迁移
+ */
+class CategoryService {
+    /**
+     * 获取分类列表（按排序值升序），包含已发布文章数量
+     * @returns {Promise<Array>}
+     */
+    async getCategories() {
+        return await Categroup.findAll({
+            attributes: { include: [PUBLISHED_POST_COUNT] },
+            order: [
+                ['sortOrder', 'ASC'],
+                ['id', 'ASC'],
+            ],
+        });
+    }
+
+    /**
+     * 获取分类详情，支持ID或别名
+     * @param {string|number} idOrSlug - 分类ID或别名
+     * @returns {Promise<Object|null>}
+     */
+    async getCategoryDetail(idOrSlug) {
+        const where = /^\d+$/.test(String(idOrSlug)) ? { id: parseInt(idOrSlug) } : { slug: idOrSlug };
+        return await Categroup.findOne({
+            where,
+            attributes: { include: [PUBLISHED_POST_COUNT] },
+        });
+    }
+
+    /**
+     * 根据ID查询分类
+     * @param {number} categoryId - 分类ID
+     * @returns {Promise<Object|null>}
+     */
+    async findById(categoryId) {
+        return await Categroup.findByPk(categoryId);
+    }
+
+    /**
+     * 创建分类
+     * @param {Object} categoryData - 分类数据（name、slug、description、sortOrder）
+     * @returns {Promise<Object>} - 创建的分类
+     */
+    async createCategory(categoryData) {
+        // 请求体中的分类名可能不是字符串（如数字），统一转换后再处理
+        const name = String(categoryData.name).trim();
+        await this.assertNameAvailable(name);
+
+        const slug = await generateUniqueSlug(Categroup, categoryData.slug || name, {
+            fallback: 'category',
+        });
+        const category = await Categroup.create({
+            name,
+            slug,
+            description: categoryData.description,
+            sortOrder: parseInt(categoryData.sortOrder) || 0,
+        });
+        // 站点地图中的分类页面随之变化
+        await postService.clearListCache();
+        return category;
+    }
+
+    /**
+     * 更新分类
+     * @param {number} categoryId - 分类ID
+     * @param {Object} categoryData - 需要更新的数据
+     * @returns {Promise<Object|null>} - 更新后的分类，不存在时返回 null
+     */
+    async updateCategory(categoryId, categoryData) {
+        const category = await Categroup.findByPk(categoryId);
+        if (!category) {
+            return null;
+        }
+
+        const name = categoryData.name ? String(categoryData.name).trim() : '';
+        if (name && name !== category.name) {
+            category.name = name;
+            await this.assertNameAvailable(category.name, category.id);
+        }
+        if (categoryData.slug && categoryData.slug !== category.slug) {
+            category.slug = await generateUniqueSlug(Categroup, categoryData.slug, {
+                excludeId: category.id,
+                fallback: 'category',
+            });
+        }
+        if (categoryData.description !== undefined) {
+            category.description = categoryData.description;
+        }
+        if (categoryData.sortOrder !== undefined) {
+            category.sortOrder = parseInt(categoryData.sortOrder) || 0;
+        }
+
+        const renamed = category.changed('name') || category.changed('slug');
+        await category.save();
+        if (renamed) {
+            // 订阅源中的分类名、按别名订阅的地址和站点地图中的分类页面随之变化
+            await postService.clearListCache();
+        }
+        return category;
+    }
+
+    /**
+     * 删除分类（移入回收站）
+     * 分类下仍有文章（含回收站中的文章）时，必须指定目标分类用于迁移文章，否则拒绝删除
+     * @param {number} categoryId - 分类ID
+     * @param {number} [targetCategoryId] - 文章迁移的目标分类ID
+     * @returns {Promise<Object|null>} - 删除结果（迁移的文章数），分类不存在时返回 null
+     */
+    async deleteCategory(categoryId, targetCategoryId) {
+        const result = await sequelize.transaction(async transaction => {
+            const category = await Categroup.findByPk(categoryId, { transaction });
+            if (!category) {
+                return null;
+            }
+
+            const postCount = await Post.count({ where: { typeId: category.id }, paranoid: false, transaction });
+            let movedPosts = 0;
+
+            if (postCount > 0) {
+                if (!targetCategoryId) {
+                    throw new BusinessError(
+                        `该分类下仍有 ${postCount} 篇文章，请先指定文章迁移的目标分类`,
+                        409
+                    );
+                }
+                const targetId = parseInt(targetCategoryId);
+                if (targetId === category.id) {
+                    throw new BusinessError('目标分类不能是待删除的分类', 400);
+                }
+                const target = await Categroup.findByPk(targetId, { transaction });
+                if (!target) {
+                    throw new BusinessError('目标分类不存在', 400);
+                }
+
+                [movedPosts] = await Post.update(
+                    { typeId: target.id },
+                    { where: { typeId: category.id }, paranoid: false, transaction }
+                );
+            }
+
+            await category.destroy({ transaction });
+            return { movedPosts };
+        });
+
+        if (result) {
+            // 已删除的分类不能再出现在订阅源和站点地图中
+            await postService.clearListCache();
+        }
+        // 文章分类发生变化，相关文章推荐需重新计算
+        if (result && result.movedPosts > 0) {
+            await relatedPostService.clearAllCache();
+        }
+        return result;
+    }
+
+    /**
+     * 校验分类名是否可用（回收站中的分类同样占用名称）
+     * @param {string} name - 分类名
+     * @param {number} [excludeId] - 排除的分类ID
+     */
+    async assertNameAvailable(name, excludeId) {
+        const where = { name };
+        if (excludeId) {
+            where.id = { [Op.ne]: excludeId };
+        }
+        const existing = await Categroup.findOne({ where, paranoid: false });
+        if (existing) {
+            throw new BusinessError(
+                existing.deletedAt ? '分类名已被回收站中的分类占用，请先恢复或彻底删除该分类' : '分类名已存在',
+                409
+            );
+        }
+    }
+}
+
+// 创建服务实例
+const categoryService = new CategoryService();
+module.exports = categoryService;
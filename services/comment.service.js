@@ -0,0 +1,223 @@
+const { Comment, Post, User } = require('../models');
+const { BusinessError, createPagination } = require('../utils/response');
+const postService = require('./post.service');
+
+// 评论状态
+const COMMENT_STATUSES = ['pending', 'approved', 'spam'];
+// 对外展示的评论字段（不含游客邮箱、IP等隐私信息）
+const PUBLIC_ATTRIBUTES = ['id', 'postId', 'parentId', 'rootId', 'content', 'nickname', 'createdAt'];
+const USER_ATTRIBUTES = ['id', 'username', 'fullName', 'avatar'];
+
+/**
+ * 评论服务层
+ * 处理评论发表、审核以及评论树的构建
+ */
+class CommentService {
+    /**
+     * 根据ID查询评论
+     * @param {number} commentId - 评论ID
+     * @returns {Promise<Object|null>}
+     */
+    async findById(commentId) {
+        return await Comment.findByPk(commentId);
+    }
+
+    /**
+     * 获取评论作者ID（供资源所有者校验中间件使用）
+     * @param {number} commentId - 评论ID
+     * @returns {Promise<number|null>} - 作者ID（游客评论为 null），评论不存在时抛出 404
+     */
+    async getOwnerId(commentId) {
+        const comment = await Comment.findByPk(commentId, { attributes: ['id', 'userId'] });
+        if (!comment) {
+            throw new BusinessError('评论不存在', 404);
+        }
+        return comment.userId;
+    }
+
+    /**
+     * 发表评论
+     * 登录用户以账号身份评论，游客需提供昵称和邮箱；管理员评论直接通过审核
+     * @param {Object} commentData - 评论数据（postId、parentId、content、nickname、email）
+     * @param {Object} [currentUser] - 当前登录用户
+     * @param {Object} [client] - 客户端信息（ip、userAgent）
+     * @returns {Promise<Object>} - 创建的评论
+     */
+    async createComment(commentData, currentUser, client = {}) {
+        const { postId, parentId } = commentData;
+        // 请求体字段可能不是字符串（如数组、数字），统一转换后再处理
+        const content = String(commentData.content || '').trim();
+        const nickname = String(commentData.nickname || '').trim();
+        const email = String(commentData.email || '').trim();
+
+        const post = await Post.findByPk(postId, { attributes: ['id', 'status', 'auditStatus'] });
+        if (!post || post.status !== 1 || post.auditStatus !== 1) {
+            throw new BusinessError('文章不存在或暂不允许评论', 404);
+        }
+
+        let rootId = null;
+        if (parentId) {
+            const parent = await Comment.findByPk(parentId);
+            if (!parent || parent.postId !== post.id || parent.status !== 'approved') {
+                throw new BusinessError('回复的评论不存在', 400);
+            }
+            rootId = parent.rootId || parent.id;
+        }
+
+        return await Comment.create({
+            postId: post.id,
+            parentId: parentId || null,
+            rootId,
+            content,
+            userId: currentUser ? currentUser.id : null,
+            nickname: currentUser ? null : nickname,
+            email: currentUser ? null : email,
+            status: currentUser && currentUser.role === 'admin' ? 'approved' : 'pending',
+            ip: client.ip,
+            userAgent: client.userAgent ? client.userAgent.substring(0, 255) : null,
+        });
+    }
+
+    /**
+     * 获取文章的已审核评论树，按顶层评论分页
+     * 未公开文章的评论仅作者本人和管理员可见
+     * @param {number} postId - 文章ID
+     * @param {Object} options - 分页选项
+     * @param {Object} [currentUser] - 当前登录用户（可选）
+     * @returns {Promise<Object>} - 评论树和分页信息
+     */
+    async getPostCommentTree(postId, options = {}, currentUser = null) {
+        const post = await Post.findByPk(postId, { attributes: ['id', 'userId', 'status', 'auditStatus'] });
+        if (!post || !postService.canView(post, currentUser)) {
+            throw new BusinessError('文章不存在', 404);
+        }
+
+        const page = parseInt(options.page) || 1;
+        const limit = parseInt(options.limit) || 10;
+        const include = [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }];
+
+        const { count, rows: threads } = await Comment.findAndCountAll({
+            where: { postId: post.id, parentId: null, status: 'approved' },
+            attributes: PUBLIC_ATTRIBUTES,
+            include,
+            order: [['createdAt', 'DESC']],
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        const replies =
+            threads.length > 0
+                ? await Comment.findAll({
+                      where: { rootId: threads.map(thread => thread.id), status: 'approved' },
+                      attributes: PUBLIC_ATTRIBUTES,
+                      include,
+                      order: [['createdAt', 'ASC']],
+                  })
+                : [];
+
+        return {
+            data: this.buildTree(threads, replies),
+            pagination: createPagination(page, limit, count, Math.ceil(count / limit)),
+        };
+    }
+
+    /**
+     * 将顶层评论和回复组装为树形结构
+     * 父评论未通过审核的回复不会出现在树中
+     * @param {Array} threads - 顶层评论
+     * @param {Array} replies - 回复
+     * @returns {Array} - 评论树
+     */
+    buildTree(threads, replies) {
+        const nodes = new Map();
+        const roots = threads.map(thread => {
+            const node = { ...thread.toJSON(), replies: [] };
+            nodes.set(node.id, node);
+            return node;
+        });
+
+        // 回复按时间升序排列，父评论总是先于子评论出现
+        replies.forEach(reply => {
+            const parent = nodes.get(reply.parentId);
+            if (parent) {
+                const node = { ...reply.toJSON(), replies: [] };
+                nodes.set(node.id, node);
+                parent.replies.push(node);
+            }
+        });
+
+        return roots;
+    }
+
+    /**
+     * 分页获取评论（管理员审核）
+     * @param {Object} options - 查询选项（page、limit、status、postId）
+     * @returns {Promise<Object>} - 评论列表和分页信息
+     */
+    async getComments(options = {}) {
+        const page = parseInt(options.page) || 1;
+        const limit = parseInt(options.limit) || 20;
+        const where = {};
+        if (options.status) {
+            where.status = options.status;
+        }
+        if (options.postId) {
+            where.postId = parseInt(options.postId);
+        }
+
+        const { count, rows } = await Comment.findAndCountAll({
+            where,
+            include: [
+                { model: User, as: 'user', attributes: USER_ATTRIBUTES },
+                { model: Post, as: 'post', attributes: ['id', 'title', 'slug'] },
+            ],
+            order: [['createdAt', 'DESC']],
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        return {
+            data: rows,
+            pagination: createPagination(page, limit, count, Math.ceil(count / limit)),
+        };
+    }
+
+    /**
+     * 统计待审核评论数量
+     * @returns {Promise<number>}
+     */
+    async countPendingComments() {
+        return await Comment.count({ where: { status: 'pending' } });
+    }
+
+    /**
+     * 更新评论状态（管理员）
+     * @param {number} commentId - 评论ID
+     * @param {string} status - 新状态
+     * @returns {Promise<Object|null>} - 更新后的评论，不存在时返回 null
+     */
+    async updateStatus(commentId, status) {
+        const comment = await Comment.findByPk(commentId);
+        if (!comment) {
+            return null;
+        }
+        comment.status = status;
+        await comment.save();
+        return comment;
+    }
+
+    /**
+     * 删除评论（其下的回复由外键级联删除）
+     * @param {number} commentId - 评论ID
+     * @returns {Promise<boolean>} - 是否删除成功
+     */
+    async deleteComment(commentId) {
+        const count = await Comment.destroy({ where: { id: commentId } });
+        return count > 0;
+    }
+}
+
+// 创建服务实例
+const commentService = new CommentService();
+module.exports = commentService;
+module.exports.COMMENT_STATUSES = COMMENT_STATUSES;
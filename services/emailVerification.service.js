@@ -0,0 +1,143 @@
+const jwt = require('jsonwebtoken');
+const redisManager = require('../utils/redis');
+const environment = require('../config/environment');
+const { BusinessError } = require('../utils/response');
+const { logger } = require('../utils/logger');
+const userService = require('./user.service');
+const mailService = require('./mail.service');
+
+const authConfig = environment.get('auth');
+const siteConfig = environment.get('site');
+
+// JWT密钥， 实际应用中应从环境变量中获取
+const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret';
+// 验证令牌用途（与访问令牌区分）
+const TOKEN_PURPOSE = 'verify-email';
+
+// Redis 键前缀
+const THROTTLE_PREFIX = 'auth:email-verify:throttle'; // 同一用户发送间隔
+const VERIFIED_PREFIX = 'auth:email-verified'; // 已完成验证的用户（验证前签发的令牌据此解除只读限制）
+// 同一用户两次发送验证邮件的最小间隔（秒）
+const SEND_INTERVAL = 60;
+
+/**
+ * 邮箱验证服务层
+ * 注册后发送带签名链接的验证邮件，链接中的令牌绑定用户ID和邮箱，邮箱变更后旧链接失效
+ */
+class EmailVerificationService {
+    /**
+     * 发送验证邮件（不等待发送结果）
+     * @param {Object} user - 用户
+     * @returns {Promise<boolean>} - 是否发送，距上次发送不足间隔时返回 false
+     */
+    async send(user) {
+        if (!(await redisManager.setNX(`${THROTTLE_PREFIX}:${user.id}`, 1, SEND_INTERVAL))) {
+            return false;
+        }
+        this.sendMail(user).catch(error => {
+            logger.error(`邮箱验证邮件发送失败 [user:${user.id}]:`, error);
+        });
+        return true;
+    }
+
+    /**
+     * 重新发送验证邮件
+     * 已登录时发送给当前用户；未登录时按邮箱查找，邮箱不存在或已验证时静默忽略，响应与成功时相同
+     * @param {Object} options - { userId, email }
+     */
+    async resend({ userId, email }) {
+        if (!userId) {
+            const user = email ? await userService.findByEmail(String(email).trim()) : null;
+            if (user && !user.emailVerified && user.status === 'active') {
+                await this.send(user);
+            }
+            return;
+        }
+
+        const user = await userService.findById(userId);
+        if (!user) {
+            throw new BusinessError('用户不存在', 404);
+        }
+        if (user.emailVerified) {
+            throw new BusinessError('邮箱已验证，无需重复验证', 400);
+        }
+        if (!(await this.send(user))) {
+            throw new BusinessError(`发送过于频繁，请 ${SEND_INTERVAL} 秒后再试`, 429);
+        }
+    }
+
+    /**
+     * 验证邮箱
+     * @param {string} token - 验证令牌
+     * @returns {Promise<Object>} - { id, email, emailVerified }
+     */
+    async verify(token) {
+        let decoded;
+        try {
+            decoded = jwt.verify(token, JWT_SECRET);
+        } catch (error) {
+            throw new BusinessError(error.name === 'TokenExpiredError' ? '验证链接已过期，请重新发送验证邮件' : '验证链接无效', 400);
+        }
+        if (decoded.purpose !== TOKEN_PURPOSE) {
+            throw new BusinessError('验证链接无效', 400);
+        }
+
+        const user = await userService.findById(decoded.id);
+        if (!user || user.email !== decoded.email) {
+            throw new BusinessError('验证链接无效', 400);
+        }
+        if (!user.emailVerified) {
+            await this.markVerified(user.id);
+        }
+        return { id: user.id, email: user.email, emailVerified: true };
+    }
+
+    /**
+     * 标记用户邮箱已验证
+     * @param {string|number} userId - 用户ID
+     */
+    async markVerified(userId) {
+        await userService.markEmailVerified(userId);
+        // 验证前签发的令牌中 emailVerified 仍为 false，在其有效期内以此标记为准
+        await redisManager.set(`${VERIFIED_PREFIX}:${userId}`, 1, authConfig.refreshTokenTtl);
+    }
+
+    /**
+     * 令牌签发后用户是否已完成邮箱验证
+     * @param {string|number} userId - 用户ID
+     * @returns {Promise<boolean>}
+     */
+    async isVerified(userId) {
+        return await redisManager.exists(`${VERIFIED_PREFIX}:${userId}`);
+    }
+
+    /**
+     * 发送验证邮件
+     * @param {Object} user - 用户
+     */
+    async sendMail(user) {
+        const token = jwt.sign({ id: user.id, email: user.email, purpose: TOKEN_PURPOSE }, JWT_SECRET, {
+            expiresIn: authConfig.emailVerificationTtl,
+        });
+        const baseUrl = authConfig.emailVerificationUrl || `${siteConfig.url}/verify-email`;
+        const link = `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+        const hours = Math.round(authConfig.emailVerificationTtl / 3600);
+
+        await mailService.send({
+            to: user.email,
+            subject: `【${siteConfig.title}】验证邮箱`,
+            text: [
+                `${user.username}，你好：`,
+                '',
+                '感谢注册，请打开以下链接验证你的邮箱：',
+                link,
+                '',
+                `链接 ${hours} 小时内有效。如果不是你本人注册，请忽略本邮件。`,
+            ].join('\n'),
+        });
+    }
+}
+
+// 创建服务实例
+const emailVerificationService = new EmailVerificationService();
+module.exports = emailVerificationService;
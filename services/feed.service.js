@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, Post, User, Categroup, Tag } = require('../models');
+const redisManager = require('../utils/redis');
+const markdown = require('../utils/markdown');
+const environment = require('../config/environment');
+const postService = require('./post.service');
+
+const siteConfig = environment.get('site');
+const feedConfig = environment.get('feed');
+
+// 支持的订阅源格式
+const FEED_FORMATS = {
+    rss: { file: 'feed.xml', contentType: 'application/rss+xml; charset=utf-8' },
+    atom: { file: 'atom.xml', contentType: 'application/atom+xml; charset=utf-8' },
+    json: { file: 'feed.json', contentType: 'application/feed+json; charset=utf-8' },
+};
+// 订阅范围对应的路径前缀
+const SCOPE_PATHS = {
+    category: 'categories',
+    tag: 'tags',
+    author: 'authors',
+};
+// 订阅源缓存键前缀（位于文章缓存前缀下，文章发布或修改时一并清除）
+const CACHE_PREFIX = 'cache:posts:feed';
+
+/**
+ * 转义 XML 特殊字符
+ * @param {string} value - 原始文本
+ * @returns {string}
+ */
+const escapeXml = value =>
+    String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+
+/**
+ * 包装为 CDATA（拆分内容中的 ]]>）
+ * @param {string} value - 原始文本
+ * @returns {string}
+ */
+const cdata = value => `<![CDATA[${String(value || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+/**
+ * 订阅源服务层
+ * 生成 RSS 2.0、Atom 和 JSON Feed，支持按分类、标签和作者订阅
+ */
+class FeedService {
+    /**
+     * 获取订阅源（优先读取 Redis 缓存）
+     * @param {string} format - 格式（rss、atom、json）
+     * @param {Object} [scope] - 订阅范围 { type: category|tag|author, value: 别名或用户名 }
+     * @returns {Promise<Object|null>} - { body, contentType, etag, lastModified }，范围不存在时返回 null
+     */
+    async getFeed(format, scope = {}) {
+        const key = `${CACHE_PREFIX}:${format}:${scope.type || 'all'}:${scope.value || ''}`;
+        return await redisManager.cached(key, () => this.buildFeed(format, scope), feedConfig.cacheTtl);
+    }
+
+    /**
+     * 查询文章并生成订阅源内容
+     * @param {string} format - 格式
+     * @param {Object} scope - 订阅范围
+     * @returns {Promise<Object|null>}
+     */
+    async buildFeed(format, scope) {
+        const context = await this.resolveScope(scope);
+        if (!context) {
+            return null;
+        }
+
+        const posts = await Post.findAll({
+            where: { status: 1, auditStatus: 1, ...context.where },
+            include: [
+                { model: User, as: 'author', attributes: ['id', 'username', 'fullName'] },
+                { model: Categroup, as: 'category', attributes: ['id', 'name', 'slug'] },
+                { model: Tag, as: 'tags', through: { attributes: [] }, attributes: ['id', 'name', 'slug'] },
+            ],
+            order: [
+                ['publishedAt', 'DESC'],
+                ['id', 'DESC'],
+            ],
+            limit: feedConfig.limit,
+        });
+
+        const scopePath = scope.type ? `/${SCOPE_PATHS[scope.type]}/${encodeURIComponent(scope.value)}` : '';
+        const meta = {
+            title: context.title ? `${siteConfig.title} - ${context.title}` : siteConfig.title,
+            description: context.description || siteConfig.description,
+            homeUrl: siteConfig.url,
+            feedUrl: `${siteConfig.apiUrl}${scopePath}/${FEED_FORMATS[format].file}`,
+            updatedAt: this.getLastModified(posts),
+        };
+        const items = posts.map(post => this.toFeedItem(post));
+
+        let body;
+        if (format === 'atom') {
+            body = this.renderAtom(meta, items);
+        } else if (format === 'json') {
+            body = this.renderJson(meta, items);
+        } else {
+            body = this.renderRss(meta, items);
+        }
+
+        return {
+            body,
+            contentType: FEED_FORMATS[format].contentType,
+            etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+            lastModified: meta.updatedAt.toUTCString(),
+        };
+    }
+
+    /**
+     * 解析订阅范围，返回查询条件和标题
+     * @param {Object} scope - 订阅范围
+     * @returns {Promise<Object|null>} - { where, title, description }，范围不存在时返回 null
+     */
+    async resolveScope({ type, value } = {}) {
+        if (!type) {
+            return { where: {} };
+        }
+
+        if (type === 'category') {
+            const category = await Categroup.findOne({ where: this.slugOrIdWhere(value) });
+            return category
+                ? { where: { typeId: category.id }, title: category.name, description: category.description }
+                : null;
+        }
+
+        if (type === 'tag') {
+            const tag = await Tag.findOne({ where: this.slugOrIdWhere(value) });
+            if (!tag) {
+                return null;
+            }
+            return {
+                where: {
+                    id: { [Op.in]: sequelize.literal(`(SELECT post_id FROM post_tags WHERE tag_id = ${tag.id})`) },
+                },
+                title: tag.name,
+                description: tag.description,
+            };
+        }
+
+        if (type === 'author') {
+            const author = await User.findOne({
+                where: { username: value },
+                attributes: ['id', 'username', 'fullName', 'bio'],
+            });
+            return author
+                ? { where: { userId: author.id }, title: author.fullName || author.username, description: author.bio }
+                : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * 按别名或ID查询的条件
+     * @param {string} value - 别名或ID
+     * @returns {Object}
+     */
+    slugOrIdWhere(value) {
+        return /^\d+$/.test(value) ? { [Op.or]: [{ slug: value }, { id: parseInt(value) }] } : { slug: value };
+    }
+
+    /**
+     * 将文章转换为通用的订阅条目
+     * @param {Object} post - 文章实例
+     * @returns {Object}
+     */
+    toFeedItem(post) {
+        const publishedAt = post.publishedAt || post.createdAt;
+        return {
+            id: post.id,
+            url: postService.getPermalink(post),
+            title: post.title,
+            summary: post.summary || '',
+            html: post.html !== null ? post.html : markdown.render(post.content).html,
+            author: post.author ? post.author.fullName || post.author.username : '',
+            categories: [
+                ...(post.category ? [post.category.name] : []),
+                ...(post.tags || []).map(tag => tag.name),
+            ],
+            publishedAt,
+            updatedAt: post.updatedAt > publishedAt ? post.updatedAt : publishedAt,
+        };
+    }
+
+    /**
+     * 计算订阅源最后修改时间（文章发布和更新时间的最大值）
+     * @param {Array} posts - 文章列表
+     * @returns {Date}
+     */
+    getLastModified(posts) {
+        const timestamps = posts.flatMap(post => [post.publishedAt, post.updatedAt]).filter(Boolean);
+        const latest = timestamps.length > 0 ? new Date(Math.max(...timestamps.map(Number))) : new Date();
+        // HTTP 日期只精确到秒
+        latest.setMilliseconds(0);
+        return latest;
+    }
+
+    /**
+     * 生成 RSS 2.0
+     * @param {Object} meta - 订阅源信息
+     * @param {Array} items - 订阅条目
+     * @returns {string}
+     */
+    renderRss(meta, items) {
+        const entries = items.map(item =>
+            [
+                '    <item>',
+                `      <title>${escapeXml(item.title)}</title>`,
+                `      <link>${escapeXml(item.url)}</link>`,
+                `      <guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+                `      <pubDate>${item.publishedAt.toUTCString()}</pubDate>`,
+                item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>` : null,
+                ...item.categories.map(name => `      <category>${escapeXml(name)}</category>`),
+                `      <description>${escapeXml(item.summary)}</description>`,
+                `      <content:encoded>${cdata(item.html)}</content:encoded>`,
+                '    </item>',
+            ]
+                .filter(line => line !== null)
+                .join('\n')
+        );
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+            '  <channel>',
+            `    <title>${escapeXml(meta.title)}</title>`,
+            `    <link>${escapeXml(meta.homeUrl)}</link>`,
+            `    <description>${escapeXml(meta.description)}</description>`,
+            `    <language>${escapeXml(siteConfig.language)}</language>`,
+            `    <lastBuildDate>${meta.updatedAt.toUTCString()}</lastBuildDate>`,
+            `    <atom:link href="${escapeXml(meta.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+            ...entries,
+            '  </channel>',
+            '</rss>',
+        ].join('\n');
+    }
+
+    /**
+     * 生成 Atom 1.0
+     * @param {Object} meta - 订阅源信息
+     * @param {Array} items - 订阅条目
+     * @returns {string}
+     */
+    renderAtom(meta, items) {
+        const entries = items.map(item =>
+            [
+                '  <entry>',
+                `    <id>${escapeXml(item.url)}</id>`,
+                `    <title>${escapeXml(item.title)}</title>`,
+                `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+                `    <published>${item.publishedAt.toISOString()}</published>`,
+                `    <updated>${item.updatedAt.toISOString()}</updated>`,
+                item.author ? `    <author><name>${escapeXml(item.author)}</name></author>` : null,
+                ...item.categories.map(name => `    <category term="${escapeXml(name)}"/>`),
+                `    <summary>${escapeXml(item.summary)}</summary>`,
+                `    <content type="html">${escapeXml(item.html)}</content>`,
+                '  </entry>',
+            ]
+                .filter(line => line !== null)
+                .join('\n')
+        );
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(siteConfig.language)}">`,
+            `  <id>${escapeXml(meta.feedUrl)}</id>`,
+            `  <title>${escapeXml(meta.title)}</title>`,
+            meta.description ? `  <subtitle>${escapeXml(meta.description)}</subtitle>` : null,
+            `  <link rel="alternate" type="text/html" href="${escapeXml(meta.homeUrl)}"/>`,
+            `  <link rel="self" type="application/atom+xml" href="${escapeXml(meta.feedUrl)}"/>`,
+            `  <updated>${meta.updatedAt.toISOString()}</updated>`,
+            ...entries,
+            '</feed>',
+        ]
+            .filter(line => line !== null)
+            .join('\n');
+    }
+
+    /**
+     * 生成 JSON Feed 1.1
+     * @param {Object} meta - 订阅源信息
+     * @param {Array} items - 订阅条目
+     * @returns {string}
+     */
+    renderJson(meta, items) {
+        return JSON.stringify({
+            version: 'https://jsonfeed.org/version/1.1',
+            title: meta.title,
+            home_page_url: meta.homeUrl,
+            feed_url: meta.feedUrl,
+            description: meta.description || undefined,
+            language: siteConfig.language,
+            items: items.map(item => ({
+                id: String(item.id),
+                url: item.url,
+                title: item.title,
+                content_html: item.html,
+                summary: item.summary || undefined,
+                date_published: item.publishedAt.toISOString(),
+                date_modified: item.updatedAt.toISOString(),
+                authors: item.author ? [{ name: item.author }] : undefined,
+                tags: item.categories.length > 0 ? item.categories : undefined,
+            })),
+        });
+    }
+}
+
+// 创建服务实例
+const feedService = new FeedService();
+module.exports = feedService;
+module.exports.FEED_FORMATS = FEED_FORMATS;
@@ -0,0 +1,193 @@
+const { Op } = require('sequelize');
+const { sequelize, Post, PostLike, PostBookmark, User, Categroup } = require('../models');
+const { BusinessError, createPagination } = require('../utils/response');
+
+/**
+ * 文章互动服务层
+ * 处理点赞、收藏以及当前用户的互动状态
+ */
+class InteractionService {
+    /**
+     * 点赞文章（重复点赞不会重复计数）
+     * @param {number} userId - 用户ID
+     * @param {number} postId - 文章ID
+     * @returns {Promise<Object>} - 点赞状态和最新点赞数
+     */
+    async likePost(userId, postId) {
+        await this.assertPostPublic(postId);
+
+        await sequelize.transaction(async transaction => {
+            const created = await this.createRecord(PostLike, userId, postId, transaction);
+            if (created) {
+                await Post.increment('likeCount', { by: 1, where: { id: postId }, transaction });
+            }
+        });
+
+        return { liked: true, likeCount: await this.getLikeCount(postId) };
+    }
+
+    /**
+     * 取消点赞（未点赞时直接返回）
+     * @param {number} userId - 用户ID
+     * @param {number} postId - 文章ID
+     * @returns {Promise<Object>} - 点赞状态和最新点赞数
+     */
+    async unlikePost(userId, postId) {
+        await sequelize.transaction(async transaction => {
+            const count = await PostLike.destroy({ where: { userId, postId }, transaction });
+            if (count > 0) {
+                await Post.decrement('likeCount', {
+                    by: 1,
+                    where: { id: postId, likeCount: { [Op.gt]: 0 } },
+                    transaction,
+                });
+            }
+        });
+
+        return { liked: false, likeCount: await this.getLikeCount(postId) };
+    }
+
+    /**
+     * 收藏文章（重复收藏直接返回）
+     * @param {number} userId - 用户ID
+     * @param {number} postId - 文章ID
+     * @returns {Promise<Object>} - 收藏状态
+     */
+    async bookmarkPost(userId, postId) {
+        await this.assertPostPublic(postId);
+        await this.createRecord(PostBookmark, userId, postId);
+        return { bookmarked: true };
+    }
+
+    /**
+     * 取消收藏（未收藏时直接返回）
+     * @param {number} userId - 用户ID
+     * @param {number} postId - 文章ID
+     * @returns {Promise<Object>} - 收藏状态
+     */
+    async unbookmarkPost(userId, postId) {
+        await PostBookmark.destroy({ where: { userId, postId } });
+        return { bookmarked: false };
+    }
+
+    /**
+     * 分页获取用户收藏的文章（仅返回仍公开的文章）
+     * @param {number} userId - 用户ID
+     * @param {Object} options - 分页选项
+     * @returns {Promise<Object>} - 文章列表和分页信息
+     */
+    async getUserBookmarks(userId, options = {}) {
+        const page = parseInt(options.page) || 1;
+        const limit = parseInt(options.limit) || 10;
+
+        const { count, rows } = await PostBookmark.findAndCountAll({
+            where: { userId },
+            include: [
+                {
+                    model: Post,
+                    as: 'post',
+                    required: true,
+                    where: { status: 1, auditStatus: 1 },
+                    attributes: { exclude: ['content', 'html', 'toc'] },
+                    include: [
+                        { model: User, as: 'author', attributes: ['id', 'username', 'fullName', 'avatar'] },
+                        { model: Categroup, as: 'category', attributes: ['id', 'name', 'slug'] },
+                    ],
+                },
+            ],
+            order: [['createdAt', 'DESC']],
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        const data = rows.map(bookmark => ({
+            ...bookmark.post.toJSON(),
+            bookmarkedAt: bookmark.createdAt,
+        }));
+
+        return {
+            data,
+            pagination: createPagination(page, limit, count, Math.ceil(count / limit)),
+        };
+    }
+
+    /**
+     * 为文章附加当前用户的点赞、收藏状态（isLiked、isBookmarked）
+     * @param {Object|Array} posts - 文章实例或文章实例数组
+     * @param {number} [userId] - 当前用户ID，未登录时状态均为 false
+     * @returns {Promise<void>}
+     */
+    async attachUserState(posts, userId) {
+        const list = (Array.isArray(posts) ? posts : [posts]).filter(Boolean);
+        if (list.length === 0) {
+            return;
+        }
+
+        let likedIds = new Set();
+        let bookmarkedIds = new Set();
+        if (userId) {
+            const postIds = list.map(post => post.id);
+            const [likes, bookmarks] = await Promise.all([
+                PostLike.findAll({ where: { userId, postId: postIds }, attributes: ['postId'] }),
+                PostBookmark.findAll({ where: { userId, postId: postIds }, attributes: ['postId'] }),
+            ]);
+            likedIds = new Set(likes.map(like => like.postId));
+            bookmarkedIds = new Set(bookmarks.map(bookmark => bookmark.postId));
+        }
+
+        list.forEach(post => {
+            post.setDataValue('isLiked', likedIds.has(post.id));
+            post.setDataValue('isBookmarked', bookmarkedIds.has(post.id));
+        });
+    }
+
+    /**
+     * 创建互动记录，已存在时返回 false
+     * 依赖 (user_id, post_id) 唯一索引处理并发重复提交
+     * @param {Object} model - PostLike 或 PostBookmark
+     * @param {number} userId - 用户ID
+     * @param {number} postId - 文章ID
+     * @param {Object} [transaction] - 事务
+     * @returns {Promise<boolean>} - 是否新建了记录
+     */
+    async createRecord(model, userId, postId, transaction) {
+        const existing = await model.findOne({ where: { userId, postId }, transaction });
+        if (existing) {
+            return false;
+        }
+        try {
+            await model.create({ userId, postId }, { transaction });
+            return true;
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 获取文章最新点赞数
+     * @param {number} postId - 文章ID
+     * @returns {Promise<number>}
+     */
+    async getLikeCount(postId) {
+        const post = await Post.findByPk(postId, { attributes: ['id', 'likeCount'] });
+        return post ? post.likeCount : 0;
+    }
+
+    /**
+     * 校验文章存在且已公开
+     * @param {number} postId - 文章ID
+     */
+    async assertPostPublic(postId) {
+        const post = await Post.findByPk(postId, { attributes: ['id', 'status', 'auditStatus'] });
+        if (!post || post.status !== 1 || post.auditStatus !== 1) {
+            throw new BusinessError('文章不存在', 404);
+        }
+    }
+}
+
+// 创建服务实例
+const interactionService = new InteractionService();
+module.exports = interactionService;
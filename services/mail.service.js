@@ -0,0 +1,51 @@
+const environment = require('../config/environment');
+const LogMailTransport = require('./mail/log.transport');
+const SmtpMailTransport = require('./mail/smtp.transport');
+
+const mailConfig = environment.get('mail');
+
+// 可用的邮件通道
+const TRANSPORTS = {
+    log: LogMailTransport,
+    smtp: SmtpMailTransport,
+};
+
+/**
+ * 邮件服务层
+ * 发送由通道完成（log: 写入日志；smtp: 通过 SMTP 发送），本层负责填充发件人等公共字段
+ */
+class MailService {
+    constructor() {
+        // 日志通道不会实际发送邮件，生产环境误用会导致重置密码等邮件全部丢失
+        if (environment.get('nodeEnv') === 'production' && mailConfig.driver !== 'smtp') {
+            throw new Error('生产环境必须使用 SMTP 邮件通道，请设置 MAIL_DRIVER=smtp');
+        }
+        const Transport = TRANSPORTS[mailConfig.driver] || LogMailTransport;
+        this.transport = new Transport(mailConfig.smtp);
+    }
+
+    /**
+     * 替换邮件通道（如测试时注入自定义通道）
+     * @param {Object} transport - 实现 send(message) 的通道
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * 发送邮件
+     * @param {Object} message - 邮件内容
+     * @param {string} message.to - 收件人
+     * @param {string} message.subject - 主题
+     * @param {string} message.text - 纯文本正文
+     * @param {string} [message.html] - HTML 正文
+     * @returns {Promise<Object>} - { messageId }
+     */
+    async send({ to, subject, text, html }) {
+        return await this.transport.send({ from: mailConfig.from, to, subject, text, html });
+    }
+}
+
+// 创建服务实例
+const mailService = new MailService();
+module.exports = mailService;
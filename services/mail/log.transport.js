@@ -0,0 +1,40 @@
+const { logger } = require('../../utils/logger');
+
+// 链接中的令牌参数（重置密码、验证邮箱等链接本身就是凭证，不能写入日志）
+const TOKEN_PARAM_PATTERN = /([?&]token=)[^\s&#]+/g;
+
+/**
+ * 隐藏文本中链接携带的令牌
+ * @param {string} text - 邮件正文
+ * @returns {string}
+ */
+const redactTokens = text => String(text || '').replace(TOKEN_PARAM_PATTERN, '$1[已隐藏]');
+
+/**
+ * 日志邮件通道
+ * 不实际发送，只把邮件内容写入日志（链接中的令牌会被隐藏），适合本地开发；生产环境不能使用
+ */
+class LogMailTransport {
+    constructor() {
+        this.name = 'log';
+    }
+
+    /**
+     * 发送邮件
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<Object>} - { messageId }
+     */
+    async send(message) {
+        const messageId = `log-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        logger.info('📧 邮件（未实际发送）', {
+            messageId,
+            from: message.from,
+            to: message.to,
+            subject: message.subject,
+            text: redactTokens(message.text),
+        });
+        return { messageId };
+    }
+}
+
+module.exports = LogMailTransport;
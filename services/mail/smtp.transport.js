@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP 邮件通道
+ * 测试环境可指向本地的 SMTP 模拟服务（如 MailHog、smtp4dev），无需认证时不配置用户名即可
+ */
+class SmtpMailTransport {
+    /**
+     * @param {Object} options - SMTP 配置 { host, port, secure, user, password }
+     */
+    constructor(options) {
+        this.name = 'smtp';
+        this.transporter = nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            auth: options.user ? { user: options.user, pass: options.password } : undefined,
+        });
+    }
+
+    /**
+     * 发送邮件
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<Object>} - { messageId }
+     */
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { messageId: info.messageId };
+    }
+}
+
+module.exports = SmtpMailTransport;
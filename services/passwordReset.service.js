@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const redisManager = require('../utils/redis');
+const environment = require('../config/environment');
+const { BusinessError } = require('../utils/response');
+const { logger } = require('../utils/logger');
+const userService = require('./user.service');
+const mailService = require('./mail.service');
+const emailVerificationService = require('./emailVerification.service');
+
+const authConfig = environment.get('auth');
+const siteConfig = environment.get('site');
+
+// Redis 键前缀
+const TOKEN_PREFIX = 'auth:password-reset'; // 重置令牌（按哈希存储）：auth:password-reset:{hash}
+const USER_PREFIX = 'auth:password-reset:user'; // 用户当前有效的重置令牌哈希（新令牌签发后旧令牌失效）
+const THROTTLE_PREFIX = 'auth:password-reset:throttle'; // 同一用户发送间隔
+// 同一用户两次发送重置邮件的最小间隔（秒）
+const SEND_INTERVAL = 60;
+
+/**
+ * 计算重置令牌哈希（Redis 中不保存令牌原文）
+ * @param {string} token - 重置令牌
+ * @returns {string}
+ */
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * 密码重置服务层
+ * 通过邮件发送一次性、限时的重置链接；无论邮箱是否存在，申请接口的响应都相同，避免泄露注册信息
+ */
+class PasswordResetService {
+    /**
+     * 申请重置密码：邮箱对应正常状态的用户时发送重置邮件，否则静默忽略
+     * @param {string} email - 邮箱
+     */
+    async requestReset(email) {
+        const user = await userService.findByEmail(String(email).trim());
+        if (!user || user.status !== 'active') {
+            return;
+        }
+        if (!(await redisManager.setNX(`${THROTTLE_PREFIX}:${user.id}`, 1, SEND_INTERVAL))) {
+            return;
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const hash = hashToken(token);
+        const userKey = `${USER_PREFIX}:${user.id}`;
+        const previousHash = await redisManager.get(userKey);
+        if (previousHash) {
+            await redisManager.del(`${TOKEN_PREFIX}:${previousHash}`);
+        }
+        await Promise.all([
+            redisManager.set(`${TOKEN_PREFIX}:${hash}`, { userId: user.id }, authConfig.passwordResetTtl),
+            redisManager.set(userKey, hash, authConfig.passwordResetTtl),
+        ]);
+
+        // 不等待发送结果，避免响应时间暴露邮箱是否存在
+        this.sendResetMail(user, token).catch(error => {
+            logger.error(`密码重置邮件发送失败 [user:${user.id}]:`, error);
+        });
+    }
+
+    /**
+     * 使用重置令牌设置新密码（令牌只能使用一次），成功后全部登录会话失效，未验证的邮箱同时标记为已验证
+     * @param {string} token - 重置令牌
+     * @param {string} newPassword - 新密码
+     */
+    async resetPassword(token, newPassword) {
+        const tokenKey = `${TOKEN_PREFIX}:${hashToken(token)}`;
+        const record = await redisManager.get(tokenKey);
+        // 删除成功才算取得令牌，并发请求中只有一个能使用
+        if (!record || (await redisManager.del(tokenKey)) !== 1) {
+            throw new BusinessError('重置链接无效或已过期', 400);
+        }
+        await redisManager.del(`${USER_PREFIX}:${record.userId}`);
+
+        const user = await userService.findById(record.userId);
+        if (!user || user.status !== 'active') {
+            throw new BusinessError('重置链接无效或已过期', 400);
+        }
+        await userService.resetPassword(user.id, newPassword);
+        // 能收到重置邮件即证明邮箱属于该用户
+        if (!user.emailVerified) {
+            await emailVerificationService.markVerified(user.id);
+        }
+    }
+
+    /**
+     * 发送密码重置邮件
+     * @param {Object} user - 用户
+     * @param {string} token - 重置令牌
+     */
+    async sendResetMail(user, token) {
+        const baseUrl = authConfig.passwordResetUrl || `${siteConfig.url}/reset-password`;
+        const link = `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+        const minutes = Math.round(authConfig.passwordResetTtl / 60);
+
+        await mailService.send({
+            to: user.email,
+            subject: `【${siteConfig.title}】重置密码`,
+            text: [
+                `${user.username}，你好：`,
+                '',
+                '我们收到了重置你账号密码的申请，请打开以下链接设置新密码：',
+                link,
+                '',
+                `链接 ${minutes} 分钟内有效，且只能使用一次。如果不是你本人操作，请忽略本邮件，你的密码不会改变。`,
+            ].join('\n'),
+        });
+    }
+}
+
+// 创建服务实例
+const passwordResetService = new PasswordResetService();
+module.exports = passwordResetService;
@@ -0,0 +1,587 @@
+const { Op } = require('sequelize');
+const { sequelize, Post, Categroup, PostAudit, User, Tag, PostSlugAlias } = require('../models');
+const { BusinessError, createPagination } = require('../utils/response');
+const { slugify, transliterate, generateUniqueSlug } = require('../utils/slug');
+const redisManager = require('../utils/redis');
+const markdown = require('../utils/markdown');
+const environment = require('../config/environment');
+const tagService = require('./tag.service');
+const postRevisionService = require('./postRevision.service');
+const seriesService = require('./series.service');
+const relatedPostService = require('./relatedPost.service');
+
+const siteConfig = environment.get('site');
+
+// 允许作者编辑的文章字段
+const EDITABLE_FIELDS = ['title', 'content', 'summary', 'coverImage', 'status', 'typeId', 'scheduledAt'];
+// 修改后需要重新审核的字段
+const AUDITED_FIELDS = ['title', 'content', 'summary', 'coverImage', 'typeId'];
+// 对外展示的作者字段（不含邮箱、密码等敏感信息）
+const AUTHOR_ATTRIBUTES = ['id', 'username', 'fullName', 'avatar'];
+// 由正文渲染得到的字段
+const RENDERED_FIELDS = ['html', 'toc', 'wordCount', 'readingTime', 'summary'];
+// 影响相关文章推荐的字段（标签单独判断）
+const RELATED_FIELDS = ['title', 'typeId'];
+// 定时发布状态
+const SCHEDULED_STATUS = 3;
+// 进入审核队列的文章状态（已发布、定时发布；定时发布的文章可提前审核，到时发布后直接公开）
+const AUDIT_QUEUE_STATUSES = [1, SCHEDULED_STATUS];
+// 文章列表相关缓存键（订阅源、归档等缓存都以此为前缀）
+const POST_CACHE_PATTERN = 'cache:posts:*';
+
+/**
+ * 文章服务层
+ * 处理文章的创建、编辑、删除和查询等业务逻辑
+ */
+class PostService {
+    /**
+     * 根据ID查询文章
+     * @param {number} postId - 文章ID
+     * @returns {Promise<Object|null>} - 文章实例，不存在时返回 null
+     */
+    async findById(postId) {
+        return await Post.findByPk(postId);
+    }
+
+    /**
+     * 获取文章作者ID（供资源所有者校验中间件使用）
+     * @param {number} postId - 文章ID
+     * @returns {Promise<number>} - 作者ID，文章不存在时抛出 404
+     */
+    async getOwnerId(postId) {
+        const post = await Post.findByPk(postId, { attributes: ['id', 'userId'] });
+        if (!post) {
+            throw new BusinessError('文章不存在', 404);
+        }
+        return post.userId;
+    }
+
+    /**
+     * 判断文章是否对外公开（已发布且审核通过）
+     * @param {Object} post - 文章实例
+     * @returns {boolean}
+     */
+    isPublic(post) {
+        return post.status === 1 && post.auditStatus === 1;
+    }
+
+    /**
+     * 判断用户能否查看文章（公开文章所有人可见，未公开的仅作者本人和管理员可见）
+     * @param {Object} post - 文章实例
+     * @param {Object} [currentUser] - 当前登录用户（可选）
+     * @returns {boolean}
+     */
+    canView(post, currentUser) {
+        if (this.isPublic(post)) {
+            return true;
+        }
+        return Boolean(currentUser && (currentUser.id === post.userId || currentUser.role === 'admin'));
+    }
+
+    /**
+     * 获取文章在前台站点的访问地址
+     * @param {Object} post - 文章实例
+     * @returns {string}
+     */
+    getPermalink(post) {
+        return `${siteConfig.url}/posts/${encodeURIComponent(post.slug || post.id)}`;
+    }
+
+    /**
+     * 获取文章详情，支持ID或别名
+     * 未公开的文章仅作者本人和管理员可见
+     * @param {string|number} idOrSlug - 文章ID或别名
+     * @param {Object} [currentUser] - 当前登录用户（可选）
+     * @returns {Promise<Object|null>} - 文章实例，不存在或无权查看时返回 null
+     */
+    async getPostDetail(idOrSlug, currentUser) {
+        const where = /^\d+$/.test(String(idOrSlug)) ? { id: parseInt(idOrSlug) } : { slug: idOrSlug };
+        const post = await Post.findOne({
+            where,
+            include: [
+                { model: User, as: 'author', attributes: AUTHOR_ATTRIBUTES },
+                { model: Categroup, as: 'category', attributes: ['id', 'name', 'slug', 'description'] },
+                {
+                    model: Tag,
+                    as: 'tags',
+                    through: { attributes: [] },
+                    attributes: ['id', 'name', 'slug'],
+                },
+            ],
+        });
+        if (!post || !this.canView(post, currentUser)) {
+            return null;
+        }
+
+        // 渲染功能上线前的文章尚无渲染结果时临时渲染（不写库，存量数据由 scripts/post.backfill.js 补充）
+        if (post.html === null) {
+            this.applyRendering(post);
+        }
+        // 所属系列及上一篇 / 下一篇
+        post.setDataValue('series', await seriesService.getNavigation(post));
+        return post;
+    }
+
+    /**
+     * 创建文章
+     * @param {number} userId - 作者ID
+     * @param {Object} postData - 文章数据，可通过 tagIds 或 tags（标签名）指定标签
+     * @returns {Promise<Object>} - 创建的文章实例
+     */
+    async createPost(userId, postData) {
+        const data = this.pickEditableFields(postData);
+        this.normalizeSchedule(data);
+        this.applyRendering(data);
+        await this.assertCategoryExists(data.typeId);
+
+        return await sequelize.transaction(async transaction => {
+            const post = await Post.create(
+                {
+                    ...data,
+                    slug: await this.generateSlug(postData.slug || data.title, null, transaction),
+                    userId,
+                },
+                { transaction }
+            );
+            await this.syncTags(post, postData, transaction);
+            await postRevisionService.createRevision(post, userId, { transaction });
+            return post;
+        });
+    }
+
+    /**
+     * 更新文章，标题、摘要或正文有变化时记录新版本
+     * @param {number} postId - 文章ID
+     * @param {Object} postData - 需要更新的文章数据
+     * @param {number} editorId - 编辑者ID
+     * @param {Object} [options] - 选项
+     * @param {number} [options.restoredFrom] - 由历史版本恢复时的来源版本号
+     * @returns {Promise<Object|null>} - 更新后的文章实例，不存在时返回 null
+     */
+    async updatePost(postId, postData, editorId, options = {}) {
+        const post = await Post.findByPk(postId);
+        if (!post) {
+            return null;
+        }
+
+        const data = this.pickEditableFields(postData);
+        this.normalizeSchedule(data, post);
+        if (data.typeId !== undefined && data.typeId !== post.typeId) {
+            await this.assertCategoryExists(data.typeId);
+        }
+
+        post.set(data);
+        if (post.changed('content') || post.changed('summary')) {
+            this.applyRendering(post);
+        }
+        // 已审核通过的文章修改内容后重新进入待审核队列
+        if (post.auditStatus === 1 && AUDITED_FIELDS.some(field => post.changed(field))) {
+            post.auditStatus = 0;
+        }
+
+        const previousSlug = post.slug;
+        const slugChanged = postData.slug !== undefined && slugify(transliterate(postData.slug)) !== post.slug;
+
+        const revisionChanged = postRevisionService.hasRevisionChanges(post);
+        const relatedChanged =
+            RELATED_FIELDS.some(field => post.changed(field)) ||
+            postData.tagIds !== undefined ||
+            postData.tags !== undefined;
+        await sequelize.transaction(async transaction => {
+            if (revisionChanged) {
+                await postRevisionService.ensureBaseline(post, transaction);
+            }
+            if (slugChanged) {
+                post.slug = await this.generateSlug(postData.slug || post.title, post.id, transaction);
+            }
+            await post.save({ transaction });
+            if (slugChanged) {
+                await this.recordSlugAlias(post, previousSlug, transaction);
+            }
+            await this.syncTags(post, postData, transaction);
+            if (revisionChanged) {
+                await postRevisionService.createRevision(post, editorId, {
+                    restoredFrom: options.restoredFrom,
+                    transaction,
+                });
+            }
+        });
+        await this.clearListCache();
+        if (relatedChanged) {
+            await relatedPostService.clearCache(post.id);
+        }
+        return post;
+    }
+
+    /**
+     * 获取相关文章推荐
+     * @param {number} postId - 文章ID
+     * @param {number} [limit] - 返回数量
+     * @param {Object} [currentUser] - 当前登录用户（可选）
+     * @returns {Promise<Array|null>} - 相关文章列表，文章不存在或无权查看时返回 null
+     */
+    async getRelatedPosts(postId, limit, currentUser) {
+        const post = await Post.findByPk(postId, {
+            attributes: ['id', 'title', 'typeId', 'userId', 'status', 'auditStatus'],
+        });
+        if (!post || !this.canView(post, currentUser)) {
+            return null;
+        }
+        return await relatedPostService.getRelatedPosts(post, limit);
+    }
+
+    /**
+     * 根据历史别名查找文章当前的访问地址（用于旧链接跳转）
+     * @param {string} slug - 历史别名
+     * @param {Object} [currentUser] - 当前登录用户（可选）
+     * @returns {Promise<Object|null>} - { id, slug, permalink }，别名不存在或无权查看时返回 null
+     */
+    async resolveSlugAlias(slug, currentUser) {
+        const alias = await PostSlugAlias.findOne({
+            where: { slug },
+            include: [{ model: Post, as: 'post', attributes: ['id', 'slug', 'userId', 'status', 'auditStatus'] }],
+        });
+        if (!alias || !alias.post || !this.canView(alias.post, currentUser)) {
+            return null;
+        }
+        const { post } = alias;
+        return { id: post.id, slug: post.slug, permalink: this.getPermalink(post) };
+    }
+
+    /**
+     * 生成文章别名：汉字转换为拼音，与其他文章的当前别名和历史别名均不重复
+     * 纯数字别名会与文章ID混淆，自动添加 post- 前缀
+     * @param {string} text - 用于生成别名的文本（标题或作者指定的别名）
+     * @param {number} [excludeId] - 排除的文章ID（更新时排除自身）
+     * @param {Object} [transaction] - 事务
+     * @returns {Promise<string>}
+     */
+    async generateSlug(text, excludeId, transaction) {
+        const source = /^\d+$/.test(slugify(transliterate(text))) ? `post-${text}` : text;
+        return await generateUniqueSlug(Post, source, {
+            excludeId,
+            fallback: 'post',
+            transliterate: true,
+            transaction,
+            isReserved: async slug => {
+                const where = { slug };
+                if (excludeId) {
+                    where.postId = { [Op.ne]: excludeId };
+                }
+                return Boolean(await PostSlugAlias.findOne({ where, attributes: ['id'], transaction }));
+            },
+        });
+    }
+
+    /**
+     * 别名变更后保留旧别名，并移除与新别名相同的历史记录（改回旧别名时）
+     * @param {Object} post - 文章实例（已更新为新别名）
+     * @param {string|null} previousSlug - 旧别名
+     * @param {Object} transaction - 事务
+     */
+    async recordSlugAlias(post, previousSlug, transaction) {
+        await PostSlugAlias.destroy({ where: { postId: post.id, slug: post.slug }, transaction });
+        if (previousSlug && previousSlug !== post.slug) {
+            await PostSlugAlias.findOrCreate({
+                where: { slug: previousSlug },
+                defaults: { postId: post.id },
+                transaction,
+            });
+        }
+    }
+
+    /**
+     * 将文章恢复为指定的历史版本（恢复结果作为一个新版本保存）
+     * @param {number} postId - 文章ID
+     * @param {number} revisionId - 版本ID
+     * @param {number} editorId - 操作者ID
+     * @returns {Promise<Object|null>} - 恢复后的文章实例，文章或版本不存在时返回 null
+     */
+    async restoreRevision(postId, revisionId, editorId) {
+        const [post, revision] = await Promise.all([
+            Post.findByPk(postId),
+            postRevisionService.getRevision(postId, revisionId),
+        ]);
+        if (!post || !revision) {
+            return null;
+        }
+
+        const { title, summary, content } = revision;
+        if (post.title === title && post.summary === summary && post.content === content) {
+            throw new BusinessError('文章内容与该版本一致，无需恢复', 409);
+        }
+
+        return await this.updatePost(postId, { title, summary, content }, editorId, {
+            restoredFrom: revision.version,
+        });
+    }
+
+    /**
+     * 根据请求中的 tagIds / tags 更新文章标签
+     * 两者都未提供时保持原有标签不变
+     * @param {Object} post - 文章实例
+     * @param {Object} postData - 请求数据
+     * @param {Object} transaction - 事务
+     */
+    async syncTags(post, postData, transaction) {
+        const { tagIds, tags } = postData;
+        if (tagIds === undefined && tags === undefined) {
+            return;
+        }
+
+        const resolved = await tagService.resolveTags(
+            {
+                tagIds: Array.isArray(tagIds) ? tagIds : [],
+                tagNames: Array.isArray(tags) ? tags : [],
+            },
+            transaction
+        );
+        await post.setTags(resolved, { transaction });
+        post.setDataValue('tags', resolved);
+    }
+
+    /**
+     * 删除文章
+     * @param {number} postId - 文章ID
+     * @returns {Promise<boolean>} - 是否删除成功
+     */
+    async deletePost(postId) {
+        const count = await Post.destroy({ where: { id: postId } });
+        if (count > 0) {
+            await this.clearListCache();
+            await relatedPostService.clearCache(postId);
+        }
+        return count > 0;
+    }
+
+    /**
+     * 获取待审核文章列表（管理员，含待定时发布的文章）
+     * @param {Object} options - 分页选项
+     * @returns {Promise<Object>} - 文章列表和分页信息
+     */
+    async getPendingPosts(options = {}) {
+        const page = parseInt(options.page) || 1;
+        const limit = parseInt(options.limit) || 10;
+
+        const { count, rows } = await Post.findAndCountAll({
+            where: { status: AUDIT_QUEUE_STATUSES, auditStatus: 0 },
+            attributes: { exclude: ['content', 'html', 'toc'] },
+            include: [{ model: User, as: 'author', attributes: AUTHOR_ATTRIBUTES }],
+            order: [['updatedAt', 'ASC']], // 先提交的先审核
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        return {
+            data: rows,
+            pagination: createPagination(page, limit, count, Math.ceil(count / limit)),
+        };
+    }
+
+    /**
+     * 统计待审核文章数量
+     * @returns {Promise<number>}
+     */
+    async countPendingAudits() {
+        return await Post.count({ where: { status: AUDIT_QUEUE_STATUSES, auditStatus: 0 } });
+    }
+
+    /**
+     * 审核文章
+     * @param {number} postId - 文章ID
+     * @param {number} reviewerId - 审核人ID
+     * @param {number} auditStatus - 审核结果（1: 通过, 2: 驳回）
+     * @param {string} [reason] - 驳回原因
+     * @returns {Promise<Object|null>} - 审核后的文章实例，不存在时返回 null
+     */
+    async auditPost(postId, reviewerId, auditStatus, reason) {
+        const audited = await sequelize.transaction(async transaction => {
+            const post = await Post.findByPk(postId, {
+                transaction,
+                lock: transaction.LOCK.UPDATE,
+            });
+            if (!post) {
+                return null;
+            }
+            if (post.auditStatus === auditStatus) {
+                throw new BusinessError(auditStatus === 1 ? '文章已审核通过' : '文章已被驳回', 409);
+            }
+
+            await PostAudit.create(
+                {
+                    postId: post.id,
+                    reviewerId,
+                    fromStatus: post.auditStatus,
+                    toStatus: auditStatus,
+                    reason: reason || null,
+                },
+                { transaction }
+            );
+
+            post.auditStatus = auditStatus;
+            await post.save({ transaction });
+            return post;
+        });
+
+        if (audited) {
+            await this.clearListCache();
+        }
+        return audited;
+    }
+
+    /**
+     * 获取文章审核记录
+     * @param {number} postId - 文章ID
+     * @returns {Promise<Array>} - 审核记录列表（最新的在前）
+     */
+    async getAuditHistory(postId) {
+        return await PostAudit.findAll({
+            where: { postId },
+            include: [
+                {
+                    model: User,
+                    as: 'reviewer',
+                    attributes: AUTHOR_ATTRIBUTES,
+                },
+            ],
+            order: [['createdAt', 'DESC']],
+        });
+    }
+
+    /**
+     * 发布已到定时发布时间的文章
+     * 以「仍处于定时发布状态」作为更新条件，同一篇文章只会被发布一次。
+     * 使用静态 Post.update 条件更新而非实例保存，多个实例同时执行时不会重复发布；
+     * 因此不会触发 beforeSave 钩子，钩子中设置的发布时间在这里显式写入（取定时发布时间）
+     * @param {number} limit - 本次最多发布的文章数
+     * @returns {Promise<number>} - 实际发布的文章数
+     */
+    async publishScheduledPosts(limit) {
+        const duePosts = await Post.findAll({
+            where: { status: SCHEDULED_STATUS, scheduledAt: { [Op.lte]: new Date() } },
+            attributes: ['id', 'scheduledAt'],
+            order: [['scheduledAt', 'ASC']],
+            limit,
+        });
+
+        let published = 0;
+        for (const post of duePosts) {
+            const [count] = await Post.update(
+                { status: 1, publishedAt: post.scheduledAt, scheduledAt: null },
+                { where: { id: post.id, status: SCHEDULED_STATUS } }
+            );
+            published += count;
+        }
+
+        if (published > 0) {
+            await this.clearListCache();
+        }
+        return published;
+    }
+
+    /**
+     * 清除文章列表相关缓存
+     */
+    async clearListCache() {
+        await redisManager.deletePattern(POST_CACHE_PATTERN);
+    }
+
+    /**
+     * 校验并整理定时发布时间
+     * 定时发布状态必须指定晚于当前的发布时间，其他状态下清空定时发布时间
+     * @param {Object} data - 待保存的文章数据
+     * @param {Object} [post] - 原文章实例（更新时传入）
+     */
+    normalizeSchedule(data, post) {
+        const status = data.status !== undefined ? data.status : post ? post.status : 0;
+        if (status !== SCHEDULED_STATUS) {
+            data.scheduledAt = null;
+            return;
+        }
+
+        if (data.scheduledAt === undefined) {
+            // 已是定时发布状态且未修改时间时保持原定时
+            if (post && post.status === SCHEDULED_STATUS && post.scheduledAt) {
+                return;
+            }
+            throw new BusinessError('定时发布需要设置发布时间', 400);
+        }
+
+        const scheduledAt = new Date(data.scheduledAt);
+        if (isNaN(scheduledAt.getTime())) {
+            throw new BusinessError('定时发布时间格式不正确', 400);
+        }
+        if (scheduledAt <= new Date()) {
+            throw new BusinessError('定时发布时间必须晚于当前时间', 400);
+        }
+        data.scheduledAt = scheduledAt;
+    }
+
+    /**
+     * 渲染正文，写入 HTML、目录、字数和阅读时间
+     * 摘要为空，或摘要是根据修改前正文自动生成且本次未手动修改时，重新根据正文生成摘要
+     * @param {Object} target - 文章实例或待创建的文章数据
+     */
+    applyRendering(target) {
+        const rendered = markdown.render(target.content);
+        const isInstance = typeof target.changed === 'function';
+
+        let autoSummary = !target.summary;
+        if (!autoSummary && isInstance && !target.changed('summary') && target.changed('content')) {
+            autoSummary = target.summary === markdown.render(target.previous('content')).summary;
+        }
+
+        const values = {
+            html: rendered.html,
+            toc: rendered.toc,
+            wordCount: rendered.wordCount,
+            readingTime: rendered.readingTime,
+        };
+        if (autoSummary) {
+            values.summary = rendered.summary || null;
+        }
+
+        if (isInstance) {
+            target.set(values);
+        } else {
+            Object.assign(target, values);
+        }
+    }
+
+    /**
+     * 提取允许编辑的字段，并规范数字类型
+     * @param {Object} postData - 原始请求数据
+     * @returns {Object} - 过滤后的文章数据
+     */
+    pickEditableFields(postData = {}) {
+        const data = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (postData[field] !== undefined) {
+                data[field] = postData[field];
+            }
+        });
+        if (data.status !== undefined) {
+            data.status = parseInt(data.status);
+        }
+        if (data.typeId !== undefined) {
+            data.typeId = parseInt(data.typeId);
+        }
+        return data;
+    }
+
+    /**
+     * 校验分类是否存在
+     * @param {number} typeId - 分类ID
+     */
+    async assertCategoryExists(typeId) {
+        const category = await Categroup.findByPk(typeId);
+        if (!category) {
+            throw new BusinessError('文章分类不存在', 400);
+        }
+    }
+}
+
+// 创建服务实例
+const postService = new PostService();
+module.exports = postService;
+module.exports.RENDERED_FIELDS = RENDERED_FIELDS;
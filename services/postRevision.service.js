@@ -0,0 +1,193 @@
+const { Op } = require('sequelize');
+const { PostRevision, User } = require('../models');
+const { createPagination } = require('../utils/response');
+const { diffLines } = require('../utils/diff');
+const environment = require('../config/environment');
+
+const revisionConfig = environment.get('postRevision');
+
+// 纳入版本记录的字段
+const REVISION_FIELDS = ['title', 'summary', 'content'];
+// 对外展示的编辑者字段
+const EDITOR_ATTRIBUTES = ['id', 'username', 'fullName', 'avatar'];
+
+/**
+ * 文章历史版本服务层
+ * 每次保存文章时记录标题、摘要和正文快照，支持版本比较和恢复
+ */
+class PostRevisionService {
+    /**
+     * 为文章当前内容创建一个新版本，并按配置清理过旧的版本
+     * @param {Object} post - 文章实例（已保存的内容）
+     * @param {number|null} editorId - 编辑者ID
+     * @param {Object} [options] - 选项
+     * @param {number} [options.restoredFrom] - 恢复来源版本号
+     * @param {Object} [options.transaction] - 事务
+     * @returns {Promise<Object>} - 创建的版本实例
+     */
+    async createRevision(post, editorId, options = {}) {
+        const { restoredFrom = null, transaction } = options;
+        const latestVersion = (await PostRevision.max('version', { where: { postId: post.id }, transaction })) || 0;
+
+        const revision = await PostRevision.create(
+            {
+                postId: post.id,
+                version: latestVersion + 1,
+                editorId,
+                title: post.title,
+                summary: post.summary,
+                content: post.content,
+                restoredFrom,
+            },
+            { transaction }
+        );
+
+        await this.pruneRevisions(post.id, transaction);
+        return revision;
+    }
+
+    /**
+     * 文章修改前补录原始内容（该文章还没有任何版本记录时）
+     * 用于功能上线前已存在的文章，避免第一次修改就丢失原文
+     * @param {Object} post - 文章实例（修改前的内容）
+     * @param {Object} [transaction] - 事务
+     */
+    async ensureBaseline(post, transaction) {
+        const count = await PostRevision.count({ where: { postId: post.id }, transaction });
+        if (count > 0) {
+            return;
+        }
+
+        await PostRevision.create(
+            {
+                postId: post.id,
+                version: 1,
+                editorId: null,
+                ...REVISION_FIELDS.reduce((snapshot, field) => {
+                    snapshot[field] = post.previous(field);
+                    return snapshot;
+                }, {}),
+            },
+            { transaction }
+        );
+    }
+
+    /**
+     * 判断文章是否修改了需要记录版本的字段
+     * @param {Object} post - 文章实例（保存前）
+     * @returns {boolean}
+     */
+    hasRevisionChanges(post) {
+        return REVISION_FIELDS.some(field => post.changed(field));
+    }
+
+    /**
+     * 分页获取文章版本列表（不含正文）
+     * @param {number} postId - 文章ID
+     * @param {Object} options - 分页选项
+     * @returns {Promise<Object>} - 版本列表和分页信息
+     */
+    async getRevisions(postId, options = {}) {
+        const page = parseInt(options.page) || 1;
+        const limit = parseInt(options.limit) || 20;
+
+        const { count, rows } = await PostRevision.findAndCountAll({
+            where: { postId },
+            attributes: { exclude: ['content'] },
+            include: [{ model: User, as: 'editor', attributes: EDITOR_ATTRIBUTES }],
+            order: [['version', 'DESC']],
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        return {
+            data: rows,
+            pagination: createPagination(page, limit, count, Math.ceil(count / limit)),
+        };
+    }
+
+    /**
+     * 获取文章的指定版本
+     * @param {number} postId - 文章ID
+     * @param {number} revisionId - 版本ID
+     * @returns {Promise<Object|null>} - 版本实例，不存在时返回 null
+     */
+    async getRevision(postId, revisionId) {
+        return await PostRevision.findOne({
+            where: { id: revisionId, postId },
+            include: [{ model: User, as: 'editor', attributes: EDITOR_ATTRIBUTES }],
+        });
+    }
+
+    /**
+     * 逐行比较文章的两个版本
+     * @param {number} postId - 文章ID
+     * @param {number} fromId - 旧版本ID
+     * @param {number} toId - 新版本ID
+     * @returns {Promise<Object|null>} - 差异结果，任一版本不存在时返回 null
+     */
+    async diffRevisions(postId, fromId, toId) {
+        const [from, to] = await Promise.all([
+            PostRevision.findOne({ where: { id: fromId, postId } }),
+            PostRevision.findOne({ where: { id: toId, postId } }),
+        ]);
+        if (!from || !to) {
+            return null;
+        }
+
+        const stats = { added: 0, removed: 0 };
+        const changes = {};
+        REVISION_FIELDS.forEach(field => {
+            const lines = diffLines(from[field], to[field]);
+            lines.forEach(line => {
+                if (line.type !== 'equal') {
+                    stats[line.type]++;
+                }
+            });
+            changes[field] = {
+                changed: (from[field] || '') !== (to[field] || ''),
+                lines,
+            };
+        });
+
+        return {
+            from: { id: from.id, version: from.version, createdAt: from.createdAt },
+            to: { id: to.id, version: to.version, createdAt: to.createdAt },
+            stats,
+            changes,
+        };
+    }
+
+    /**
+     * 按配置保留最近的版本，删除更早的版本
+     * @param {number} postId - 文章ID
+     * @param {Object} [transaction] - 事务
+     */
+    async pruneRevisions(postId, transaction) {
+        const maxPerPost = revisionConfig.maxPerPost;
+        if (!maxPerPost || maxPerPost <= 0) {
+            return;
+        }
+
+        const expired = await PostRevision.findAll({
+            where: { postId },
+            attributes: ['id'],
+            order: [['version', 'DESC']],
+            offset: maxPerPost,
+            limit: 1000,
+            transaction,
+        });
+        if (expired.length === 0) {
+            return;
+        }
+
+        await PostRevision.destroy({
+            where: { id: { [Op.in]: expired.map(revision => revision.id) } },
+            transaction,
+        });
+    }
+}
+
+// 创建服务实例
+const postRevisionService = new PostRevisionService();
+module.exports = postRevisionService;
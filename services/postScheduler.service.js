@@ -0,0 +1,90 @@
+const redisManager = require('../utils/redis');
+const environment = require('../config/environment');
+const { logger } = require('../utils/logger');
+const postService = require('./post.service');
+
+const schedulerConfig = environment.get('postScheduler');
+
+// 多实例发布互斥锁
+const PUBLISH_LOCK_KEY = 'lock:post:schedule';
+
+/**
+ * 文章定时发布服务
+ * 定时检查到期的定时发布文章并发布，多实例部署时通过 Redis 锁保证同一时刻只有一个实例执行
+ */
+class PostSchedulerService {
+    constructor() {
+        this.timer = null;
+        this.running = null;
+    }
+
+    /**
+     * 执行一次定时发布检查
+     * @returns {Promise<number>} 本次发布的文章数
+     */
+    async run() {
+        if (this.running) {
+            return await this.running;
+        }
+
+        this.running = this.publishDuePosts().finally(() => {
+            this.running = null;
+        });
+        return await this.running;
+    }
+
+    /**
+     * 持有分布式锁发布到期文章
+     * @returns {Promise<number>} 本次发布的文章数
+     */
+    async publishDuePosts() {
+        const lockToken = await redisManager.acquireLock(PUBLISH_LOCK_KEY, 60);
+        if (!lockToken) {
+            return 0;
+        }
+
+        try {
+            const published = await postService.publishScheduledPosts(schedulerConfig.batchSize);
+            if (published > 0) {
+                logger.info('⏰ 定时发布文章完成', { posts: published });
+            }
+            return published;
+        } catch (error) {
+            logger.error('定时发布文章失败:', error);
+            return 0;
+        } finally {
+            await redisManager.releaseLock(PUBLISH_LOCK_KEY, lockToken);
+        }
+    }
+
+    /**
+     * 启动定时任务
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.run();
+        }, schedulerConfig.interval);
+        // 不阻止进程退出
+        this.timer.unref();
+    }
+
+    /**
+     * 停止定时任务，并等待正在执行的发布完成
+     */
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.running) {
+            await this.running;
+        }
+    }
+}
+
+// 创建服务实例
+const postSchedulerService = new PostSchedulerService();
+module.exports = postSchedulerService;
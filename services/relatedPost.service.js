@@ -0,0 +1,170 @@
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, Post, User, Categroup, Tag } = require('../models');
+const redisManager = require('../utils/redis');
+const environment = require('../config/environment');
+const { tokenize } = require('./search/memory.adapter');
+
+const relatedConfig = environment.get('relatedPosts');
+
+// 推荐结果缓存键前缀
+const CACHE_PREFIX = 'cache:related';
+// 单次最多返回的推荐数量
+const MAX_LIMIT = 20;
+// 缓存的候选排名数量（多于返回上限，部分文章下线后仍能补足）
+const RANKING_SIZE = 30;
+// 每类候选文章的查询上限
+const CANDIDATE_LIMIT = 200;
+// 参与匹配的标题关键词数量上限
+const MAX_TITLE_TERMS = 5;
+// 相关度权重
+const SCORE_WEIGHTS = { tag: 3, category: 2, term: 1 };
+// 公开文章条件
+const PUBLIC_WHERE = { status: 1, auditStatus: 1 };
+
+/**
+ * 相关文章推荐服务层
+ * 相关度 = 共同标签数 × 3 + 同分类 2 + 标题共同词数 × 1，同分时较新的文章优先
+ * 缓存的是候选排名（文章ID和得分），返回前重新加载文章，已下线的文章不会出现在结果中
+ */
+class RelatedPostService {
+    /**
+     * 获取相关文章
+     * @param {Object} post - 文章实例
+     * @param {number} [limit] - 返回数量
+     * @returns {Promise<Array>} - 文章列表（含 score）
+     */
+    async getRelatedPosts(post, limit) {
+        const size = Math.min(parseInt(limit) || relatedConfig.limit, MAX_LIMIT);
+        const ranking = await redisManager.cached(
+            `${CACHE_PREFIX}:${post.id}`,
+            () => this.rank(post),
+            relatedConfig.cacheTtl
+        );
+        if (ranking.length === 0) {
+            return [];
+        }
+
+        const posts = await Post.findAll({
+            where: { ...PUBLIC_WHERE, id: ranking.map(item => item.id) },
+            attributes: { exclude: ['content', 'html', 'toc'] },
+            include: [
+                { model: User, as: 'author', attributes: ['id', 'username', 'fullName', 'avatar'] },
+                { model: Categroup, as: 'category', attributes: ['id', 'name', 'slug'] },
+                { model: Tag, as: 'tags', through: { attributes: [] }, attributes: ['id', 'name', 'slug'] },
+            ],
+        });
+        const postMap = new Map(posts.map(item => [item.id, item]));
+
+        return ranking
+            .filter(item => postMap.has(item.id))
+            .slice(0, size)
+            .map(item => ({ ...postMap.get(item.id).toJSON(), score: item.score }));
+    }
+
+    /**
+     * 计算相关文章排名
+     * 候选文章来自共同标签、同分类和标题关键词匹配三个来源
+     * @param {Object} post - 文章实例
+     * @returns {Promise<Array<Object>>} - [{ id, score }]，按得分降序
+     */
+    async rank(post) {
+        const terms = this.getTitleTerms(post.title);
+        const excludeSelf = { ...PUBLIC_WHERE, id: { [Op.ne]: post.id } };
+
+        const [sharedTags, categoryPosts, termPosts] = await Promise.all([
+            sequelize.query(
+                `SELECT pt.post_id AS id, COUNT(*) AS shared
+                 FROM post_tags pt
+                 INNER JOIN posts p ON p.id = pt.post_id AND p.status = 1 AND p.audit_status = 1 AND p.deleted_at IS NULL
+                 WHERE pt.tag_id IN (SELECT tag_id FROM post_tags WHERE post_id = :postId)
+                   AND pt.post_id <> :postId
+                 GROUP BY pt.post_id
+                 ORDER BY shared DESC
+                 LIMIT ${CANDIDATE_LIMIT}`,
+                { replacements: { postId: post.id }, type: QueryTypes.SELECT }
+            ),
+            post.typeId
+                ? Post.findAll({
+                      where: { ...excludeSelf, typeId: post.typeId },
+                      attributes: ['id'],
+                      order: [['publishedAt', 'DESC']],
+                      limit: CANDIDATE_LIMIT,
+                      raw: true,
+                  })
+                : [],
+            // 关键词只含字母和数字，无需转义 LIKE 通配符
+            terms.length > 0
+                ? Post.findAll({
+                      where: {
+                          ...excludeSelf,
+                          [Op.or]: terms.map(term => ({ title: { [Op.like]: `%${term}%` } })),
+                      },
+                      attributes: ['id'],
+                      order: [['publishedAt', 'DESC']],
+                      limit: CANDIDATE_LIMIT,
+                      raw: true,
+                  })
+                : [],
+        ]);
+
+        const tagScores = new Map(sharedTags.map(row => [row.id, Number(row.shared)]));
+        const candidateIds = [
+            ...new Set([...tagScores.keys(), ...categoryPosts.map(row => row.id), ...termPosts.map(row => row.id)]),
+        ];
+        if (candidateIds.length === 0) {
+            return [];
+        }
+
+        const candidates = await Post.findAll({
+            where: { id: candidateIds },
+            attributes: ['id', 'title', 'typeId', 'publishedAt'],
+            raw: true,
+        });
+        const titleTerms = new Set(tokenize(post.title));
+
+        return candidates
+            .map(candidate => {
+                const sharedTerms = new Set(tokenize(candidate.title).filter(term => titleTerms.has(term))).size;
+                const score =
+                    (tagScores.get(candidate.id) || 0) * SCORE_WEIGHTS.tag +
+                    (post.typeId && candidate.typeId === post.typeId ? SCORE_WEIGHTS.category : 0) +
+                    sharedTerms * SCORE_WEIGHTS.term;
+                return { id: candidate.id, score, publishedAt: new Date(candidate.publishedAt || 0).getTime() };
+            })
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score || b.publishedAt - a.publishedAt || b.id - a.id)
+            .slice(0, RANKING_SIZE)
+            .map(({ id, score }) => ({ id, score }));
+    }
+
+    /**
+     * 提取标题中用于匹配候选文章的关键词（单字和单字母除外，长词优先）
+     * @param {string} title - 文章标题
+     * @returns {Array<string>}
+     */
+    getTitleTerms(title) {
+        return [...new Set(tokenize(title))]
+            .filter(term => term.length > 1)
+            .sort((a, b) => b.length - a.length)
+            .slice(0, MAX_TITLE_TERMS);
+    }
+
+    /**
+     * 清除文章的推荐缓存（文章标签、分类或标题变化时调用）
+     * @param {number} postId - 文章ID
+     */
+    async clearCache(postId) {
+        await redisManager.del(`${CACHE_PREFIX}:${postId}`);
+    }
+
+    /**
+     * 清除全部推荐缓存（标签删除、分类迁移等批量变更时调用）
+     */
+    async clearAllCache() {
+        await redisManager.deletePattern(`${CACHE_PREFIX}:*`);
+    }
+}
+
+// 创建服务实例
+const relatedPostService = new RelatedPostService();
+module.exports = relatedPostService;
@@ -0,0 +1,316 @@
+const { Op } = require('sequelize');
+const { sequelize, Post, User, Categroup, Tag } = require('../models');
+const { createPagination } = require('../utils/response');
+const markdown = require('../utils/markdown');
+const environment = require('../config/environment');
+const MysqlSearchAdapter = require('./search/mysql.adapter');
+const MemorySearchAdapter = require('./search/memory.adapter');
+
+const searchConfig = environment.get('search');
+
+// 可用的搜索适配器
+const ADAPTERS = {
+    mysql: MysqlSearchAdapter,
+    memory: MemorySearchAdapter,
+};
+// 搜索词最大长度
+const MAX_QUERY_LENGTH = 100;
+// 摘要片段长度
+const SNIPPET_LENGTH = 160;
+// 中日韩文字
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * 转义正则特殊字符
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+const escapeHtml = text =>
+    String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+/**
+ * 转义 LIKE 通配符
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+const escapeLike = text => text.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * 搜索服务层
+ * 检索由适配器完成（mysql: FULLTEXT ngram 索引；memory: 进程内倒排索引），
+ * 本层负责过滤条件、结果组装、高亮和搜索联想
+ */
+class SearchService {
+    constructor() {
+        const Adapter = ADAPTERS[searchConfig.driver] || MysqlSearchAdapter;
+        this.adapter = new Adapter();
+    }
+
+    /**
+     * 初始化搜索适配器（服务启动时调用）
+     */
+    async init() {
+        await this.adapter.init();
+    }
+
+    /**
+     * 规范化搜索词
+     * @param {string} query - 原始搜索词
+     * @returns {string}
+     */
+    normalizeQuery(query) {
+        return String(query || '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .substring(0, MAX_QUERY_LENGTH);
+    }
+
+    /**
+     * 生成可加入文章查询 where[Op.and] 的关键词匹配条件
+     * @param {string} query - 已规范化的搜索词
+     * @returns {Promise<Object>}
+     */
+    async condition(query) {
+        return await this.adapter.condition(query);
+    }
+
+    /**
+     * 全文搜索已公开的文章
+     * @param {Object} options - 搜索选项
+     * @param {string} options.q - 搜索词
+     * @param {number} [options.categoryId] - 分类ID
+     * @param {string} [options.tag] - 标签别名、名称或ID
+     * @param {string} [options.author] - 作者用户名或ID
+     * @param {Date} [options.from] - 发布时间起
+     * @param {Date} [options.to] - 发布时间止
+     * @returns {Promise<Object>} - 结果列表（含相关度和高亮片段）及分页信息
+     */
+    async search(options = {}) {
+        const page = parseInt(options.page) || 1;
+        const limit = Math.min(parseInt(options.limit) || 10, 50);
+        const query = this.normalizeQuery(options.q);
+
+        const conditions = [];
+        const where = { status: 1, auditStatus: 1 };
+        if (options.categoryId) {
+            where.typeId = parseInt(options.categoryId);
+        }
+        if (options.tag) {
+            const tagCondition = /^\d+$/.test(options.tag)
+                ? `pt.tag_id = ${parseInt(options.tag)}`
+                : `t.slug = ${sequelize.escape(options.tag)} OR t.name = ${sequelize.escape(options.tag)}`;
+            conditions.push(
+                sequelize.literal(
+                    `post.id IN (SELECT pt.post_id FROM post_tags pt INNER JOIN tags t ON t.id = pt.tag_id WHERE ${tagCondition})`
+                )
+            );
+        }
+        if (options.author) {
+            const author = await User.findOne({
+                where: /^\d+$/.test(options.author) ? { id: parseInt(options.author) } : { username: options.author },
+                attributes: ['id'],
+            });
+            if (!author) {
+                return { data: [], pagination: createPagination(page, limit, 0, 0) };
+            }
+            where.userId = author.id;
+        }
+        if (options.from || options.to) {
+            where.publishedAt = {};
+            if (options.from) {
+                where.publishedAt[Op.gte] = options.from;
+            }
+            if (options.to) {
+                where.publishedAt[Op.lte] = options.to;
+            }
+        }
+        if (conditions.length > 0) {
+            where[Op.and] = conditions;
+        }
+
+        const { total, hits } = await this.adapter.search(query, where, { offset: (page - 1) * limit, limit });
+        const posts = await this.loadPosts(hits.map(hit => hit.id));
+        const postMap = new Map(posts.map(post => [post.id, post]));
+
+        const terms = this.getTerms(query);
+        const data = hits
+            .filter(hit => postMap.has(hit.id))
+            .map(hit => {
+                const post = postMap.get(hit.id);
+                const { content, ...item } = post.toJSON();
+                return {
+                    ...item,
+                    score: hit.score,
+                    highlight: {
+                        title: this.highlight(post.title, terms),
+                        snippet: this.snippet(`${post.summary || ''}\n${markdown.toPlainText(content)}`, terms),
+                    },
+                };
+            });
+
+        return {
+            data,
+            pagination: createPagination(page, limit, total, Math.ceil(total / limit)),
+        };
+    }
+
+    /**
+     * 按ID加载搜索结果中的文章（含作者、分类和标签）
+     * @param {Array<number>} ids - 文章ID列表
+     * @returns {Promise<Array>}
+     */
+    async loadPosts(ids) {
+        if (ids.length === 0) {
+            return [];
+        }
+        return await Post.findAll({
+            where: { id: ids },
+            attributes: { exclude: ['html', 'toc'] },
+            include: [
+                { model: User, as: 'author', attributes: ['id', 'username', 'fullName', 'avatar'] },
+                { model: Categroup, as: 'category', attributes: ['id', 'name', 'slug'] },
+                { model: Tag, as: 'tags', through: { attributes: [] }, attributes: ['id', 'name', 'slug'] },
+            ],
+        });
+    }
+
+    /**
+     * 重建搜索索引
+     * @param {number} [postId] - 文章ID，不传时重建全部
+     * @returns {Promise<Object>} - 索引状态
+     */
+    async reindex(postId) {
+        if (postId) {
+            await this.adapter.reindexOne(postId);
+            return await this.adapter.stats();
+        }
+        return await this.adapter.reindexAll();
+    }
+
+    /**
+     * 获取索引状态
+     * @returns {Promise<Object>}
+     */
+    async stats() {
+        return await this.adapter.stats();
+    }
+
+    /**
+     * 搜索联想：按前缀匹配文章标题和标签名
+     * @param {string} prefix - 输入前缀
+     * @param {number} [limit] - 每类最多返回数量
+     * @returns {Promise<Object>} - { titles, tags }
+     */
+    async suggest(prefix, limit = 5) {
+        const normalized = this.normalizeQuery(prefix);
+        const size = Math.min(parseInt(limit) || 5, 20);
+        const pattern = `${escapeLike(normalized)}%`;
+
+        const [posts, tags] = await Promise.all([
+            Post.findAll({
+                where: { status: 1, auditStatus: 1, title: { [Op.like]: pattern } },
+                attributes: ['id', 'title', 'slug'],
+                order: [['viewCount', 'DESC']],
+                limit: size,
+            }),
+            Tag.findAll({
+                where: { name: { [Op.like]: pattern } },
+                attributes: ['id', 'name', 'slug'],
+                order: [['name', 'ASC']],
+                limit: size,
+            }),
+        ]);
+
+        return { titles: posts, tags };
+    }
+
+    /**
+     * 拆分用于高亮的关键词（长词优先）
+     * @param {string} query - 已规范化的搜索词
+     * @returns {Array<string>}
+     */
+    getTerms(query) {
+        const terms = [...new Set(query.toLowerCase().split(' ').filter(Boolean))];
+        return terms.sort((a, b) => b.length - a.length).slice(0, 10);
+    }
+
+    /**
+     * 查找文本中实际出现的关键词
+     * 中文关键词整体未出现时退化为按两字拆分（与 ngram 分词一致）
+     * @param {string} text - 文本
+     * @param {Array<string>} terms - 关键词
+     * @returns {Array<string>}
+     */
+    resolveTerms(text, terms) {
+        const lowerText = text.toLowerCase();
+        const resolved = [];
+        terms.forEach(term => {
+            if (lowerText.includes(term)) {
+                resolved.push(term);
+            } else if (CJK_PATTERN.test(term) && term.length > 2) {
+                for (let i = 0; i < term.length - 1; i++) {
+                    const bigram = term.substring(i, i + 2);
+                    if (lowerText.includes(bigram)) {
+                        resolved.push(bigram);
+                    }
+                }
+            }
+        });
+        return [...new Set(resolved)].sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * 高亮文本中的关键词（输出已转义的 HTML，关键词包裹在 <mark> 中）
+     * @param {string} text - 文本
+     * @param {Array<string>} terms - 关键词
+     * @returns {string}
+     */
+    highlight(text, terms) {
+        const matched = this.resolveTerms(text || '', terms);
+        if (matched.length === 0) {
+            return escapeHtml(text || '');
+        }
+
+        const pattern = new RegExp(`(${matched.map(escapeRegExp).join('|')})`, 'gi');
+        return String(text)
+            .split(pattern)
+            .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+            .join('');
+    }
+
+    /**
+     * 截取包含关键词的片段并高亮
+     * @param {string} text - 纯文本
+     * @param {Array<string>} terms - 关键词
+     * @returns {string}
+     */
+    snippet(text, terms) {
+        const normalized = text.replace(/\s+/g, ' ').trim();
+        const lowerText = normalized.toLowerCase();
+        const matched = this.resolveTerms(normalized, terms);
+        const positions = matched.map(term => lowerText.indexOf(term)).filter(index => index >= 0);
+        const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+        const start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 4));
+        const end = Math.min(normalized.length, start + SNIPPET_LENGTH);
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < normalized.length ? '…' : '';
+
+        return `${prefix}${this.highlight(normalized.substring(start, end), terms)}${suffix}`;
+    }
+}
+
+// 创建服务实例
+const searchService = new SearchService();
+module.exports = searchService;
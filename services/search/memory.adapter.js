@@ -0,0 +1,401 @@
+const { Op } = require('sequelize');
+const { Post } = require('../../models');
+const markdown = require('../../utils/markdown');
+const { logger } = require('../../utils/logger');
+
+// 中日韩文字
+const CJK_RUN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+// 其他语言单词
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+// 各字段的词频权重
+const FIELD_WEIGHTS = { title: 3, summary: 2, content: 1 };
+// 影响索引内容的字段
+const INDEXED_FIELDS = ['title', 'summary', 'content', 'status', 'auditStatus'];
+// BM25 参数
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// 全量重建时每批读取的文章数
+const REINDEX_BATCH_SIZE = 200;
+
+/**
+ * 分词：中日韩文字按相邻两字（bigram）切分，单字时保留单字；其他语言按单词切分
+ * @param {string} text - 文本
+ * @returns {Array<string>} 词列表
+ */
+const tokenize = text => {
+    const tokens = [];
+    const lower = String(text || '').toLowerCase();
+
+    (lower.match(CJK_RUN_PATTERN) || []).forEach(run => {
+        const chars = Array.from(run);
+        if (chars.length === 1) {
+            tokens.push(chars[0]);
+            return;
+        }
+        for (let i = 0; i < chars.length - 1; i++) {
+            tokens.push(chars[i] + chars[i + 1]);
+        }
+    });
+    (lower.replace(CJK_RUN_PATTERN, ' ').match(WORD_PATTERN) || []).forEach(word => tokens.push(word));
+
+    return tokens;
+};
+
+/**
+ * 从查询条件中提取文章ID（无法确定时返回 null）
+ * @param {Object} where - 查询条件
+ * @returns {Array|null}
+ */
+const extractIds = where => {
+    const id = where && where.id;
+    if (typeof id === 'number' || typeof id === 'string') {
+        return [id];
+    }
+    if (Array.isArray(id)) {
+        return id;
+    }
+    if (id && Array.isArray(id[Op.in])) {
+        return id[Op.in];
+    }
+    return null;
+};
+
+/**
+ * 倒排索引
+ */
+class InvertedIndex {
+    constructor() {
+        this.postings = new Map(); // 词 -> Map(文章ID -> 加权词频)
+        this.documents = new Map(); // 文章ID -> { length, terms }
+        this.totalLength = 0;
+    }
+
+    /**
+     * 添加或替换文档
+     * @param {number} id - 文章ID
+     * @param {Object} fields - { title, summary, content }
+     */
+    add(id, fields) {
+        this.remove(id);
+
+        const frequencies = new Map();
+        let length = 0;
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            tokenize(fields[field]).forEach(token => {
+                frequencies.set(token, (frequencies.get(token) || 0) + weight);
+                length += weight;
+            });
+        });
+        if (length === 0) {
+            return;
+        }
+
+        frequencies.forEach((frequency, token) => {
+            if (!this.postings.has(token)) {
+                this.postings.set(token, new Map());
+            }
+            this.postings.get(token).set(id, frequency);
+        });
+        this.documents.set(id, { length, terms: [...frequencies.keys()] });
+        this.totalLength += length;
+    }
+
+    /**
+     * 移除文档
+     * @param {number} id - 文章ID
+     */
+    remove(id) {
+        const document = this.documents.get(id);
+        if (!document) {
+            return;
+        }
+        document.terms.forEach(token => {
+            const posting = this.postings.get(token);
+            posting.delete(id);
+            if (posting.size === 0) {
+                this.postings.delete(token);
+            }
+        });
+        this.documents.delete(id);
+        this.totalLength -= document.length;
+    }
+
+    /**
+     * 查询（任一词命中即返回），按 BM25 得分降序排列
+     * @param {string} text - 搜索词
+     * @returns {Array<Object>} - [{ id, score }]
+     */
+    query(text) {
+        const total = this.documents.size;
+        if (total === 0) {
+            return [];
+        }
+        const averageLength = this.totalLength / total;
+        const scores = new Map();
+
+        new Set(tokenize(text)).forEach(token => {
+            const posting = this.postings.get(token);
+            if (!posting) {
+                return;
+            }
+            const idf = Math.log(1 + (total - posting.size + 0.5) / (posting.size + 0.5));
+            posting.forEach((frequency, id) => {
+                const length = this.documents.get(id).length;
+                const weight =
+                    (frequency * (BM25_K1 + 1)) /
+                    (frequency + BM25_K1 * (1 - BM25_B + (BM25_B * length) / averageLength));
+                scores.set(id, (scores.get(id) || 0) + idf * weight);
+            });
+        });
+
+        return [...scores.entries()].map(([id, score]) => ({ id, score })).sort((a, b) => b.score - a.score);
+    }
+}
+
+/**
+ * 进程内倒排索引搜索适配器
+ * 启动时全量构建，文章创建、修改、删除时通过模型钩子增量更新，适合小型部署和测试环境
+ * 多实例部署时各实例分别维护自己的索引
+ */
+class MemorySearchAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.index = new InvertedIndex();
+        this.builtAt = null;
+        this.rebuilding = null;
+        this.pendingIds = new Set();
+        this.rebuildTimer = null;
+        this.hooksRegistered = false;
+    }
+
+    /**
+     * 初始化：注册模型钩子并构建索引
+     */
+    async init() {
+        this.registerHooks();
+        await this.reindexAll();
+    }
+
+    /**
+     * 注册文章模型钩子，保持索引与数据库同步
+     */
+    registerHooks() {
+        if (this.hooksRegistered) {
+            return;
+        }
+        this.hooksRegistered = true;
+
+        // 事务提交后再更新索引，避免索引到回滚的数据
+        const afterCommit = (options, callback) => {
+            if (options && options.transaction) {
+                options.transaction.afterCommit(callback);
+            } else {
+                callback();
+            }
+        };
+        const touchesIndex = options =>
+            !options || !options.fields || options.fields.some(field => INDEXED_FIELDS.includes(field));
+
+        Post.addHook('afterSave', 'searchIndex', (post, options) => {
+            if (touchesIndex(options)) {
+                afterCommit(options, () => this.reindexOne(post.id));
+            }
+        });
+        Post.addHook('afterDestroy', 'searchIndex', (post, options) => {
+            afterCommit(options, () => this.removeOne(post.id));
+        });
+        Post.addHook('afterBulkUpdate', 'searchIndex', options => {
+            if (touchesIndex(options)) {
+                afterCommit(options, () => this.reindexByWhere(options.where));
+            }
+        });
+        // 从回收站恢复
+        Post.addHook('afterRestore', 'searchIndex', (post, options) => {
+            afterCommit(options, () => this.reindexOne(post.id));
+        });
+        Post.addHook('afterBulkRestore', 'searchIndex', options => {
+            afterCommit(options, () => this.reindexByWhere(options.where));
+        });
+        Post.addHook('afterBulkDestroy', 'searchIndex', options => {
+            afterCommit(options, () => {
+                const ids = extractIds(options.where);
+                if (ids) {
+                    ids.forEach(id => this.removeOne(parseInt(id)));
+                } else {
+                    this.scheduleRebuild();
+                }
+            });
+        });
+    }
+
+    /**
+     * 生成可加入文章查询 where[Op.and] 的匹配条件
+     * @param {string} query - 已规范化的搜索词
+     * @returns {Promise<Object>}
+     */
+    async condition(query) {
+        return { id: this.index.query(query).map(hit => hit.id) };
+    }
+
+    /**
+     * 搜索并按相关度排序（过滤条件交由数据库判断）
+     * @param {string} query - 已规范化的搜索词
+     * @param {Object} where - 文章过滤条件
+     * @param {Object} paging - { offset, limit }
+     * @returns {Promise<Object>} - { total, hits: [{ id, score }] }
+     */
+    async search(query, where, { offset, limit }) {
+        const ranked = this.index.query(query);
+        if (ranked.length === 0) {
+            return { total: 0, hits: [] };
+        }
+
+        const allowed = await Post.findAll({
+            where: { ...where, id: ranked.map(hit => hit.id) },
+            attributes: ['id'],
+            raw: true,
+        });
+        const allowedIds = new Set(allowed.map(row => row.id));
+        const hits = ranked.filter(hit => allowedIds.has(hit.id));
+
+        return { total: hits.length, hits: hits.slice(offset, offset + limit) };
+    }
+
+    /**
+     * 全量重建索引（构建完成后整体替换，构建期间旧索引仍可查询）
+     * @returns {Promise<Object>} - 索引状态
+     */
+    async reindexAll() {
+        if (this.rebuilding) {
+            return await this.rebuilding;
+        }
+
+        this.rebuilding = (async () => {
+            const startedAt = Date.now();
+            const index = new InvertedIndex();
+            let lastId = 0;
+            while (true) {
+                const posts = await Post.findAll({
+                    where: { status: 1, auditStatus: 1, id: { [Op.gt]: lastId } },
+                    attributes: ['id', 'title', 'summary', 'content'],
+                    order: [['id', 'ASC']],
+                    limit: REINDEX_BATCH_SIZE,
+                });
+                posts.forEach(post => index.add(post.id, this.toFields(post)));
+                if (posts.length < REINDEX_BATCH_SIZE) {
+                    break;
+                }
+                lastId = posts[posts.length - 1].id;
+            }
+
+            this.index = index;
+            this.builtAt = new Date();
+            logger.info('🔎 搜索索引构建完成', {
+                documents: index.documents.size,
+                terms: index.postings.size,
+                duration: Date.now() - startedAt,
+            });
+            return { ...this.stats(), duration: Date.now() - startedAt };
+        })();
+
+        try {
+            return await this.rebuilding;
+        } finally {
+            this.rebuilding = null;
+            // 重建期间发生变化的文章重新索引
+            const pendingIds = [...this.pendingIds];
+            this.pendingIds.clear();
+            await Promise.all(pendingIds.map(id => this.reindexOne(id)));
+        }
+    }
+
+    /**
+     * 重建单篇文章索引（文章不存在或未公开时从索引移除）
+     * @param {number} postId - 文章ID
+     */
+    async reindexOne(postId) {
+        const id = parseInt(postId);
+        if (this.rebuilding) {
+            this.pendingIds.add(id);
+        }
+        try {
+            const post = await Post.findByPk(id, {
+                attributes: ['id', 'title', 'summary', 'content', 'status', 'auditStatus'],
+            });
+            if (post && post.status === 1 && post.auditStatus === 1) {
+                this.index.add(id, this.toFields(post));
+            } else {
+                this.index.remove(id);
+            }
+        } catch (error) {
+            logger.error(`搜索索引更新失败 [post:${id}]:`, error);
+        }
+    }
+
+    /**
+     * 从索引中移除文章
+     * @param {number} postId - 文章ID
+     */
+    removeOne(postId) {
+        if (this.rebuilding) {
+            this.pendingIds.add(postId);
+        }
+        this.index.remove(postId);
+    }
+
+    /**
+     * 根据批量更新条件重建相关文章索引，无法确定文章时延迟全量重建
+     * @param {Object} where - 批量更新条件
+     */
+    async reindexByWhere(where) {
+        const ids = extractIds(where);
+        if (!ids) {
+            this.scheduleRebuild();
+            return;
+        }
+        await Promise.all(ids.map(id => this.reindexOne(id)));
+    }
+
+    /**
+     * 延迟全量重建（短时间内多次触发只重建一次）
+     */
+    scheduleRebuild() {
+        if (this.rebuildTimer) {
+            return;
+        }
+        this.rebuildTimer = setTimeout(() => {
+            this.rebuildTimer = null;
+            this.reindexAll().catch(error => logger.error('搜索索引重建失败:', error));
+        }, 1000);
+        this.rebuildTimer.unref();
+    }
+
+    /**
+     * 获取索引状态
+     * @returns {Object} - { driver, documents, terms, builtAt }
+     */
+    stats() {
+        return {
+            driver: this.name,
+            documents: this.index.documents.size,
+            terms: this.index.postings.size,
+            builtAt: this.builtAt,
+        };
+    }
+
+    /**
+     * 提取需要索引的文本
+     * @param {Object} post - 文章实例
+     * @returns {Object} - { title, summary, content }
+     */
+    toFields(post) {
+        return {
+            title: post.title,
+            summary: post.summary,
+            content: markdown.toPlainText(post.content),
+        };
+    }
+}
+
+module.exports = MemorySearchAdapter;
+module.exports.tokenize = tokenize;
@@ -0,0 +1,92 @@
+const { Op } = require('sequelize');
+const { sequelize, Post } = require('../../models');
+
+// 全文索引列（需与 posts_fulltext 索引定义一致）
+const FULLTEXT_COLUMNS = 'post.title, post.summary, post.content';
+
+/**
+ * MySQL 全文搜索适配器
+ * 基于 posts_fulltext（ngram 分词）索引，索引由数据库自动维护
+ */
+class MysqlSearchAdapter {
+    constructor() {
+        this.name = 'mysql';
+    }
+
+    /**
+     * 初始化（全文索引由数据库维护，无需处理）
+     */
+    async init() {}
+
+    /**
+     * 生成全文匹配条件（自然语言模式，结果可按相关度排序）
+     * @param {string} query - 已规范化的搜索词
+     * @returns {Object} - Sequelize literal
+     */
+    matchLiteral(query) {
+        return sequelize.literal(
+            `MATCH(${FULLTEXT_COLUMNS}) AGAINST(${sequelize.escape(query)} IN NATURAL LANGUAGE MODE)`
+        );
+    }
+
+    /**
+     * 生成可加入文章查询 where[Op.and] 的匹配条件
+     * @param {string} query - 已规范化的搜索词
+     * @returns {Promise<Object>}
+     */
+    async condition(query) {
+        return this.matchLiteral(query);
+    }
+
+    /**
+     * 搜索并按相关度排序
+     * @param {string} query - 已规范化的搜索词
+     * @param {Object} where - 文章过滤条件
+     * @param {Object} paging - { offset, limit }
+     * @returns {Promise<Object>} - { total, hits: [{ id, score }] }
+     */
+    async search(query, where, { offset, limit }) {
+        const match = this.matchLiteral(query);
+        const { count, rows } = await Post.findAndCountAll({
+            where: { ...where, [Op.and]: [...(where[Op.and] || []), match] },
+            attributes: ['id', [match, 'score']],
+            order: [
+                [sequelize.literal('score'), 'DESC'],
+                ['publishedAt', 'DESC'],
+            ],
+            offset,
+            limit,
+        });
+
+        return {
+            total: count,
+            hits: rows.map(row => ({ id: row.id, score: Number(row.get('score')) || 0 })),
+        };
+    }
+
+    /**
+     * 重建全部索引（由数据库维护，仅返回索引状态）
+     * @returns {Promise<Object>}
+     */
+    async reindexAll() {
+        return await this.stats();
+    }
+
+    /**
+     * 重建单篇文章索引（由数据库维护，无需处理）
+     */
+    async reindexOne() {}
+
+    /**
+     * 获取索引状态
+     * @returns {Promise<Object>} - { driver, documents }
+     */
+    async stats() {
+        return {
+            driver: this.name,
+            documents: await Post.count({ where: { status: 1, auditStatus: 1 } }),
+        };
+    }
+}
+
+module.exports = MysqlSearchAdapter;
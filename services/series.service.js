@@ -0,0 +1,309 @@
+const { Op } = require('sequelize');
+const { sequelize, Series, Post, User } = require('../models');
+const { BusinessError, createPagination } = require('../utils/response');
+const { generateUniqueSlug } = require('../utils/slug');
+
+// 系列下已发布且审核通过的文章数量
+const PUBLISHED_PART_COUNT = [
+    sequelize.literal(
+        '(SELECT COUNT(*) FROM posts WHERE posts.series_id = series.id AND posts.status = 1 AND posts.audit_status = 1 AND posts.deleted_at IS NULL)'
+    ),
+    'partCount',
+];
+// 对外展示的作者字段
+const AUTHOR_ATTRIBUTES = ['id', 'username', 'fullName', 'avatar'];
+// 系列目录中展示的文章字段
+const PART_ATTRIBUTES = ['id', 'title', 'slug', 'summary', 'seriesOrder', 'status', 'auditStatus', 'publishedAt', 'scheduledAt'];
+// 系列文章排序（同序号时按ID）
+const PART_ORDER = [
+    ['seriesOrder', 'ASC'],
+    ['id', 'ASC'],
+];
+
+/**
+ * 系列服务层
+ * 系列将同一作者的多篇文章按明确顺序组织在一起，并提供上一篇 / 下一篇导航
+ */
+class SeriesService {
+    /**
+     * 获取系列列表，包含已发布文章数量
+     * @param {Object} options - 查询选项（page、limit、userId）
+     * @returns {Promise<Object>} - 系列列表及分页信息
+     */
+    async getSeriesList(options = {}) {
+        const page = parseInt(options.page) || 1;
+        const limit = Math.min(parseInt(options.limit) || 10, 50);
+        const where = {};
+        if (options.userId) {
+            where.userId = parseInt(options.userId);
+        }
+
+        const { count, rows } = await Series.findAndCountAll({
+            where,
+            attributes: { include: [PUBLISHED_PART_COUNT] },
+            include: [{ model: User, as: 'author', attributes: AUTHOR_ATTRIBUTES }],
+            order: [['updatedAt', 'DESC']],
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        return {
+            data: rows,
+            pagination: createPagination(page, limit, count, Math.ceil(count / limit)),
+        };
+    }
+
+    /**
+     * 获取系列详情页：系列信息及全部文章目录（含发布状态）
+     * 草稿、已归档和未审核通过的文章仅系列作者和管理员可见，定时发布的文章对外只展示标题
+     * @param {string} slug - 系列别名（兼容ID）
+     * @param {Object} [currentUser] - 当前登录用户（可选）
+     * @returns {Promise<Object|null>} - 系列详情，不存在时返回 null
+     */
+    async getSeriesBySlug(slug, currentUser) {
+        const where = /^\d+$/.test(String(slug)) ? { [Op.or]: [{ slug }, { id: parseInt(slug) }] } : { slug };
+        const series = await Series.findOne({
+            where,
+            include: [{ model: User, as: 'author', attributes: AUTHOR_ATTRIBUTES }],
+        });
+        if (!series) {
+            return null;
+        }
+
+        const canManage = currentUser && (currentUser.id === series.userId || currentUser.role === 'admin');
+        const posts = await Post.findAll({
+            where: { seriesId: series.id },
+            attributes: PART_ATTRIBUTES,
+            order: PART_ORDER,
+        });
+
+        const parts = posts
+            .map(post => ({ post, state: this.getPartState(post) }))
+            .filter(({ state }) => canManage || state === 'published' || state === 'scheduled')
+            .map(({ post, state }, index) => ({
+                id: post.id,
+                title: post.title,
+                slug: post.slug,
+                summary: state === 'scheduled' && !canManage ? null : post.summary,
+                position: index + 1,
+                state,
+                published: state === 'published',
+                publishedAt: post.publishedAt,
+                scheduledAt: post.scheduledAt,
+            }));
+
+        return {
+            ...series.toJSON(),
+            partCount: parts.filter(part => part.published).length,
+            parts,
+        };
+    }
+
+    /**
+     * 根据ID查询系列
+     * @param {number} seriesId - 系列ID
+     * @returns {Promise<Object|null>}
+     */
+    async findById(seriesId) {
+        return await Series.findByPk(seriesId);
+    }
+
+    /**
+     * 获取系列创建者ID（供资源所有者校验中间件使用）
+     * @param {number} seriesId - 系列ID
+     * @returns {Promise<number|null>} - 创建者ID，系列不存在时返回 null
+     */
+    async getOwnerId(seriesId) {
+        const series = await Series.findByPk(seriesId, { attributes: ['id', 'userId'] });
+        return series ? series.userId : null;
+    }
+
+    /**
+     * 创建系列
+     * @param {number} userId - 创建者ID
+     * @param {Object} seriesData - 系列数据（title、slug、description、coverImage）
+     * @returns {Promise<Object>} - 创建的系列
+     */
+    async createSeries(userId, seriesData) {
+        const title = seriesData.title.trim();
+        const slug = await generateUniqueSlug(Series, seriesData.slug || title, { fallback: 'series' });
+
+        return await Series.create({
+            title,
+            slug,
+            description: seriesData.description,
+            coverImage: seriesData.coverImage,
+            userId,
+        });
+    }
+
+    /**
+     * 更新系列
+     * @param {number} seriesId - 系列ID
+     * @param {Object} seriesData - 需要更新的数据
+     * @returns {Promise<Object|null>} - 更新后的系列，不存在时返回 null
+     */
+    async updateSeries(seriesId, seriesData) {
+        const series = await Series.findByPk(seriesId);
+        if (!series) {
+            return null;
+        }
+
+        if (seriesData.title !== undefined) {
+            if (!String(seriesData.title).trim()) {
+                throw new BusinessError('系列标题不能为空', 400);
+            }
+            series.title = String(seriesData.title).trim();
+        }
+        if (seriesData.slug && seriesData.slug !== series.slug) {
+            series.slug = await generateUniqueSlug(Series, seriesData.slug, {
+                excludeId: series.id,
+                fallback: 'series',
+            });
+        }
+        if (seriesData.description !== undefined) {
+            series.description = seriesData.description;
+        }
+        if (seriesData.coverImage !== undefined) {
+            series.coverImage = seriesData.coverImage;
+        }
+
+        await series.save();
+        return series;
+    }
+
+    /**
+     * 删除系列（系列中的文章保留，仅解除与系列的关联）
+     * @param {number} seriesId - 系列ID
+     * @returns {Promise<boolean>} - 是否删除成功
+     */
+    async deleteSeries(seriesId) {
+        return await sequelize.transaction(async transaction => {
+            const series = await Series.findByPk(seriesId, { transaction });
+            if (!series) {
+                return false;
+            }
+
+            await Post.update(
+                { seriesId: null, seriesOrder: null },
+                { where: { seriesId: series.id }, transaction }
+            );
+            await series.destroy({ transaction });
+            return true;
+        });
+    }
+
+    /**
+     * 设置系列文章及顺序（一次请求完成添加、移除和排序）
+     * 未出现在列表中的原有文章会移出系列；非管理员只能加入自己的文章
+     * @param {number} seriesId - 系列ID
+     * @param {Array<number>} postIds - 按顺序排列的文章ID
+     * @param {Object} currentUser - 当前登录用户
+     * @returns {Promise<Object|null>} - 更新后的系列详情，系列不存在时返回 null
+     */
+    async setParts(seriesId, postIds, currentUser) {
+        const ids = postIds.map(id => parseInt(id));
+        if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+            throw new BusinessError('文章ID格式不正确', 400);
+        }
+        if (new Set(ids).size !== ids.length) {
+            throw new BusinessError('文章ID不能重复', 400);
+        }
+
+        const series = await sequelize.transaction(async transaction => {
+            const series = await Series.findByPk(seriesId, { transaction });
+            if (!series) {
+                return null;
+            }
+
+            const posts = await Post.findAll({
+                where: { id: ids },
+                attributes: ['id', 'userId', 'seriesId'],
+                transaction,
+            });
+            if (posts.length !== ids.length) {
+                const found = new Set(posts.map(post => post.id));
+                throw new BusinessError(`文章不存在: ${ids.filter(id => !found.has(id)).join(', ')}`, 400);
+            }
+            if (currentUser.role !== 'admin' && posts.some(post => post.userId !== currentUser.id)) {
+                throw new BusinessError('只能将自己的文章加入系列', 403);
+            }
+            const inOtherSeries = posts.filter(post => post.seriesId && post.seriesId !== series.id);
+            if (inOtherSeries.length > 0) {
+                throw new BusinessError(
+                    `文章已属于其他系列，请先从原系列移除: ${inOtherSeries.map(post => post.id).join(', ')}`,
+                    409
+                );
+            }
+
+            await Post.update(
+                { seriesId: null, seriesOrder: null },
+                { where: { seriesId: series.id, id: { [Op.notIn]: ids.length > 0 ? ids : [0] } }, transaction }
+            );
+            for (const [index, id] of ids.entries()) {
+                await Post.update({ seriesId: series.id, seriesOrder: index + 1 }, { where: { id }, transaction });
+            }
+            // 文章变动同样视为系列更新
+            series.changed('updatedAt', true);
+            await series.save({ transaction });
+            return series;
+        });
+
+        return series ? await this.getSeriesBySlug(series.slug, currentUser) : null;
+    }
+
+    /**
+     * 获取文章所在系列的导航信息（只统计已公开的文章，当前文章除外）
+     * @param {Object} post - 文章实例
+     * @returns {Promise<Object|null>} - { id, title, slug, total, position, prev, next }，不属于系列时返回 null
+     */
+    async getNavigation(post) {
+        if (!post.seriesId) {
+            return null;
+        }
+        const series = await Series.findByPk(post.seriesId, { attributes: ['id', 'title', 'slug'] });
+        if (!series) {
+            return null;
+        }
+
+        const parts = await Post.findAll({
+            where: {
+                seriesId: series.id,
+                [Op.or]: [{ status: 1, auditStatus: 1 }, { id: post.id }],
+            },
+            attributes: ['id', 'title', 'slug'],
+            order: PART_ORDER,
+        });
+        const index = parts.findIndex(part => part.id === post.id);
+        const toLink = part => (part ? { id: part.id, title: part.title, slug: part.slug } : null);
+
+        return {
+            id: series.id,
+            title: series.title,
+            slug: series.slug,
+            total: parts.length,
+            position: index + 1,
+            prev: toLink(parts[index - 1]),
+            next: toLink(parts[index + 1]),
+        };
+    }
+
+    /**
+     * 获取文章在系列目录中的状态
+     * @param {Object} post - 文章实例
+     * @returns {string} - published、scheduled、pending（待审核）、draft、archived
+     */
+    getPartState(post) {
+        if (post.status === 1) {
+            return post.auditStatus === 1 ? 'published' : 'pending';
+        }
+        if (post.status === 3) {
+            return 'scheduled';
+        }
+        return post.status === 2 ? 'archived' : 'draft';
+    }
+}
+
+// 创建服务实例
+const seriesService = new SeriesService();
+module.exports = seriesService;
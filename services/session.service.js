@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const redisManager = require('../utils/redis');
+
+// 登录会话键前缀：auth:session:{userId}:{sessionId}
+const SESSION_PREFIX = 'auth:session';
+// 最近活跃时间的更新间隔（毫秒），避免每个请求都写 Redis
+const TOUCH_INTERVAL = 60 * 1000;
+// 设备名称最大长度
+const MAX_DEVICE_LENGTH = 50;
+// 浏览器识别规则（按顺序匹配，Edge、Opera 的 UA 中也包含 Chrome）
+const BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Safari', /Safari\//],
+];
+// 系统识别规则（按顺序匹配，iOS 的 UA 中也包含 Mac OS X，Android 的 UA 中也包含 Linux）
+const SYSTEMS = [
+    ['iPhone', /iPhone/],
+    ['iPad', /iPad/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Macintosh|Mac OS X/],
+    ['Linux', /Linux/],
+];
+
+/**
+ * 根据 User-Agent 生成设备描述，如 "Chrome / Windows"
+ * @param {string} userAgent - User-Agent
+ * @returns {string}
+ */
+const describeDevice = userAgent => {
+    const ua = String(userAgent || '');
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(ua));
+    const system = SYSTEMS.find(([, pattern]) => pattern.test(ua));
+    const parts = [browser && browser[0], system && system[0]].filter(Boolean);
+    return parts.length > 0 ? parts.join(' / ') : '未知设备';
+};
+
+/**
+ * 登录会话服务层
+ * 每次登录创建一条会话记录（设备、IP、User-Agent、创建和最近活跃时间），
+ * 令牌中携带会话ID，会话被撤销或过期后该会话签发的令牌全部失效，不影响其他设备
+ */
+class SessionService {
+    /**
+     * 创建会话
+     * @param {string|number} userId - 用户ID
+     * @param {Object} client - 客户端信息 { ip, userAgent, deviceName }
+     * @param {number} ttl - 有效期（秒）
+     * @returns {Promise<Object>} - 会话记录
+     */
+    async create(userId, client = {}, ttl) {
+        const now = Date.now();
+        const deviceName = String(client.deviceName || '').trim().substring(0, MAX_DEVICE_LENGTH);
+        const session = {
+            id: crypto.randomUUID(),
+            userId,
+            device: deviceName || describeDevice(client.userAgent),
+            ip: client.ip || null,
+            userAgent: client.userAgent || null,
+            createdAt: now,
+            lastSeenAt: now,
+            expiresAt: now + ttl * 1000,
+        };
+        if ((await redisManager.set(this.getKey(userId, session.id), session, ttl)) === null) {
+            throw new Error('会话存储失败');
+        }
+        return session;
+    }
+
+    /**
+     * 获取会话
+     * @param {string|number} userId - 用户ID
+     * @param {string} sessionId - 会话ID
+     * @returns {Promise<Object|null>}
+     */
+    async get(userId, sessionId) {
+        if (!sessionId) {
+            return null;
+        }
+        return await redisManager.get(this.getKey(userId, sessionId));
+    }
+
+    /**
+     * 续期会话（刷新令牌轮换时调用）
+     * @param {Object} session - 会话记录
+     * @param {number} ttl - 新的有效期（秒）
+     * @param {Object} client - 客户端信息 { ip, userAgent }
+     * @returns {Promise<Object>} - 更新后的会话记录
+     */
+    async extend(session, ttl, client = {}) {
+        const now = Date.now();
+        const updated = {
+            ...session,
+            ip: client.ip || session.ip,
+            userAgent: client.userAgent || session.userAgent,
+            lastSeenAt: now,
+            expiresAt: now + ttl * 1000,
+        };
+        if ((await redisManager.set(this.getKey(session.userId, session.id), updated, ttl)) === null) {
+            throw new Error('会话存储失败');
+        }
+        return updated;
+    }
+
+    /**
+     * 更新最近活跃时间（距上次更新不足间隔时跳过）
+     * @param {Object} session - 会话记录
+     */
+    async touch(session) {
+        const now = Date.now();
+        const ttl = Math.ceil((session.expiresAt - now) / 1000);
+        if (now - session.lastSeenAt < TOUCH_INTERVAL || ttl <= 0) {
+            return;
+        }
+        await redisManager.set(this.getKey(session.userId, session.id), { ...session, lastSeenAt: now }, ttl);
+    }
+
+    /**
+     * 获取用户的全部会话（按最近活跃时间倒序）
+     * @param {string|number} userId - 用户ID
+     * @returns {Promise<Array<Object>>}
+     */
+    async list(userId) {
+        const keys = await redisManager.keys(`${SESSION_PREFIX}:${userId}:*`);
+        const sessions = await Promise.all(keys.map(key => redisManager.get(key)));
+        return sessions.filter(Boolean).sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    }
+
+    /**
+     * 撤销会话
+     * @param {string|number} userId - 用户ID
+     * @param {string} sessionId - 会话ID
+     * @returns {Promise<boolean>} - 是否撤销成功，会话不存在时返回 false
+     */
+    async revoke(userId, sessionId) {
+        return (await redisManager.del(this.getKey(userId, sessionId))) > 0;
+    }
+
+    /**
+     * 撤销除当前会话外的其他会话
+     * @param {string|number} userId - 用户ID
+     * @param {string} currentSessionId - 当前会话ID
+     * @returns {Promise<number>} - 撤销的会话数
+     */
+    async revokeOthers(userId, currentSessionId) {
+        const currentKey = this.getKey(userId, currentSessionId);
+        const keys = (await redisManager.keys(`${SESSION_PREFIX}:${userId}:*`)).filter(key => key !== currentKey);
+        if (keys.length === 0) {
+            return 0;
+        }
+        return await redisManager.del(keys);
+    }
+
+    /**
+     * 撤销用户的全部会话
+     * 删除失败时抛出错误，避免调用方（如重置密码）误以为旧会话已失效
+     * @param {string|number} userId - 用户ID
+     */
+    async revokeAll(userId) {
+        await redisManager.deletePattern(`${SESSION_PREFIX}:${userId}:*`, { throwOnError: true });
+    }
+
+    /**
+     * 生成会话键
+     * @param {string|number} userId - 用户ID
+     * @param {string} sessionId - 会话ID
+     * @returns {string}
+     */
+    getKey(userId, sessionId) {
+        return `${SESSION_PREFIX}:${userId}:${sessionId}`;
+    }
+}
+
+// 创建服务实例
+const sessionService = new SessionService();
+module.exports = sessionService;
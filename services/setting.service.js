@@ -0,0 +1,46 @@
+const { Setting } = require('../models');
+const redisManager = require('../utils/redis');
+
+// 设置项缓存键前缀：cache:settings:{key}
+const CACHE_PREFIX = 'cache:settings';
+// 缓存时间（秒）
+const CACHE_TTL = 60;
+
+/**
+ * 站点设置服务层
+ * 可在运行时修改的设置保存在数据库中，Redis 只作为读取缓存
+ */
+class SettingService {
+    /**
+     * 获取设置项
+     * @param {string} key - 设置项名称
+     * @param {*} defaultValue - 数据库中没有该设置项时的默认值
+     * @returns {Promise<*>}
+     */
+    async get(key, defaultValue = null) {
+        // 缓存包装为对象，未设置的项同样缓存
+        const { value } = await redisManager.cached(
+            `${CACHE_PREFIX}:${key}`,
+            async () => {
+                const setting = await Setting.findByPk(key);
+                return { value: setting ? setting.value : null };
+            },
+            CACHE_TTL
+        );
+        return value === null ? defaultValue : value;
+    }
+
+    /**
+     * 修改设置项
+     * @param {string} key - 设置项名称
+     * @param {*} value - 设置值
+     */
+    async set(key, value) {
+        await Setting.upsert({ key, value });
+        await redisManager.del(`${CACHE_PREFIX}:${key}`);
+    }
+}
+
+// 创建服务实例
+const settingService = new SettingService();
+module.exports = settingService;
@@ -0,0 +1,256 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize, Post } = require('../models');
+const redisManager = require('../utils/redis');
+const environment = require('../config/environment');
+const postService = require('./post.service');
+
+const siteConfig = environment.get('site');
+const sitemapConfig = environment.get('sitemap');
+const robotsConfig = environment.get('robots');
+
+// 站点地图缓存键前缀（位于文章缓存前缀下，文章发布或下线时一并清除）
+const CACHE_PREFIX = 'cache:posts:sitemap';
+// 公开文章条件（SQL）
+const PUBLIC_POST_CONDITION = 'p.status = 1 AND p.audit_status = 1 AND p.deleted_at IS NULL';
+
+/**
+ * 转义 XML 特殊字符
+ * @param {string} value - 原始文本
+ * @returns {string}
+ */
+const escapeXml = value =>
+    String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+
+/**
+ * 格式化 lastmod（W3C 日期时间格式）
+ * @param {Date|string} value - 时间
+ * @returns {string|null}
+ */
+const formatLastmod = value => (value ? new Date(value).toISOString() : null);
+
+/**
+ * 站点地图服务层
+ * 链接数超过单个站点地图上限时自动切换为站点地图索引 + 分页子站点地图
+ */
+class SitemapService {
+    /**
+     * 获取 /sitemap.xml（链接较少时为站点地图，较多时为站点地图索引）
+     * @returns {Promise<string>}
+     */
+    async getSitemap() {
+        return await redisManager.cached(
+            `${CACHE_PREFIX}:root`,
+            async () => {
+                const [postCount, pageUrls] = await Promise.all([this.countPosts(), this.getPageUrls()]);
+                if (postCount + pageUrls.length <= sitemapConfig.pageSize) {
+                    const postUrls = await this.getPostUrls(0, postCount);
+                    return this.renderUrlset([...pageUrls, ...postUrls]);
+                }
+
+                const totalPages = Math.ceil(postCount / sitemapConfig.pageSize);
+                const sitemaps = [`${siteConfig.apiUrl}/sitemaps/pages.xml`];
+                for (let page = 1; page <= totalPages; page++) {
+                    sitemaps.push(`${siteConfig.apiUrl}/sitemaps/posts-${page}.xml`);
+                }
+                return this.renderIndex(sitemaps);
+            },
+            sitemapConfig.cacheTtl
+        );
+    }
+
+    /**
+     * 获取首页、分类、标签和作者页面的子站点地图
+     * @returns {Promise<string>}
+     */
+    async getPagesSitemap() {
+        return await redisManager.cached(
+            `${CACHE_PREFIX}:pages`,
+            async () => this.renderUrlset((await this.getPageUrls()).slice(0, sitemapConfig.pageSize)),
+            sitemapConfig.cacheTtl
+        );
+    }
+
+    /**
+     * 获取分页的文章子站点地图
+     * @param {number} page - 页码（从 1 开始）
+     * @returns {Promise<string|null>} - 页码超出范围时返回 null
+     */
+    async getPostsSitemap(page) {
+        return await redisManager.cached(
+            `${CACHE_PREFIX}:posts:${page}`,
+            async () => {
+                const postCount = await this.countPosts();
+                if (page < 1 || (page - 1) * sitemapConfig.pageSize >= postCount) {
+                    return null;
+                }
+                const urls = await this.getPostUrls((page - 1) * sitemapConfig.pageSize, sitemapConfig.pageSize);
+                return this.renderUrlset(urls);
+            },
+            sitemapConfig.cacheTtl
+        );
+    }
+
+    /**
+     * 生成 robots.txt
+     * @returns {string}
+     */
+    getRobots() {
+        const lines = ['User-agent: *'];
+        if (!robotsConfig.allowIndexing) {
+            lines.push('Disallow: /');
+        } else {
+            if (robotsConfig.disallow.length === 0) {
+                lines.push('Disallow:');
+            }
+            robotsConfig.disallow.forEach(path => lines.push(`Disallow: ${path}`));
+            lines.push('', `Sitemap: ${siteConfig.apiUrl}/sitemap.xml`);
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * 统计公开文章数量
+     * @returns {Promise<number>}
+     */
+    async countPosts() {
+        return await Post.count({ where: { status: 1, auditStatus: 1 } });
+    }
+
+    /**
+     * 获取文章链接
+     * @param {number} offset - 偏移量
+     * @param {number} limit - 数量
+     * @returns {Promise<Array<Object>>} - [{ loc, lastmod }]
+     */
+    async getPostUrls(offset, limit) {
+        if (limit <= 0) {
+            return [];
+        }
+        const posts = await Post.findAll({
+            where: { status: 1, auditStatus: 1 },
+            attributes: ['id', 'slug', 'updatedAt'],
+            order: [['id', 'ASC']],
+            offset,
+            limit,
+        });
+        return posts.map(post => ({
+            loc: postService.getPermalink(post),
+            lastmod: formatLastmod(post.updatedAt),
+        }));
+    }
+
+    /**
+     * 获取首页、分类、标签和作者页面链接
+     * 只包含有公开文章的分类、标签和作者，lastmod 取其下文章的最新更新时间
+     * @returns {Promise<Array<Object>>} - [{ loc, lastmod }]
+     */
+    async getPageUrls() {
+        const [categories, tags, authors] = await Promise.all([
+            sequelize.query(
+                `SELECT c.id, c.slug, MAX(p.updated_at) AS lastmod
+                 FROM categroup c
+                 INNER JOIN posts p ON p.type_id = c.id AND ${PUBLIC_POST_CONDITION}
+                 WHERE c.deleted_at IS NULL
+                 GROUP BY c.id, c.slug
+                 ORDER BY c.id`,
+                { type: QueryTypes.SELECT }
+            ),
+            sequelize.query(
+                `SELECT t.id, t.slug, MAX(p.updated_at) AS lastmod
+                 FROM tags t
+                 INNER JOIN post_tags pt ON pt.tag_id = t.id
+                 INNER JOIN posts p ON p.id = pt.post_id AND ${PUBLIC_POST_CONDITION}
+                 GROUP BY t.id, t.slug
+                 ORDER BY t.id`,
+                { type: QueryTypes.SELECT }
+            ),
+            sequelize.query(
+                `SELECT u.id, u.username, MAX(p.updated_at) AS lastmod
+                 FROM users u
+                 INNER JOIN posts p ON p.user_id = u.id AND ${PUBLIC_POST_CONDITION}
+                 WHERE u.status = 'active' AND u.deleted_at IS NULL
+                 GROUP BY u.id, u.username
+                 ORDER BY u.id`,
+                { type: QueryTypes.SELECT }
+            ),
+        ]);
+
+        const latest = [...categories, ...tags, ...authors]
+            .map(row => new Date(row.lastmod).getTime())
+            .filter(time => !isNaN(time));
+
+        return [
+            {
+                loc: `${siteConfig.url}/`,
+                lastmod: latest.length > 0 ? formatLastmod(Math.max(...latest)) : null,
+            },
+            ...categories.map(category => ({
+                loc: `${siteConfig.url}/categories/${encodeURIComponent(category.slug || category.id)}`,
+                lastmod: formatLastmod(category.lastmod),
+            })),
+            ...tags.map(tag => ({
+                loc: `${siteConfig.url}/tags/${encodeURIComponent(tag.slug)}`,
+                lastmod: formatLastmod(tag.lastmod),
+            })),
+            ...authors.map(author => ({
+                loc: `${siteConfig.url}/authors/${encodeURIComponent(author.username)}`,
+                lastmod: formatLastmod(author.lastmod),
+            })),
+        ];
+    }
+
+    /**
+     * 生成站点地图 XML
+     * @param {Array<Object>} urls - [{ loc, lastmod }]
+     * @returns {string}
+     */
+    renderUrlset(urls) {
+        const entries = urls.map(url =>
+            [
+                '  <url>',
+                `    <loc>${escapeXml(url.loc)}</loc>`,
+                url.lastmod ? `    <lastmod>${url.lastmod}</lastmod>` : null,
+                '  </url>',
+            ]
+                .filter(line => line !== null)
+                .join('\n')
+        );
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...entries,
+            '</urlset>',
+        ].join('\n');
+    }
+
+    /**
+     * 生成站点地图索引 XML
+     * @param {Array<string>} sitemaps - 子站点地图地址
+     * @returns {string}
+     */
+    renderIndex(sitemaps) {
+        const lastmod = new Date().toISOString();
+        const entries = sitemaps.map(loc =>
+            ['  <sitemap>', `    <loc>${escapeXml(loc)}</loc>`, `    <lastmod>${lastmod}</lastmod>`, '  </sitemap>'].join(
+                '\n'
+            )
+        );
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...entries,
+            '</sitemapindex>',
+        ].join('\n');
+    }
+}
+
+// 创建服务实例
+const sitemapService = new SitemapService();
+module.exports = sitemapService;
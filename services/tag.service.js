@@ -0,0 +1,219 @@
+const { Op } = require('sequelize');
+const { sequelize, Tag, Post } = require('../models');
+const { BusinessError, createPagination } = require('../utils/response');
+const { generateUniqueSlug } = require('../utils/slug');
+const relatedPostService = require('./relatedPost.service');
+
+/**
+ * 标签服务层
+ * 处理标签的增删改查、标签云统计以及文章标签解析
+ */
+class TagService {
+    /**
+     * 分页获取标签列表
+     * @param {Object} options - 查询选项（page、limit、search）
+     * @returns {Promise<Object>} - 标签列表和分页信息
+     */
+    async getTags(options = {}) {
+        const page = parseInt(options.page) || 1;
+        const limit = parseInt(options.limit) || 20;
+        const where = {};
+        if (options.search) {
+            where.name = { [Op.like]: `%${options.search}%` };
+        }
+
+        const { count, rows } = await Tag.findAndCountAll({
+            where,
+            order: [['name', 'ASC']],
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        return {
+            data: rows,
+            pagination: createPagination(page, limit, count, Math.ceil(count / limit)),
+        };
+    }
+
+    /**
+     * 获取标签云（仅统计已发布且审核通过的文章）
+     * @param {number} [limit] - 返回数量上限
+     * @returns {Promise<Array>} - 标签列表，包含 postCount
+     */
+    async getTagCloud(limit) {
+        const limitNum = parseInt(limit);
+        return await Tag.findAll({
+            attributes: [
+                'id',
+                'name',
+                'slug',
+                [sequelize.fn('COUNT', sequelize.col('posts.id')), 'postCount'],
+            ],
+            include: [
+                {
+                    model: Post,
+                    as: 'posts',
+                    attributes: [],
+                    through: { attributes: [] },
+                    where: { status: 1, auditStatus: 1 },
+                    required: true,
+                },
+            ],
+            group: ['tag.id'],
+            order: [[sequelize.literal('postCount'), 'DESC'], ['name', 'ASC']],
+            ...(limitNum > 0 && { limit: limitNum }),
+            subQuery: false,
+        });
+    }
+
+    /**
+     * 根据ID查询标签
+     * @param {number} tagId - 标签ID
+     * @returns {Promise<Object|null>}
+     */
+    async findById(tagId) {
+        return await Tag.findByPk(tagId);
+    }
+
+    /**
+     * 创建标签
+     * @param {Object} tagData - 标签数据（name、slug、description）
+     * @returns {Promise<Object>} - 创建的标签
+     */
+    async createTag(tagData) {
+        // 请求体中的标签名可能不是字符串（如数字），统一转换后再处理
+        const name = String(tagData.name).trim();
+        await this.assertNameAvailable(name);
+
+        const slug = await this.resolveSlug(tagData.slug || name);
+        const tag = await Tag.create({
+            name,
+            slug,
+            description: tagData.description,
+        });
+        // 站点地图中的标签页面随之变化
+        await this.clearPostCache();
+        return tag;
+    }
+
+    /**
+     * 更新标签
+     * @param {number} tagId - 标签ID
+     * @param {Object} tagData - 需要更新的数据
+     * @returns {Promise<Object|null>} - 更新后的标签，不存在时返回 null
+     */
+    async updateTag(tagId, tagData) {
+        const tag = await Tag.findByPk(tagId);
+        if (!tag) {
+            return null;
+        }
+
+        const name = tagData.name ? String(tagData.name).trim() : '';
+        if (name && name !== tag.name) {
+            tag.name = name;
+            await this.assertNameAvailable(tag.name, tag.id);
+        }
+        if (tagData.slug && tagData.slug !== tag.slug) {
+            tag.slug = await this.resolveSlug(tagData.slug, tag.id);
+        }
+        if (tagData.description !== undefined) {
+            tag.description = tagData.description;
+        }
+
+        const renamed = tag.changed('name') || tag.changed('slug');
+        await tag.save();
+        if (renamed) {
+            // 订阅源中的标签名、按别名订阅的地址和站点地图中的标签页面随之变化
+            await this.clearPostCache();
+        }
+        return tag;
+    }
+
+    /**
+     * 删除标签（同时解除与文章的关联）
+     * @param {number} tagId - 标签ID
+     * @returns {Promise<boolean>} - 是否删除成功
+     */
+    async deleteTag(tagId) {
+        const count = await Tag.destroy({ where: { id: tagId } });
+        if (count > 0) {
+            // 文章标签发生变化，订阅源和站点地图需重新生成，相关文章推荐需重新计算
+            await this.clearPostCache();
+            await relatedPostService.clearAllCache();
+        }
+        return count > 0;
+    }
+
+    /**
+     * 清除文章列表相关缓存（订阅源、站点地图等缓存中包含标签名和别名）
+     */
+    async clearPostCache() {
+        // post.service 依赖本服务，在此处引入以避免循环依赖
+        const postService = require('./post.service');
+        await postService.clearListCache();
+    }
+
+    /**
+     * 将标签ID或标签名解析为标签实例，不存在的标签名会自动创建
+     * @param {Object} params - 参数
+     * @param {Array<number>} [params.tagIds] - 标签ID列表
+     * @param {Array<string>} [params.tagNames] - 标签名列表
+     * @param {Object} [transaction] - 事务
+     * @returns {Promise<Array>} - 去重后的标签实例列表
+     */
+    async resolveTags({ tagIds = [], tagNames = [] }, transaction) {
+        const tags = new Map();
+
+        const ids = [...new Set(tagIds.map(id => parseInt(id)).filter(id => !isNaN(id)))];
+        if (ids.length > 0) {
+            const found = await Tag.findAll({ where: { id: ids }, transaction });
+            if (found.length !== ids.length) {
+                throw new BusinessError('部分标签不存在', 400);
+            }
+            found.forEach(tag => tags.set(tag.id, tag));
+        }
+
+        const names = [...new Set(tagNames.map(name => String(name).trim()).filter(Boolean))];
+        for (const name of names) {
+            let tag = await Tag.findOne({ where: { name }, transaction });
+            if (!tag) {
+                const slug = await this.resolveSlug(name, null, transaction);
+                tag = await Tag.create({ name, slug }, { transaction });
+            }
+            tags.set(tag.id, tag);
+        }
+
+        return [...tags.values()];
+    }
+
+    /**
+     * 校验标签名是否可用
+     * @param {string} name - 标签名
+     * @param {number} [excludeId] - 排除的标签ID
+     */
+    async assertNameAvailable(name, excludeId) {
+        const where = { name };
+        if (excludeId) {
+            where.id = { [Op.ne]: excludeId };
+        }
+        const existing = await Tag.findOne({ where });
+        if (existing) {
+            throw new BusinessError('标签名已存在', 409);
+        }
+    }
+
+    /**
+     * 生成唯一的标签别名
+     * @param {string} text - 别名来源文本
+     * @param {number} [excludeId] - 排除的标签ID
+     * @param {Object} [transaction] - 事务
+     * @returns {Promise<string>}
+     */
+    async resolveSlug(text, excludeId, transaction) {
+        return await generateUniqueSlug(Tag, text, { excludeId, fallback: 'tag', transaction });
+    }
+}
+
+// 创建服务实例
+const tagService = new TagService();
+module.exports = tagService;
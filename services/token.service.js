@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const redisManager = require('../utils/redis');
+const environment = require('../config/environment');
+const { BusinessError } = require('../utils/response');
+const { logger } = require('../utils/logger');
+const sessionService = require('./session.service');
+
+const authConfig = environment.get('auth');
+
+// JWT密钥， 实际应用中应从环境变量中获取
+const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret';
+
+// Redis 键前缀
+const REFRESH_PREFIX = 'auth:refresh'; // 有效的刷新令牌（按哈希存储）
+const ROTATED_PREFIX = 'auth:rotated'; // 已轮换的刷新令牌（按哈希存储，用于检测重复使用）
+// 有效期单位（秒）
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * 将有效期配置（如 15m、1d 或秒数）换算为秒
+ * @param {string|number} value - 有效期
+ * @returns {number}
+ */
+const toSeconds = value => {
+    const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`无效的令牌有效期配置: ${value}`);
+    }
+    return parseInt(match[1]) * DURATION_UNITS[match[2] || 's'];
+};
+
+// 访问令牌和旧版单一令牌有效期（秒）
+const ACCESS_TOKEN_TTL = toSeconds(authConfig.accessTokenExpiration);
+const LEGACY_TOKEN_TTL = toSeconds(authConfig.legacyTokenExpiration);
+
+/**
+ * 计算刷新令牌哈希（Redis 中不保存令牌原文）
+ * @param {string} token - 刷新令牌
+ * @returns {string}
+ */
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * 令牌服务层
+ * 令牌中携带登录会话ID（sid），验证时会话必须仍然有效，撤销会话即可使该设备的令牌全部失效。
+ * rotating 模式：签发短期访问令牌（JWT）和不透明的刷新令牌，刷新令牌每次使用后轮换；
+ * 已轮换的刷新令牌再次出现时视为泄露，撤销其所属会话。
+ * legacy 模式：保留旧版单一 JWT，刷新时以当前令牌换取新令牌
+ */
+class TokenService {
+    /**
+     * 是否为旧版单一令牌模式
+     * @returns {boolean}
+     */
+    isLegacyMode() {
+        return authConfig.tokenMode === 'legacy';
+    }
+
+    /**
+     * 为用户签发令牌
+     * @param {Object} user - 用户对象
+     * @param {Object} client - 客户端信息 { ip, userAgent, deviceName }
+     * @param {Object} [session] - 刷新令牌轮换时沿用的会话，不传时新建会话
+     * @returns {Promise<Object>} - rotating 模式为 { token, refreshToken, expiresIn, refreshExpiresIn }，legacy 模式为 { token, expiresIn }
+     */
+    async issue(user, client = {}, session = null) {
+        if (this.isLegacyMode()) {
+            const created = await sessionService.create(user.id, client, LEGACY_TOKEN_TTL);
+            return {
+                token: this.signToken(user, created.id, LEGACY_TOKEN_TTL),
+                expiresIn: LEGACY_TOKEN_TTL,
+            };
+        }
+
+        const current = session
+            ? await sessionService.extend(session, authConfig.refreshTokenTtl, client)
+            : await sessionService.create(user.id, client, authConfig.refreshTokenTtl);
+        const refreshToken = crypto.randomBytes(32).toString('base64url');
+        const stored = await redisManager.set(
+            `${REFRESH_PREFIX}:${hashToken(refreshToken)}`,
+            { userId: user.id, sessionId: current.id },
+            authConfig.refreshTokenTtl
+        );
+        if (stored === null) {
+            throw new Error('令牌存储失败');
+        }
+
+        return {
+            token: this.signToken(user, current.id, ACCESS_TOKEN_TTL),
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            refreshExpiresIn: authConfig.refreshTokenTtl,
+        };
+    }
+
+    /**
+     * 验证访问令牌
+     * 会话被撤销（登出、在其他设备上撤销、重复使用刷新令牌、账号删除）后，未过期的令牌也随之失效
+     * @param {string} token - 访问令牌
+     * @returns {Promise<Object>} - 解码后的令牌数据
+     */
+    async verifyAccessToken(token) {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        const session = await sessionService.get(decoded.id, decoded.sid);
+        if (!session) {
+            throw new Error('令牌已失效');
+        }
+        await sessionService.touch(session);
+        return decoded;
+    }
+
+    /**
+     * 使用刷新令牌（只能使用一次）
+     * 已轮换的令牌再次使用时撤销其所属会话
+     * @param {string} refreshToken - 刷新令牌
+     * @returns {Promise<Object>} - 所属会话
+     */
+    async consumeRefreshToken(refreshToken) {
+        const hash = hashToken(refreshToken);
+        const refreshKey = `${REFRESH_PREFIX}:${hash}`;
+        const record = await redisManager.get(refreshKey);
+
+        if (!record) {
+            const rotated = await redisManager.get(`${ROTATED_PREFIX}:${hash}`);
+            if (rotated) {
+                await this.handleReuse(rotated);
+            }
+            throw new BusinessError('刷新令牌无效或已过期', 401);
+        }
+
+        // 先记录为已轮换再删除：并发使用同一令牌时只有一个请求能删除成功，其余按重复使用处理
+        await redisManager.set(`${ROTATED_PREFIX}:${hash}`, record, authConfig.refreshTokenTtl);
+        if ((await redisManager.del(refreshKey)) !== 1) {
+            await this.handleReuse(record);
+        }
+
+        const session = await sessionService.get(record.userId, record.sessionId);
+        if (!session) {
+            throw new BusinessError('登录已失效，请重新登录', 401);
+        }
+        return session;
+    }
+
+    /**
+     * 处理刷新令牌重复使用：撤销所属会话并拒绝请求
+     * @param {Object} record - { userId, sessionId }
+     */
+    async handleReuse(record) {
+        await sessionService.revoke(record.userId, record.sessionId);
+        logger.warn(`检测到刷新令牌重复使用，已撤销会话 [user:${record.userId}, session:${record.sessionId}]`);
+        throw new BusinessError('刷新令牌已被使用，登录已失效，请重新登录', 401);
+    }
+
+    /**
+     * 生成JWT令牌
+     * @param {Object} user - 用户对象
+     * @param {string} sessionId - 会话ID
+     * @param {number} expiresIn - 有效期（秒）
+     * @returns {string}
+     */
+    signToken(user, sessionId, expiresIn) {
+        const payload = {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            role: user.role,
+            emailVerified: user.emailVerified !== false,
+            twoFactor: Boolean(user.twoFactorEnabled),
+            sid: sessionId,
+        };
+        return jwt.sign(payload, JWT_SECRET, { expiresIn });
+    }
+}
+
+// 创建服务实例
+const tokenService = new TokenService();
+module.exports = tokenService;
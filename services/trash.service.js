@@ -0,0 +1,280 @@
+const { Op, QueryTypes } = require('sequelize');
+const {
+    sequelize,
+    Post,
+    User,
+    Categroup,
+    Comment,
+    PostLike,
+    PostBookmark,
+    PostAudit,
+    PostRevision,
+    Series,
+} = require('../models');
+const { BusinessError, createPagination } = require('../utils/response');
+const environment = require('../config/environment');
+const { logger } = require('../utils/logger');
+const postService = require('./post.service');
+const relatedPostService = require('./relatedPost.service');
+
+const trashConfig = environment.get('trash');
+
+// 一天的毫秒数
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 已注销用户的评论显示名称
+const DELETED_USER_NICKNAME = '已注销用户';
+
+// 支持回收站的内容类型
+const TRASH_TYPES = {
+    posts: {
+        model: Post,
+        label: '文章',
+        attributes: ['id', 'title', 'slug', 'status', 'auditStatus', 'userId', 'typeId', 'createdAt', 'deletedAt'],
+        include: [{ model: User, as: 'author', attributes: ['id', 'username', 'fullName'], paranoid: false }],
+    },
+    users: {
+        model: User,
+        label: '用户',
+        attributes: ['id', 'username', 'email', 'fullName', 'role', 'status', 'createdAt', 'deletedAt'],
+        include: [],
+    },
+    categories: {
+        model: Categroup,
+        label: '分类',
+        attributes: ['id', 'name', 'slug', 'description', 'createdAt', 'deletedAt'],
+        include: [],
+    },
+};
+
+/**
+ * 回收站服务层
+ * 文章、用户和分类删除时只标记 deleted_at（软删除），管理员可在回收站中恢复或彻底删除；
+ * 保留期满的内容由定时任务自动彻底删除。回收站中的内容仍占用用户名、邮箱、分类名和别名，保证恢复时不冲突
+ */
+class TrashService {
+    /**
+     * 是否为支持的回收站类型
+     * @param {string} type - 内容类型（posts、users、categories）
+     * @returns {boolean}
+     */
+    isValidType(type) {
+        return Object.prototype.hasOwnProperty.call(TRASH_TYPES, type);
+    }
+
+    /**
+     * 获取回收站列表（按删除时间倒序），包含预计自动清理时间
+     * @param {string} type - 内容类型
+     * @param {Object} options - 分页选项
+     * @returns {Promise<Object>} - 列表及分页信息
+     */
+    async getTrash(type, options = {}) {
+        const page = parseInt(options.page) || 1;
+        const limit = Math.min(parseInt(options.limit) || 20, 100);
+        const { model, attributes, include } = TRASH_TYPES[type];
+
+        const { count, rows } = await model.findAndCountAll({
+            where: { deletedAt: { [Op.ne]: null } },
+            attributes,
+            include,
+            paranoid: false,
+            order: [
+                ['deletedAt', 'DESC'],
+                ['id', 'DESC'],
+            ],
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        const data = rows.map(row => ({
+            ...row.toJSON(),
+            purgeAt:
+                trashConfig.retentionDays > 0
+                    ? new Date(row.deletedAt.getTime() + trashConfig.retentionDays * DAY_MS)
+                    : null,
+        }));
+
+        return {
+            data,
+            pagination: createPagination(page, limit, count, Math.ceil(count / limit)),
+        };
+    }
+
+    /**
+     * 从回收站恢复
+     * @param {string} type - 内容类型
+     * @param {number} id - 记录ID
+     * @returns {Promise<Object|null>} - 恢复后的记录，回收站中不存在时返回 null
+     */
+    async restore(type, id) {
+        const item = await this.findTrashed(type, id);
+        if (!item) {
+            return null;
+        }
+
+        await item.restore();
+        if (type === 'posts') {
+            await postService.clearListCache();
+        }
+        // 按列表字段重新查询（不返回密码等敏感字段）
+        const { model, attributes, include } = TRASH_TYPES[type];
+        return await model.findByPk(item.id, { attributes, include });
+    }
+
+    /**
+     * 彻底删除回收站中的记录
+     * @param {string} type - 内容类型
+     * @param {number} id - 记录ID
+     * @returns {Promise<boolean>} - 是否删除成功，回收站中不存在时返回 false
+     */
+    async purge(type, id) {
+        const item = await this.findTrashed(type, id);
+        if (!item) {
+            return false;
+        }
+
+        await this.purgeItem(type, item);
+        await this.clearCaches(type, [item.id]);
+        return true;
+    }
+
+    /**
+     * 彻底删除保留期已满的记录（由定时任务调用）
+     * 无法删除的记录（如分类下仍有文章）记录日志后跳过
+     * @returns {Promise<Object>} - 各类型清理数量，如 { posts: 3, users: 0, categories: 1 }
+     */
+    async purgeExpired() {
+        const result = {};
+        if (trashConfig.retentionDays <= 0) {
+            return result;
+        }
+
+        const expiredBefore = new Date(Date.now() - trashConfig.retentionDays * DAY_MS);
+        for (const type of Object.keys(TRASH_TYPES)) {
+            const { model, label } = TRASH_TYPES[type];
+            const purgedIds = [];
+            let lastId = 0;
+
+            while (purgedIds.length < trashConfig.batchSize) {
+                const items = await model.findAll({
+                    where: { id: { [Op.gt]: lastId }, deletedAt: { [Op.lt]: expiredBefore } },
+                    paranoid: false,
+                    order: [['id', 'ASC']],
+                    limit: trashConfig.batchSize,
+                });
+                for (const item of items) {
+                    if (purgedIds.length >= trashConfig.batchSize) {
+                        break;
+                    }
+                    try {
+                        await this.purgeItem(type, item);
+                        purgedIds.push(item.id);
+                    } catch (error) {
+                        logger.warn(`回收站自动清理跳过${label} [${item.id}]: ${error.message}`);
+                    }
+                }
+                if (items.length < trashConfig.batchSize) {
+                    break;
+                }
+                lastId = items[items.length - 1].id;
+            }
+
+            if (purgedIds.length > 0) {
+                await this.clearCaches(type, purgedIds);
+            }
+            result[type] = purgedIds.length;
+        }
+        return result;
+    }
+
+    /**
+     * 查询回收站中的记录
+     * @param {string} type - 内容类型
+     * @param {number} id - 记录ID
+     * @returns {Promise<Object|null>}
+     */
+    async findTrashed(type, id) {
+        return await TRASH_TYPES[type].model.findOne({
+            where: { id: parseInt(id), deletedAt: { [Op.ne]: null } },
+            paranoid: false,
+        });
+    }
+
+    /**
+     * 按类型彻底删除记录
+     * @param {string} type - 内容类型
+     * @param {Object} item - 记录实例
+     */
+    async purgeItem(type, item) {
+        if (type === 'users') {
+            await this.purgeUser(item);
+        } else if (type === 'categories') {
+            await this.purgeCategory(item);
+        } else {
+            await item.destroy({ force: true });
+        }
+    }
+
+    /**
+     * 彻底删除用户
+     * 用户的文章（含回收站中的）和系列一并删除；点赞、收藏移除并修正点赞数；评论保留并显示为已注销用户
+     * @param {Object} user - 用户实例
+     */
+    async purgeUser(user) {
+        const auditCount = await PostAudit.count({ where: { reviewerId: user.id } });
+        if (auditCount > 0) {
+            throw new BusinessError('该用户有文章审核记录，为保留审核历史不能彻底删除', 409);
+        }
+
+        await sequelize.transaction(async transaction => {
+            await sequelize.query(
+                `UPDATE posts p
+                 INNER JOIN post_likes l ON l.post_id = p.id
+                 SET p.like_count = GREATEST(p.like_count - 1, 0)
+                 WHERE l.user_id = :userId`,
+                { replacements: { userId: user.id }, type: QueryTypes.UPDATE, transaction }
+            );
+            await PostLike.destroy({ where: { userId: user.id }, transaction });
+            await PostBookmark.destroy({ where: { userId: user.id }, transaction });
+            await Comment.update(
+                { userId: null, nickname: DELETED_USER_NICKNAME },
+                { where: { userId: user.id }, transaction }
+            );
+            await PostRevision.update({ editorId: null }, { where: { editorId: user.id }, transaction });
+            await Post.destroy({ where: { userId: user.id }, force: true, transaction });
+            await Series.destroy({ where: { userId: user.id }, transaction });
+            await user.destroy({ force: true, transaction });
+        });
+    }
+
+    /**
+     * 彻底删除分类（仍有文章指向该分类时拒绝）
+     * @param {Object} category - 分类实例
+     */
+    async purgeCategory(category) {
+        const postCount = await Post.count({ where: { typeId: category.id }, paranoid: false });
+        if (postCount > 0) {
+            throw new BusinessError(`该分类下仍有 ${postCount} 篇文章，不能彻底删除`, 409);
+        }
+        await category.destroy({ force: true });
+    }
+
+    /**
+     * 清除受影响的缓存
+     * @param {string} type - 内容类型
+     * @param {Array<number>} ids - 已删除的记录ID
+     */
+    async clearCaches(type, ids) {
+        if (type === 'posts') {
+            await Promise.all(ids.map(id => relatedPostService.clearCache(id)));
+        } else if (type === 'users') {
+            // 用户的文章已一并删除
+            await postService.clearListCache();
+            await relatedPostService.clearAllCache();
+        }
+    }
+}
+
+// 创建服务实例
+const trashService = new TrashService();
+module.exports = trashService;
+module.exports.TRASH_TYPES = Object.keys(TRASH_TYPES);
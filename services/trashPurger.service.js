@@ -0,0 +1,90 @@
+const redisManager = require('../utils/redis');
+const environment = require('../config/environment');
+const { logger } = require('../utils/logger');
+const trashService = require('./trash.service');
+
+const trashConfig = environment.get('trash');
+
+// 多实例清理互斥锁
+const PURGE_LOCK_KEY = 'lock:trash:purge';
+
+/**
+ * 回收站自动清理服务
+ * 定时彻底删除保留期已满的内容，多实例部署时通过 Redis 锁保证同一时刻只有一个实例执行
+ */
+class TrashPurgerService {
+    constructor() {
+        this.timer = null;
+        this.running = null;
+    }
+
+    /**
+     * 执行一次清理
+     * @returns {Promise<Object>} 各类型清理数量
+     */
+    async run() {
+        if (this.running) {
+            return await this.running;
+        }
+
+        this.running = this.purgeExpired().finally(() => {
+            this.running = null;
+        });
+        return await this.running;
+    }
+
+    /**
+     * 持有分布式锁清理到期内容
+     * @returns {Promise<Object>} 各类型清理数量
+     */
+    async purgeExpired() {
+        const lockToken = await redisManager.acquireLock(PURGE_LOCK_KEY, 300);
+        if (!lockToken) {
+            return {};
+        }
+
+        try {
+            const result = await trashService.purgeExpired();
+            if (Object.values(result).some(count => count > 0)) {
+                logger.info('🗑️ 回收站自动清理完成', result);
+            }
+            return result;
+        } catch (error) {
+            logger.error('回收站自动清理失败:', error);
+            return {};
+        } finally {
+            await redisManager.releaseLock(PURGE_LOCK_KEY, lockToken);
+        }
+    }
+
+    /**
+     * 启动定时任务（保留天数为 0 时不启动）
+     */
+    start() {
+        if (this.timer || trashConfig.retentionDays <= 0) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.run();
+        }, trashConfig.purgeInterval);
+        // 不阻止进程退出
+        this.timer.unref();
+    }
+
+    /**
+     * 停止定时任务，并等待正在执行的清理完成
+     */
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.running) {
+            await this.running;
+        }
+    }
+}
+
+// 创建服务实例
+const trashPurgerService = new TrashPurgerService();
+module.exports = trashPurgerService;
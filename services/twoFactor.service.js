@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const { sequelize, User } = require('../models');
+const redisManager = require('../utils/redis');
+const totp = require('../utils/totp');
+const environment = require('../config/environment');
+const { BusinessError } = require('../utils/response');
+const userService = require('./user.service');
+const settingService = require('./setting.service');
+
+const authConfig = environment.get('auth');
+const siteConfig = environment.get('site');
+
+// Redis 键
+const SETUP_PREFIX = 'auth:2fa:setup'; // 待确认的密钥：auth:2fa:setup:{userId}
+const CHALLENGE_PREFIX = 'auth:2fa:challenge'; // 登录挑战（按哈希存储）
+const USED_CODE_PREFIX = 'auth:2fa:used'; // 已使用的验证码时间步（防止同一验证码重复使用）
+// 设置项：管理员是否必须启用两步验证
+const POLICY_SETTING = '2fa.requireAdmin';
+// 待确认密钥有效期（秒）
+const SETUP_TTL = 600;
+// 登录挑战有效期（秒）
+const CHALLENGE_TTL = 300;
+// 每个登录挑战最多尝试次数
+const MAX_CHALLENGE_ATTEMPTS = 5;
+// 恢复码数量
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * 计算哈希（恢复码和登录挑战令牌不保存原文）
+ * @param {string} value - 原文
+ * @returns {string}
+ */
+const hash = value => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/**
+ * 规范化恢复码（忽略大小写、空格和连字符）
+ * @param {string} code - 恢复码
+ * @returns {string}
+ */
+const normalizeRecoveryCode = code =>
+    String(code || '')
+        .toLowerCase()
+        .replace(/[\s-]/g, '');
+
+/**
+ * 两步验证服务层
+ * 基于 TOTP（RFC 6238），启用后登录需在密码之外再提交身份验证器中的验证码或一次性恢复码
+ */
+class TwoFactorService {
+    /**
+     * 获取两步验证状态
+     * @param {string|number} userId - 用户ID
+     * @returns {Promise<Object>} - { enabled, enabledAt, recoveryCodesRemaining, required }
+     */
+    async getStatus(userId) {
+        const user = await this.findUser(userId);
+        return {
+            enabled: user.twoFactorEnabled,
+            enabledAt: user.twoFactorEnabledAt,
+            recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0,
+            required: await this.isRequiredFor(user.role),
+        };
+    }
+
+    /**
+     * 开始启用两步验证：生成待确认的密钥
+     * @param {string|number} userId - 用户ID
+     * @returns {Promise<Object>} - { secret, otpauthUrl, expiresIn }
+     */
+    async setup(userId) {
+        const user = await this.findUser(userId);
+        if (user.twoFactorEnabled) {
+            throw new BusinessError('已启用两步验证', 400);
+        }
+        const secret = totp.generateSecret();
+        await redisManager.set(`${SETUP_PREFIX}:${user.id}`, secret, SETUP_TTL);
+        return {
+            secret,
+            otpauthUrl: totp.buildUri({
+                secret,
+                account: user.username,
+                issuer: authConfig.twoFactorIssuer || siteConfig.title,
+            }),
+            expiresIn: SETUP_TTL,
+        };
+    }
+
+    /**
+     * 确认启用两步验证：校验身份验证器生成的第一个验证码
+     * @param {string|number} userId - 用户ID
+     * @param {string} code - 验证码
+     * @returns {Promise<Array<string>>} - 恢复码（只返回这一次）
+     */
+    async enable(userId, code) {
+        const user = await this.findUser(userId);
+        if (user.twoFactorEnabled) {
+            throw new BusinessError('已启用两步验证', 400);
+        }
+        const secret = await redisManager.get(`${SETUP_PREFIX}:${user.id}`);
+        if (!secret) {
+            throw new BusinessError('密钥已过期，请重新开始设置', 400);
+        }
+        if (!(await this.verifyCode({ id: user.id, twoFactorSecret: secret }, code))) {
+            throw new BusinessError('验证码错误', 400);
+        }
+
+        const recoveryCodes = this.generateRecoveryCodes();
+        await User.update(
+            {
+                twoFactorEnabled: true,
+                twoFactorSecret: secret,
+                twoFactorRecoveryCodes: recoveryCodes.map(item => hash(normalizeRecoveryCode(item))),
+                twoFactorEnabledAt: new Date(),
+            },
+            { where: { id: user.id } }
+        );
+        await redisManager.del(`${SETUP_PREFIX}:${user.id}`);
+        return recoveryCodes;
+    }
+
+    /**
+     * 停用两步验证（需要密码和当前验证码）
+     * @param {string|number} userId - 用户ID
+     * @param {string} password - 密码
+     * @param {string} code - 验证码
+     */
+    async disable(userId, password, code) {
+        const user = await this.findUser(userId);
+        if (!user.twoFactorEnabled) {
+            throw new BusinessError('未启用两步验证', 400);
+        }
+        if (await this.isRequiredFor(user.role)) {
+            throw new BusinessError('管理员账号必须启用两步验证，不能停用', 400);
+        }
+        if (!(await userService.verifyPassword(password, user.password))) {
+            throw new BusinessError('密码错误', 400);
+        }
+        if (!(await this.verifyCode(user, code))) {
+            throw new BusinessError('验证码错误', 400);
+        }
+        await User.update(
+            {
+                twoFactorEnabled: false,
+                twoFactorSecret: null,
+                twoFactorRecoveryCodes: null,
+                twoFactorEnabledAt: null,
+            },
+            { where: { id: user.id } }
+        );
+    }
+
+    /**
+     * 重新生成恢复码（需要当前验证码），原恢复码全部失效
+     * @param {string|number} userId - 用户ID
+     * @param {string} code - 验证码
+     * @returns {Promise<Array<string>>} - 新的恢复码
+     */
+    async regenerateRecoveryCodes(userId, code) {
+        const user = await this.findUser(userId);
+        if (!user.twoFactorEnabled) {
+            throw new BusinessError('未启用两步验证', 400);
+        }
+        if (!(await this.verifyCode(user, code))) {
+            throw new BusinessError('验证码错误', 400);
+        }
+        const recoveryCodes = this.generateRecoveryCodes();
+        await User.update(
+            { twoFactorRecoveryCodes: recoveryCodes.map(item => hash(normalizeRecoveryCode(item))) },
+            { where: { id: user.id } }
+        );
+        return recoveryCodes;
+    }
+
+    /**
+     * 创建登录挑战（密码验证通过后，等待提交验证码）
+     * @param {Object} user - 用户实例
+     * @param {Object} client - 客户端信息 { ip, userAgent, deviceName }
+     * @returns {Promise<Object>} - { twoFactorRequired, challengeToken, expiresIn }
+     */
+    async createChallenge(user, client = {}) {
+        const challengeToken = crypto.randomBytes(32).toString('base64url');
+        await redisManager.set(
+            `${CHALLENGE_PREFIX}:${hash(challengeToken)}`,
+            { userId: user.id, client },
+            CHALLENGE_TTL
+        );
+        return { twoFactorRequired: true, challengeToken, expiresIn: CHALLENGE_TTL };
+    }
+
+    /**
+     * 完成登录挑战：校验验证码或恢复码
+     * 超过尝试次数后挑战失效，需要重新输入密码登录
+     * @param {string} challengeToken - 登录挑战令牌
+     * @param {Object} credentials - { code, recoveryCode }
+     * @returns {Promise<Object>} - { user, client }
+     */
+    async verifyChallenge(challengeToken, { code, recoveryCode }) {
+        const challengeKey = `${CHALLENGE_PREFIX}:${hash(challengeToken)}`;
+        const challenge = await redisManager.get(challengeKey);
+        if (!challenge) {
+            throw new BusinessError('登录验证已过期，请重新登录', 401);
+        }
+
+        const user = await userService.findById(challenge.userId, { withSecrets: true });
+        if (!user || user.status !== 'active' || !user.twoFactorEnabled) {
+            await redisManager.del(challengeKey);
+            throw new BusinessError('登录验证已过期，请重新登录', 401);
+        }
+
+        const passed = recoveryCode
+            ? await this.useRecoveryCode(user, recoveryCode)
+            : await this.verifyCode(user, code);
+        if (!passed) {
+            const attemptsKey = `${challengeKey}:attempts`;
+            const attempts = await redisManager.hincrby(attemptsKey, 'count');
+            await redisManager.expire(attemptsKey, CHALLENGE_TTL);
+            if (attempts === null || attempts >= MAX_CHALLENGE_ATTEMPTS) {
+                await redisManager.del([challengeKey, attemptsKey]);
+                throw new BusinessError('验证失败次数过多，请重新登录', 401);
+            }
+            throw new BusinessError(recoveryCode ? '恢复码无效' : '验证码错误', 400);
+        }
+
+        // 删除成功才算完成挑战，防止同一挑战并发换取多个会话
+        if ((await redisManager.del(challengeKey)) !== 1) {
+            throw new BusinessError('登录验证已过期，请重新登录', 401);
+        }
+        await redisManager.del(`${challengeKey}:attempts`);
+        return { user, client: challenge.client };
+    }
+
+    /**
+     * 校验验证码（同一验证码只能使用一次）
+     * @param {Object} user - 用户（含 id 和 twoFactorSecret）
+     * @param {string} code - 验证码
+     * @returns {Promise<boolean>}
+     */
+    async verifyCode(user, code) {
+        const counter = totp.verifyCode(user.twoFactorSecret, code);
+        if (counter === null) {
+            return false;
+        }
+        // 时间窗口为前后各一个时间步，记录保留 3 个时间步即可
+        return await redisManager.setNX(`${USED_CODE_PREFIX}:${user.id}:${counter}`, 1, 90);
+    }
+
+    /**
+     * 使用恢复码（使用后失效）
+     * 在事务中锁定用户行后读取并移除，并发使用同一个或不同的恢复码都不会丢失更新
+     * @param {Object} user - 用户实例
+     * @param {string} code - 恢复码
+     * @returns {Promise<boolean>}
+     */
+    async useRecoveryCode(user, code) {
+        const codeHash = hash(normalizeRecoveryCode(code));
+        return await sequelize.transaction(async transaction => {
+            const locked = await User.scope('withSecrets').findByPk(user.id, {
+                attributes: ['id', 'twoFactorRecoveryCodes'],
+                lock: transaction.LOCK.UPDATE,
+                transaction,
+            });
+            const remaining = (locked && locked.twoFactorRecoveryCodes) || [];
+            if (!remaining.includes(codeHash)) {
+                return false;
+            }
+            await User.update(
+                { twoFactorRecoveryCodes: remaining.filter(item => item !== codeHash) },
+                { where: { id: user.id }, transaction }
+            );
+            return true;
+        });
+    }
+
+    /**
+     * 生成恢复码（10 位十六进制，格式如 3f9a1-c07e2）
+     * @returns {Array<string>}
+     */
+    generateRecoveryCodes() {
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const code = crypto.randomBytes(6).toString('hex').substring(0, 10);
+            return `${code.substring(0, 5)}-${code.substring(5)}`;
+        });
+    }
+
+    /**
+     * 获取两步验证策略
+     * @returns {Promise<Object>} - { requireForAdmins }
+     */
+    async getPolicy() {
+        const value = await settingService.get(POLICY_SETTING, authConfig.requireAdminTwoFactor);
+        return { requireForAdmins: Boolean(value) };
+    }
+
+    /**
+     * 修改两步验证策略（管理员）
+     * 开启管理员强制两步验证前，操作的管理员自己必须已启用，避免失去管理权限
+     * @param {string|number} operatorId - 操作的管理员ID
+     * @param {Object} policy - { requireForAdmins }
+     * @returns {Promise<Object>} - 修改后的策略
+     */
+    async setPolicy(operatorId, { requireForAdmins }) {
+        const operator = await this.findUser(operatorId);
+        if (requireForAdmins && !operator.twoFactorEnabled) {
+            throw new BusinessError('请先为自己的账号启用两步验证', 400);
+        }
+        await settingService.set(POLICY_SETTING, Boolean(requireForAdmins));
+        return { requireForAdmins: Boolean(requireForAdmins) };
+    }
+
+    /**
+     * 查找用户（包含两步验证密钥、恢复码和密码）
+     * @param {string|number} userId - 用户ID
+     * @returns {Promise<Object>} - 用户实例
+     */
+    async findUser(userId) {
+        const user = await userService.findById(userId, { withSecrets: true });
+        if (!user) {
+            throw new BusinessError('用户不存在', 404);
+        }
+        return user;
+    }
+
+    /**
+     * 指定角色是否必须启用两步验证
+     * @param {string} role - 角色
+     * @returns {Promise<boolean>}
+     */
+    async isRequiredFor(role) {
+        return role === 'admin' && (await this.getPolicy()).requireForAdmins;
+    }
+}
+
+// 创建服务实例
+const twoFactorService = new TwoFactorService();
+module.exports = twoFactorService;
@@ -1,5 +1,20 @@
 const { User } = require('../models/index.js');
 const bcrypt = require('bcryptjs'); // 密码加密/验证库（处理用户密码安全）
+const { BusinessError } = require('../utils/response');
+const sessionService = require('./session.service');
+const postService = require('./post.service.js');
+const commentService = require('./comment.service.js');
+
+// 不能通过接口返回的用户字段
+const SENSITIVE_FIELDS = ['password', 'twoFactorSecret', 'twoFactorRecoveryCodes'];
+
+/**
+ * 获取查询使用的模型（默认作用域不含敏感字段）
+ * @param {boolean} [withSecrets] - 是否包含密码、两步验证密钥等敏感字段（仅校验凭证时使用）
+ * @returns {Object}
+ */
+const userModel = withSecrets => (withSecrets ? User.scope('withSecrets') : User);
+
 /**
  * 用户服务层
  * 处理用户相关的业务逻辑 —— 类功能描述注释
@@ -8,35 +23,68 @@ class UserService {
     /**
      * 根据用户名查询用户
      * @param {string} username - 用户名
+     * @param {Object} [options] - 查询选项（如 paranoid: false 包含回收站中的用户；withSecrets: true 包含密码等敏感字段）
      * @returns {Promise<Object|null>} - 返回查询到的用户实例（如果存在），否则返回 null
      */
-    async findByUsername(username) {
-        console.log('username', username);
-        return await User.findOne({
+    async findByUsername(username, options = {}) {
+        const { withSecrets, ...queryOptions } = options;
+        return await userModel(withSecrets).findOne({
             where: {
                 username,
-            }
+            },
+            ...queryOptions,
         });
     }
     /**
      * 根据邮箱查询用户
      * @param {string} email - 邮箱
+     * @param {Object} [options] - 查询选项（如 paranoid: false 包含回收站中的用户）
      * @returns {Promise<Object|null>} - 返回查询到的用户实例（如果存在），否则返回 null
      */
-    async findByEmail(email) {
+    async findByEmail(email, options = {}) {
         return await User.findOne({
             where: {
                 email,
-            }
+            },
+            ...options,
         });
     }
+    /**
+     * 校验用户名和邮箱是否可用（回收站中的用户在彻底删除前仍占用用户名和邮箱）
+     * @param {string} username - 用户名
+     * @param {string} email - 邮箱
+     */
+    async assertIdentityAvailable(username, email) {
+        const existingUsername = await this.findByUsername(username, { paranoid: false });
+        if (existingUsername) {
+            throw new BusinessError(
+                existingUsername.deletedAt ? '用户名已被已删除的账号占用' : '用户名已存在',
+                409
+            );
+        }
+        const existingEmail = await this.findByEmail(email, { paranoid: false });
+        if (existingEmail) {
+            throw new BusinessError(existingEmail.deletedAt ? '邮箱已被已删除的账号占用' : '邮箱已存在', 409);
+        }
+    }
     /**
      * 根据用户ID查询用户
      * @param {number} userId - 用户ID
+     * @param {Object} [options] - 查询选项（withSecrets: true 包含密码等敏感字段）
      * @returns {Promise<Object|null>} - 返回查询到的用户实例（如果存在），否则返回 null
      */
-    async findById(userId) {
-        return await User.findByPk(userId);
+    async findById(userId, options = {}) {
+        return await userModel(options.withSecrets).findByPk(userId);
+    }
+    /**
+     * 转换为可返回给客户端的用户信息（去除密码等敏感字段）
+     * @param {Object} user - 用户实例
+     * @returns {Object} - 用户信息
+     */
+    toSafeJSON(user) {
+        const userInfo = user.toJSON();
+        SENSITIVE_FIELDS.forEach(field => delete userInfo[field]);
+        return userInfo;
     }
     /**
      * 验证密码
@@ -48,6 +96,14 @@ class UserService {
         // 调用bcrypt的compareSync方法（同步验证），比对明文与加密密码
         return await bcrypt.compareSync(password, hashedPassword);
     }
+    /**
+     * 加密密码
+     * @param {string} password - 明文密码
+     * @returns {Promise<string>} - 哈希后的密码
+     */
+    async hashPassword(password) {
+        return await bcrypt.hashSync(password, 12);
+    }
     /**
      * 更新用户最后的登录时间
      * @param {string|number} userId - 用户ID（字符串或数字类型）
@@ -82,6 +138,7 @@ class UserService {
             bio: user.bio || '',
             role: user.role,
             status: user.status,
+            emailVerified: user.emailVerified,
             joinDate: user.createdAt,
             lastLoginTime: user.lastLogin,
             stats,
@@ -130,7 +187,7 @@ class UserService {
      */
     async changePassword(userId, currentPassword, newPassword) {
         // 验证当前密码是否正确
-        const user = await this.findByPk(userId);
+        const user = await this.findById(userId, { withSecrets: true });
         if (!user) {
             throw new Error('用户不存在');
         }
@@ -143,12 +200,32 @@ class UserService {
             throw new Error('新密码不能与当前密码相同');
         }
         // 加密新密码
-        const hashedPassword = await bcrypt.hashSync(newPassword, 12);
+        const hashedPassword = await this.hashPassword(newPassword);
         // 更新用户密码
         await User.update({ password: hashedPassword }, { where: { id: userId } });
         return { message: '密码修改成功' };
     }
 
+    /**
+     * 标记邮箱已验证
+     * @param {string|number} userId - 用户ID
+     */
+    async markEmailVerified(userId) {
+        await User.update({ emailVerified: true, emailVerifiedAt: new Date() }, { where: { id: userId } });
+    }
+
+    /**
+     * 重置密码（通过密码重置链接，无需当前密码），并使全部登录会话失效
+     * 会话撤销失败时抛出错误，不能向用户报告重置成功
+     * @param {string|number} userId - 用户ID
+     * @param {string} newPassword - 新密码
+     */
+    async resetPassword(userId, newPassword) {
+        const hashedPassword = await this.hashPassword(newPassword);
+        await User.update({ password: hashedPassword }, { where: { id: userId } });
+        await this.revokeTokens(userId);
+    }
+
     /**
      * 更新用户头像
      * @param {string|number} userId - 用户ID（字符串或数字类型）
@@ -281,19 +358,11 @@ class UserService {
      * @returns {Promise<Object>} - 创建的用户
      */
     async createUser(userData) {
-        const { username, password, email, role = 'user', status = 'active' } = userData;
-        // 检查用户名是否存在
-        const existingUsername = await this.findByUsername(username);
-        if (existingUsername) {
-            throw new Error('用户名已存在');
-        }
-        // 检查邮箱是否存在
-        const existingEmail = await this.findByEmail(email);
-        if (existingEmail) {
-            throw new Error('邮箱已存在');
-        }
+        const { username, password, email, role = 'user', status = 'active', emailVerified = true } = userData;
+        // 检查用户名和邮箱是否已被占用（含回收站中的用户）
+        await this.assertIdentityAvailable(username, email);
         // 加密密码
-        const hashedPassword = await bcrypt.hashSync(password, 12);
+        const hashedPassword = await this.hashPassword(password);
         // 创建用户
         const user = await User.create({
             username,
@@ -301,10 +370,83 @@ class UserService {
             email,
             role,
             status,
+            emailVerified,
         });
         // 返回用户信息（不包含密码）
-        const { password: _, ...userInfo } = user.toJSON();
-        return userInfo;
+        return this.toSafeJSON(user);
+    }
+
+    /**
+     * 删除用户（管理员，移入回收站）
+     * @param {string|number} userId - 用户ID
+     * @param {Object} operator - 当前操作的管理员
+     * @returns {Promise<boolean>} - 是否删除成功
+     */
+    async deleteUser(userId, operator) {
+        if (parseInt(userId) === operator.id) {
+            throw new BusinessError('不能删除当前登录的账号，请使用注销账号功能', 400);
+        }
+        const user = await User.findByPk(userId);
+        if (!user) {
+            return false;
+        }
+        await user.destroy();
+        await this.revokeTokens(user.id);
+        return true;
+    }
+
+    /**
+     * 注销当前账号（校验密码后移入回收站）
+     * @param {string|number} userId - 用户ID
+     * @param {string} password - 当前密码
+     */
+    async deleteAccount(userId, password) {
+        const user = await this.findById(userId, { withSecrets: true });
+        if (!user) {
+            throw new BusinessError('用户不存在', 404);
+        }
+        const isPasswordValid = await this.verifyPassword(password, user.password);
+        if (!isPasswordValid) {
+            throw new BusinessError('密码错误', 400);
+        }
+        await user.destroy();
+        await this.revokeTokens(user.id);
+    }
+
+    /**
+     * 使用户的登录令牌失效
+     * @param {string|number} userId - 用户ID
+     */
+    async revokeTokens(userId) {
+        await sessionService.revokeAll(userId);
+    }
+
+    /**
+     * 获取管理员待办事项
+     * @param {string|number} userId - 管理员ID
+     * @returns {Promise<Object>} - 待办事项列表及总数
+     */
+    async getAdminTodoItems(userId) {
+        const [pendingPosts, pendingComments] = await Promise.all([
+            postService.countPendingAudits(),
+            commentService.countPendingComments(),
+        ]);
+        const items = [
+            {
+                type: 'postAudit',
+                title: '待审核文章',
+                count: pendingPosts,
+            },
+            {
+                type: 'commentAudit',
+                title: '待审核评论',
+                count: pendingComments,
+            },
+        ];
+        return {
+            items,
+            total: items.reduce((sum, item) => sum + item.count, 0),
+        };
     }
 
 }
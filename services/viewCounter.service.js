@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { sequelize } = require('../models');
+const redisManager = require('../utils/redis');
+const environment = require('../config/environment');
+const { logger } = require('../utils/logger');
+
+const viewConfig = environment.get('viewCounter');
+
+// Redis 键
+const PENDING_KEY = 'post:views:pending'; // 待写回的阅读增量（hash: postId -> 增量）
+const FLUSHING_KEY = 'post:views:flushing'; // 正在写回的阅读增量
+const FLUSH_LOCK_KEY = 'lock:post:views:flush'; // 多实例写回互斥锁
+const DEDUP_PREFIX = 'post:views:dedup';
+
+/**
+ * 文章阅读量统计服务
+ * 阅读记录先在 Redis 中去重并累加，再由定时任务批量写回 MySQL，
+ * 避免热门文章每次阅读都更新同一行造成行锁竞争
+ */
+class ViewCounterService {
+    constructor() {
+        this.timer = null;
+        this.flushing = null;
+    }
+
+    /**
+     * 记录一次阅读，同一访客在去重窗口内只计一次
+     * @param {number} postId - 文章ID
+     * @param {Object} visitor - 访客信息（userId、ip、userAgent）
+     * @returns {Promise<boolean>} 是否计入阅读量
+     */
+    async recordView(postId, visitor = {}) {
+        const visitorKey = this.getVisitorKey(visitor);
+        const isNewView = await redisManager.setNX(
+            `${DEDUP_PREFIX}:${postId}:${visitorKey}`,
+            1,
+            viewConfig.dedupWindow
+        );
+        if (!isNewView) {
+            return false;
+        }
+
+        await redisManager.hincrby(PENDING_KEY, String(postId), 1);
+        return true;
+    }
+
+    /**
+     * 获取尚未写回数据库的阅读增量
+     * @param {number} postId - 文章ID
+     * @returns {Promise<number>}
+     */
+    async getPendingViews(postId) {
+        const [pending, flushing] = await Promise.all([
+            redisManager.hget(PENDING_KEY, String(postId)),
+            redisManager.hget(FLUSHING_KEY, String(postId)),
+        ]);
+        return (parseInt(pending) || 0) + (parseInt(flushing) || 0);
+    }
+
+    /**
+     * 生成访客标识：登录用户使用用户ID，游客使用 IP + UA 的哈希
+     * @param {Object} visitor - 访客信息
+     * @returns {string}
+     */
+    getVisitorKey({ userId, ip, userAgent }) {
+        if (userId) {
+            return `u:${userId}`;
+        }
+        const hash = crypto
+            .createHash('sha1')
+            .update(`${ip || ''}|${userAgent || ''}`)
+            .digest('hex');
+        return `g:${hash}`;
+    }
+
+    /**
+     * 将 Redis 中的阅读增量批量写回数据库
+     * 先把待写回的 hash 原子地重命名为写回中的 hash，写回期间的新阅读继续累加到新的 hash 中；
+     * 每批写回成功后再删除对应字段，进程异常退出时剩余增量会在下次写回时继续处理
+     * @returns {Promise<number>} 本次写回的文章数
+     */
+    async flush() {
+        if (this.flushing) {
+            return await this.flushing;
+        }
+
+        this.flushing = this.doFlush().finally(() => {
+            this.flushing = null;
+        });
+        return await this.flushing;
+    }
+
+    /**
+     * 执行一次写回（持有分布式锁，保证多实例下同一时刻只有一个实例写回）
+     * @returns {Promise<number>} 本次写回的文章数
+     */
+    async doFlush() {
+        const lockToken = await redisManager.acquireLock(FLUSH_LOCK_KEY, 60);
+        if (!lockToken) {
+            return 0;
+        }
+
+        try {
+            // 上次写回未完成时先处理遗留数据，否则取出新的增量
+            if (!(await redisManager.exists(FLUSHING_KEY))) {
+                const moved = await redisManager.renamenx(PENDING_KEY, FLUSHING_KEY);
+                if (!moved) {
+                    return 0;
+                }
+            }
+
+            const deltas = Object.entries(await redisManager.hgetall(FLUSHING_KEY))
+                .map(([postId, count]) => [parseInt(postId), parseInt(count)])
+                .filter(([postId, count]) => postId > 0 && count > 0);
+
+            for (let i = 0; i < deltas.length; i += viewConfig.batchSize) {
+                const batch = deltas.slice(i, i + viewConfig.batchSize);
+                await this.applyBatch(batch);
+                await redisManager.hdel(
+                    FLUSHING_KEY,
+                    batch.map(([postId]) => String(postId))
+                );
+            }
+
+            await redisManager.del(FLUSHING_KEY);
+            if (deltas.length > 0) {
+                logger.info('📈 文章阅读量已写回数据库', { posts: deltas.length });
+            }
+            return deltas.length;
+        } catch (error) {
+            logger.error('文章阅读量写回失败:', error);
+            return 0;
+        } finally {
+            await redisManager.releaseLock(FLUSH_LOCK_KEY, lockToken);
+        }
+    }
+
+    /**
+     * 用一条 UPDATE 语句写回一批文章的阅读增量
+     * @param {Array<[number, number]>} batch - [文章ID, 增量] 列表
+     */
+    async applyBatch(batch) {
+        const cases = batch.map(() => 'WHEN ? THEN ?').join(' ');
+        const replacements = [...batch.flat(), ...batch.map(([postId]) => postId)];
+
+        await sequelize.query(
+            `UPDATE posts
+             SET view_count = view_count + CASE id ${cases} ELSE 0 END,
+                 last_read_at = NOW()
+             WHERE id IN (${batch.map(() => '?').join(', ')})`,
+            { replacements }
+        );
+    }
+
+    /**
+     * 启动定时写回任务
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.flush();
+        }, viewConfig.flushInterval);
+        // 不阻止进程退出
+        this.timer.unref();
+    }
+
+    /**
+     * 停止定时任务并写回剩余增量（优雅关闭时调用）
+     */
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        await this.flush();
+    }
+}
+
+// 创建服务实例
+const viewCounterService = new ViewCounterService();
+module.exports = viewCounterService;
@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const redisManager = require('../../utils/redis');
+const { logger } = require('../../utils/logger');
+const tokenService = require('../../services/token.service');
+const sessionService = require('../../services/session.service');
+
+describe('TokenService.consumeRefreshToken', () => {
+    // 内存中的 Redis 数据
+    let store;
+
+    beforeEach(() => {
+        store = new Map();
+        mock.method(redisManager, 'set', async (key, value) => {
+            store.set(key, JSON.stringify(value));
+            return 'OK';
+        });
+        mock.method(redisManager, 'get', async key => (store.has(key) ? JSON.parse(store.get(key)) : null));
+        mock.method(redisManager, 'del', async keys =>
+            [].concat(keys).reduce((count, key) => count + (store.delete(key) ? 1 : 0), 0)
+        );
+        mock.method(logger, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    /**
+     * 签发令牌并返回刷新令牌和会话ID
+     * @returns {Promise<Object>} - { refreshToken, sessionId }
+     */
+    const issue = async () => {
+        const { token, refreshToken } = await tokenService.issue({ id: 1, role: 'user' }, { ip: '127.0.0.1' });
+        const { sid } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+        return { refreshToken, sessionId: sid };
+    };
+
+    it('有效的刷新令牌返回所属会话，令牌随即失效', async () => {
+        const { refreshToken, sessionId } = await issue();
+
+        const session = await tokenService.consumeRefreshToken(refreshToken);
+        assert.equal(session.id, sessionId);
+        assert.equal(session.userId, 1);
+
+        await assert.rejects(tokenService.consumeRefreshToken(refreshToken), { statusCode: 401 });
+    });
+
+    it('未知的刷新令牌返回 401 且不撤销会话', async () => {
+        const revoke = mock.method(sessionService, 'revoke');
+
+        await assert.rejects(tokenService.consumeRefreshToken('unknown'), {
+            statusCode: 401,
+            message: '刷新令牌无效或已过期',
+        });
+        assert.equal(revoke.mock.callCount(), 0);
+    });
+
+    it('已轮换的刷新令牌再次使用时撤销所属会话', async () => {
+        const { refreshToken, sessionId } = await issue();
+        await tokenService.consumeRefreshToken(refreshToken);
+
+        await assert.rejects(tokenService.consumeRefreshToken(refreshToken), {
+            statusCode: 401,
+            message: '刷新令牌已被使用，登录已失效，请重新登录',
+        });
+        assert.equal(await sessionService.get(1, sessionId), null);
+    });
+
+    it('并发使用同一刷新令牌时只有一个请求成功，会话被撤销', async () => {
+        const { refreshToken, sessionId } = await issue();
+
+        const results = await Promise.allSettled([
+            tokenService.consumeRefreshToken(refreshToken),
+            tokenService.consumeRefreshToken(refreshToken),
+        ]);
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 401);
+        assert.equal(await sessionService.get(1, sessionId), null);
+    });
+
+    it('会话已撤销时返回 401', async () => {
+        const { refreshToken, sessionId } = await issue();
+        await sessionService.revoke(1, sessionId);
+
+        await assert.rejects(tokenService.consumeRefreshToken(refreshToken), {
+            statusCode: 401,
+            message: '登录已失效，请重新登录',
+        });
+    });
+});
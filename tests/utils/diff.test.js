@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines } = require('../../utils/diff');
+
+/**
+ * 将差异结果还原为新旧文本，用于校验差异的完整性
+ * @param {Array<Object>} lines - 差异行列表
+ * @returns {Object} - { oldText, newText }
+ */
+const rebuild = lines => ({
+    oldText: lines.filter(line => line.type !== 'added').map(line => line.content).join('\n'),
+    newText: lines.filter(line => line.type !== 'removed').map(line => line.content).join('\n'),
+});
+
+describe('utils/diff', () => {
+    describe('diffLines', () => {
+        it('相同文本全部为 equal', () => {
+            assert.deepEqual(diffLines('a\nb', 'a\nb'), [
+                { type: 'equal', content: 'a', oldLine: 1, newLine: 1 },
+                { type: 'equal', content: 'b', oldLine: 2, newLine: 2 },
+            ]);
+        });
+
+        it('空文本视为没有行', () => {
+            assert.deepEqual(diffLines('', ''), []);
+            assert.deepEqual(diffLines(null, 'a'), [{ type: 'added', content: 'a', newLine: 1 }]);
+            assert.deepEqual(diffLines('a', undefined), [{ type: 'removed', content: 'a', oldLine: 1 }]);
+        });
+
+        it('标记新增、删除的行及行号', () => {
+            assert.deepEqual(diffLines('a\nb\nc\nd', 'a\nc\nx\nd'), [
+                { type: 'equal', content: 'a', oldLine: 1, newLine: 1 },
+                { type: 'removed', content: 'b', oldLine: 2 },
+                { type: 'equal', content: 'c', oldLine: 3, newLine: 2 },
+                { type: 'added', content: 'x', newLine: 3 },
+                { type: 'equal', content: 'd', oldLine: 4, newLine: 4 },
+            ]);
+        });
+
+        it('修改的行表示为删除加新增', () => {
+            assert.deepEqual(diffLines('标题\n旧内容', '标题\n新内容'), [
+                { type: 'equal', content: '标题', oldLine: 1, newLine: 1 },
+                { type: 'removed', content: '旧内容', oldLine: 2 },
+                { type: 'added', content: '新内容', newLine: 2 },
+            ]);
+        });
+
+        it('兼容 CRLF 换行', () => {
+            assert.deepEqual(diffLines('a\r\nb', 'a\nb'), [
+                { type: 'equal', content: 'a', oldLine: 1, newLine: 1 },
+                { type: 'equal', content: 'b', oldLine: 2, newLine: 2 },
+            ]);
+        });
+
+        it('得到最短编辑序列', () => {
+            const lines = diffLines('a\nb\nc\na\nb\nb\na', 'c\nb\na\nb\na\nc');
+            assert.equal(lines.filter(line => line.type !== 'equal').length, 5);
+            assert.deepEqual(rebuild(lines), { oldText: 'a\nb\nc\na\nb\nb\na', newText: 'c\nb\na\nb\na\nc' });
+        });
+
+        it('超过编辑距离上限时整段替换，结果仍可还原', () => {
+            const oldText = Array.from({ length: 1500 }, (item, index) => `old ${index}`).join('\n');
+            const newText = Array.from({ length: 1500 }, (item, index) => `new ${index}`).join('\n');
+            const lines = diffLines(`head\n${oldText}\ntail`, `head\n${newText}\ntail`);
+
+            assert.equal(lines.length, 3002);
+            assert.deepEqual(lines[0], { type: 'equal', content: 'head', oldLine: 1, newLine: 1 });
+            assert.deepEqual(lines[1], { type: 'removed', content: 'old 0', oldLine: 2 });
+            assert.deepEqual(lines[1501], { type: 'added', content: 'new 0', newLine: 2 });
+            assert.deepEqual(lines[3001], { type: 'equal', content: 'tail', oldLine: 1502, newLine: 1502 });
+            assert.deepEqual(rebuild(lines), { oldText: `head\n${oldText}\ntail`, newText: `head\n${newText}\ntail` });
+        });
+    });
+});
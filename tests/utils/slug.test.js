@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { slugify, transliterate, generateUniqueSlug } = require('../../utils/slug');
+
+/**
+ * 创建模拟模型，findOne 按 slug 查找已占用的记录
+ * @param {Object} taken - 已占用的别名 { slug: id }
+ * @returns {Object}
+ */
+const createModel = (taken = {}) => {
+    const queries = [];
+    return {
+        queries,
+        async findOne(options) {
+            queries.push(options);
+            const { slug, id } = options.where;
+            const existingId = taken[slug];
+            if (existingId === undefined || (id && id[Op.ne] === existingId)) {
+                return null;
+            }
+            return { id: existingId };
+        },
+    };
+};
+
+describe('utils/slug', () => {
+    describe('slugify', () => {
+        it('转为小写，非字母数字替换为连字符', () => {
+            assert.equal(slugify('  Hello, World!  '), 'hello-world');
+            assert.equal(slugify('Node.js 入门 & 实践'), 'node-js-入门-实践');
+            assert.equal(slugify('--a__b--'), 'a-b');
+        });
+
+        it('空值返回空字符串', () => {
+            assert.equal(slugify(''), '');
+            assert.equal(slugify(null), '');
+            assert.equal(slugify('!!!'), '');
+        });
+
+        it('截断到 80 个字符且不以连字符结尾', () => {
+            assert.equal(slugify('a'.repeat(100)), 'a'.repeat(80));
+            assert.equal(slugify(`${'a'.repeat(79)} b`), 'a'.repeat(79));
+        });
+    });
+
+    describe('transliterate', () => {
+        it('汉字转换为不带声调的拼音', () => {
+            assert.equal(transliterate('你好'), 'ni-hao');
+            assert.equal(slugify(transliterate('Node.js 入门')), 'node-js-ru-men');
+        });
+
+        it('不含汉字时原样返回', () => {
+            assert.equal(transliterate('Hello World'), 'Hello World');
+            assert.equal(transliterate(null), '');
+        });
+    });
+
+    describe('generateUniqueSlug', () => {
+        it('别名未被占用时直接返回', async () => {
+            const model = createModel();
+            assert.equal(await generateUniqueSlug(model, 'Hello World'), 'hello-world');
+            assert.equal(model.queries[0].paranoid, false);
+        });
+
+        it('重复时追加数字后缀', async () => {
+            const model = createModel({ 'hello-world': 1, 'hello-world-2': 2 });
+            assert.equal(await generateUniqueSlug(model, 'Hello World'), 'hello-world-3');
+        });
+
+        it('更新时排除自身', async () => {
+            const model = createModel({ 'hello-world': 1 });
+            assert.equal(await generateUniqueSlug(model, 'Hello World', { excludeId: 1 }), 'hello-world');
+            assert.equal(await generateUniqueSlug(model, 'Hello World', { excludeId: 2 }), 'hello-world-2');
+        });
+
+        it('额外的占用检查同样生效', async () => {
+            const model = createModel();
+            const isReserved = async slug => slug === 'hello-world';
+            assert.equal(await generateUniqueSlug(model, 'Hello World', { isReserved }), 'hello-world-2');
+        });
+
+        it('按需将汉字转换为拼音', async () => {
+            const model = createModel();
+            assert.equal(await generateUniqueSlug(model, '你好 世界', { transliterate: true }), 'ni-hao-shi-jie');
+            assert.equal(await generateUniqueSlug(model, '你好 世界'), '你好-世界');
+        });
+
+        it('无法生成别名时使用前缀', async () => {
+            const model = createModel();
+            assert.match(await generateUniqueSlug(model, '!!!', { fallback: 'tag' }), /^tag-[0-9a-z]+$/);
+        });
+
+        it('追加后缀后不超过 80 个字符', async () => {
+            const base = 'a'.repeat(80);
+            const taken = { [base]: 1 };
+            for (let suffix = 2; suffix <= 10; suffix++) {
+                taken[`${'a'.repeat(80 - `-${suffix}`.length)}-${suffix}`] = suffix;
+            }
+            const slug = await generateUniqueSlug(createModel(taken), base);
+            assert.equal(slug, `${'a'.repeat(77)}-11`);
+            assert.equal(slug.length, 80);
+        });
+
+        it('截短后不留下连续的连字符', async () => {
+            const base = `${'a'.repeat(77)}-bb`;
+            const slug = await generateUniqueSlug(createModel({ [base]: 1 }), base);
+            assert.equal(slug, `${'a'.repeat(77)}-2`);
+        });
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../../utils/totp');
+
+// RFC 6238 附录 B 的 SHA1 测试密钥 "12345678901234567890"（Base32 编码）
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('utils/totp', () => {
+    describe('generateCode', () => {
+        it('与 RFC 6238 测试向量一致（取后 6 位）', () => {
+            assert.equal(totp.generateCode(RFC_SECRET, totp.getCounter(59 * 1000)), '287082');
+            assert.equal(totp.generateCode(RFC_SECRET, totp.getCounter(1111111109 * 1000)), '081804');
+            assert.equal(totp.generateCode(RFC_SECRET, totp.getCounter(1234567890 * 1000)), '005924');
+            assert.equal(totp.generateCode(RFC_SECRET, totp.getCounter(2000000000 * 1000)), '279037');
+        });
+
+        it('密钥忽略大小写和空格', () => {
+            assert.equal(totp.generateCode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq', 1), totp.generateCode(RFC_SECRET, 1));
+        });
+    });
+
+    describe('generateSecret', () => {
+        it('生成 160 位 Base32 密钥', () => {
+            const secret = totp.generateSecret();
+            assert.match(secret, /^[A-Z2-7]{32}$/);
+            assert.notEqual(secret, totp.generateSecret());
+        });
+    });
+
+    describe('verifyCode', () => {
+        const now = 1111111109 * 1000;
+        const counter = totp.getCounter(now);
+
+        it('当前时间步的验证码返回时间步', t => {
+            t.mock.method(Date, 'now', () => now);
+            assert.equal(totp.verifyCode(RFC_SECRET, '081804'), counter);
+            assert.equal(totp.verifyCode(RFC_SECRET, ' 081 804 '), counter);
+        });
+
+        it('允许前后各 window 个时间步的偏差', t => {
+            t.mock.method(Date, 'now', () => now);
+            assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, counter - 1)), counter - 1);
+            assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, counter + 1)), counter + 1);
+            assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, counter + 2)), null);
+            assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, counter + 2), 2), counter + 2);
+            assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, counter - 1), 0), null);
+        });
+
+        it('格式错误或不匹配的验证码返回 null', t => {
+            t.mock.method(Date, 'now', () => now);
+            assert.equal(totp.verifyCode(RFC_SECRET, '000000'), null);
+            assert.equal(totp.verifyCode(RFC_SECRET, '08180'), null);
+            assert.equal(totp.verifyCode(RFC_SECRET, '0818044'), null);
+            assert.equal(totp.verifyCode(RFC_SECRET, 'abcdef'), null);
+            assert.equal(totp.verifyCode(RFC_SECRET, ''), null);
+            assert.equal(totp.verifyCode(RFC_SECRET, null), null);
+        });
+    });
+
+    describe('buildUri', () => {
+        it('生成 otpauth URI', () => {
+            const uri = totp.buildUri({ secret: RFC_SECRET, account: 'admin', issuer: '博客' });
+            const url = new URL(uri);
+            assert.equal(url.protocol, 'otpauth:');
+            assert.equal(url.host, 'totp');
+            assert.equal(decodeURIComponent(url.pathname), '/博客:admin');
+            assert.equal(url.searchParams.get('secret'), RFC_SECRET);
+            assert.equal(url.searchParams.get('issuer'), '博客');
+            assert.equal(url.searchParams.get('digits'), '6');
+            assert.equal(url.searchParams.get('period'), '30');
+        });
+    });
+});
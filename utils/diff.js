@@ -0,0 +1,165 @@
+// 编辑距离上限，超过后不再逐行比较，直接视为整段替换（避免超大改动占用过多内存）
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * 按行拆分文本
+ * @param {string} text - 文本
+ * @returns {string[]} 行列表
+ */
+const splitLines = text => {
+    if (text === null || text === undefined || text === '') {
+        return [];
+    }
+    return String(text).split(/\r?\n/);
+};
+
+/**
+ * Myers 差异算法，求两组行之间的最短编辑序列
+ * @param {string[]} a - 旧行列表
+ * @param {string[]} b - 新行列表
+ * @returns {Array|null} 编辑操作列表，超过编辑距离上限时返回 null
+ */
+const shortestEdit = (a, b) => {
+    const n = a.length;
+    const m = b.length;
+    // trace[d] 记录第 d 步时各对角线 k（-d..d）能到达的最远 x
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(n + m, MAX_EDIT_DISTANCE); d++) {
+        const prev = trace[d - 1];
+        const current = new Int32Array(2 * d + 1);
+
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (d === 0) {
+                x = 0;
+            } else if (k === -d || (k !== d && prev[k - 1 + d - 1] < prev[k + 1 + d - 1])) {
+                x = prev[k + 1 + d - 1]; // 向下移动：插入一行
+            } else {
+                x = prev[k - 1 + d - 1] + 1; // 向右移动：删除一行
+            }
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            current[k + d] = x;
+
+            if (x >= n && y >= m) {
+                trace.push(current);
+                return backtrack(a, b, trace);
+            }
+        }
+        trace.push(current);
+    }
+
+    return null;
+};
+
+/**
+ * 根据 trace 回溯出编辑操作
+ * @param {string[]} a - 旧行列表
+ * @param {string[]} b - 新行列表
+ * @param {Int32Array[]} trace - 每一步的最远到达位置
+ * @returns {Array} 编辑操作列表
+ */
+const backtrack = (a, b, trace) => {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const prev = trace[d - 1];
+        const k = x - y;
+        const down = k === -d || (k !== d && prev[k - 1 + d - 1] < prev[k + 1 + d - 1]);
+        const prevK = down ? k + 1 : k - 1;
+        const prevX = prev[prevK + d - 1];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', oldIndex: x - 1, newIndex: y - 1 });
+            x--;
+            y--;
+        }
+        if (down) {
+            ops.push({ type: 'added', newIndex: y - 1 });
+        } else {
+            ops.push({ type: 'removed', oldIndex: x - 1 });
+        }
+        x = prevX;
+        y = prevY;
+    }
+    while (x > 0 && y > 0) {
+        ops.push({ type: 'equal', oldIndex: x - 1, newIndex: y - 1 });
+        x--;
+        y--;
+    }
+
+    return ops.reverse();
+};
+
+/**
+ * 逐行比较两段文本
+ * @param {string} oldText - 旧文本
+ * @param {string} newText - 新文本
+ * @returns {Array<Object>} 差异行列表，每行包含 type（equal/added/removed）、content 以及新旧行号
+ */
+const diffLines = (oldText, newText) => {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    // 先去掉相同的首尾部分，缩小比较范围
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    let ops = shortestEdit(middleA, middleB);
+    if (!ops) {
+        ops = [
+            ...middleA.map((line, index) => ({ type: 'removed', oldIndex: index })),
+            ...middleB.map((line, index) => ({ type: 'added', newIndex: index })),
+        ];
+    }
+
+    const lines = [];
+    for (let i = 0; i < start; i++) {
+        lines.push({ type: 'equal', content: a[i], oldLine: i + 1, newLine: i + 1 });
+    }
+    ops.forEach(op => {
+        if (op.type === 'added') {
+            lines.push({ type: 'added', content: middleB[op.newIndex], newLine: start + op.newIndex + 1 });
+        } else if (op.type === 'removed') {
+            lines.push({ type: 'removed', content: middleA[op.oldIndex], oldLine: start + op.oldIndex + 1 });
+        } else {
+            lines.push({
+                type: 'equal',
+                content: middleA[op.oldIndex],
+                oldLine: start + op.oldIndex + 1,
+                newLine: start + op.newIndex + 1,
+            });
+        }
+    });
+    for (let i = 0; i < a.length - endA; i++) {
+        lines.push({
+            type: 'equal',
+            content: a[endA + i],
+            oldLine: endA + i + 1,
+            newLine: endB + i + 1,
+        });
+    }
+
+    return lines;
+};
+
+module.exports = {
+    diffLines,
+};
@@ -0,0 +1,196 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+const environment = require('../config/environment');
+const { slugify } = require('./slug');
+
+const markdownConfig = environment.get('markdown');
+
+// 中日韩文字按字计数，其余按单词计数
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+const md = new MarkdownIt({
+    html: false, // 不允许内嵌原始 HTML
+    linkify: true,
+    typographer: false,
+    highlight: (code, lang) => {
+        // 只输出高亮所需的 class，由前端按语言着色
+        const language = md.utils.escapeHtml((lang || '').trim().split(/\s+/)[0].toLowerCase());
+        const langClass = language ? ` language-${language}` : '';
+        const dataLang = language ? ` data-lang="${language}"` : '';
+        return `<pre class="code-block"${dataLang}><code class="hljs${langClass}">${md.utils.escapeHtml(code)}</code></pre>`;
+    },
+});
+
+const SANITIZE_OPTIONS = {
+    allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img'],
+    allowedAttributes: {
+        a: ['href', 'title', 'target', 'rel'],
+        img: ['src', 'alt', 'title'],
+        pre: ['class', 'data-lang'],
+        code: ['class'],
+        h1: ['id'],
+        h2: ['id'],
+        h3: ['id'],
+        h4: ['id'],
+        h5: ['id'],
+        h6: ['id'],
+        th: ['style'],
+        td: ['style'],
+    },
+    allowedClasses: {
+        pre: ['code-block'],
+        code: ['hljs', 'language-*'],
+    },
+    allowedStyles: {
+        th: { 'text-align': [/^(left|right|center)$/] },
+        td: { 'text-align': [/^(left|right|center)$/] },
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowProtocolRelative: false,
+    transformTags: {
+        // 外部链接在新窗口打开，并避免目标页面获取 window.opener
+        a: (tagName, attribs) => {
+            if (/^https?:\/\//i.test(attribs.href || '')) {
+                return { tagName, attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer nofollow' } };
+            }
+            return { tagName, attribs };
+        },
+    },
+};
+
+/**
+ * 为标题生成锚点ID并收集目录
+ * @param {Array} tokens - markdown-it 解析得到的 token 列表
+ * @returns {Array<Object>} 目录项列表（level、text、id）
+ */
+const buildHeadingAnchors = tokens => {
+    const toc = [];
+    const usedIds = new Map();
+
+    tokens.forEach((token, index) => {
+        if (token.type !== 'heading_open') {
+            return;
+        }
+        const inline = tokens[index + 1];
+        const text = inline.children
+            .filter(child => child.type === 'text' || child.type === 'code_inline')
+            .map(child => child.content)
+            .join('')
+            .trim();
+
+        // 同名标题追加序号，保证锚点唯一
+        const base = slugify(text) || 'section';
+        const count = usedIds.get(base) || 0;
+        usedIds.set(base, count + 1);
+        const id = count === 0 ? base : `${base}-${count + 1}`;
+
+        token.attrSet('id', id);
+        toc.push({ level: Number(token.tag.slice(1)), text, id });
+    });
+
+    return toc;
+};
+
+/**
+ * 提取纯文本（正文和代码分开，代码不参与摘要生成）
+ * @param {Array} tokens - markdown-it 解析得到的 token 列表
+ * @returns {{ prose: string, code: string }}
+ */
+const extractText = tokens => {
+    const prose = [];
+    const code = [];
+
+    tokens.forEach(token => {
+        if (token.type === 'inline') {
+            prose.push(
+                token.children
+                    .filter(child => child.type === 'text' || child.type === 'code_inline')
+                    .map(child => child.content)
+                    .join('')
+            );
+        } else if (token.type === 'fence' || token.type === 'code_block') {
+            code.push(token.content);
+        }
+    });
+
+    return { prose: prose.join('\n'), code: code.join('\n') };
+};
+
+/**
+ * 统计字数：中日韩文字按字计数，其余语言按单词计数
+ * @param {string} text - 纯文本
+ * @returns {{ cjk: number, words: number }}
+ */
+const countWords = text => {
+    const cjk = (text.match(CJK_PATTERN) || []).length;
+    const words = (text.replace(CJK_PATTERN, ' ').match(WORD_PATTERN) || []).length;
+    return { cjk, words };
+};
+
+/**
+ * 估算阅读时间（分钟，至少 1 分钟）
+ * @param {{ cjk: number, words: number }} counts - 字数统计
+ * @returns {number}
+ */
+const estimateReadingTime = ({ cjk, words }) => {
+    if (cjk === 0 && words === 0) {
+        return 0;
+    }
+    const minutes = cjk / markdownConfig.cjkCharsPerMinute + words / markdownConfig.wordsPerMinute;
+    return Math.max(1, Math.ceil(minutes));
+};
+
+/**
+ * 从纯文本生成摘要
+ * @param {string} text - 纯文本
+ * @param {number} [length] - 摘要最大长度
+ * @returns {string}
+ */
+const excerpt = (text, length = markdownConfig.summaryLength) => {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+    const chars = Array.from(normalized);
+    if (chars.length <= length) {
+        return normalized;
+    }
+    return `${chars.slice(0, length).join('').trim()}…`;
+};
+
+/**
+ * 将 Markdown 渲染为安全的 HTML，并生成目录、阅读时间和默认摘要
+ * @param {string} markdown - Markdown 原文
+ * @returns {{ html: string, toc: Array, wordCount: number, readingTime: number, summary: string }}
+ */
+const render = markdown => {
+    const env = {};
+    const tokens = md.parse(String(markdown || ''), env);
+    const toc = buildHeadingAnchors(tokens);
+    const html = sanitizeHtml(md.renderer.render(tokens, md.options, env), SANITIZE_OPTIONS);
+
+    const { prose, code } = extractText(tokens);
+    const counts = countWords(`${prose}\n${code}`);
+
+    return {
+        html,
+        toc,
+        wordCount: counts.cjk + counts.words,
+        readingTime: estimateReadingTime(counts),
+        summary: excerpt(prose),
+    };
+};
+
+/**
+ * 将 Markdown 转换为纯文本（用于搜索摘要等场景）
+ * @param {string} markdown - Markdown 原文
+ * @returns {string}
+ */
+const toPlainText = markdown => {
+    const { prose, code } = extractText(md.parse(String(markdown || ''), {}));
+    return [prose, code].filter(Boolean).join('\n');
+};
+
+module.exports = {
+    render,
+    excerpt,
+    toPlainText,
+};
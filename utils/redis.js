@@ -276,8 +276,10 @@ class RedisManager {
     /**
      * 批量删除键（支持模式匹配）
      * @param {string} pattern - 键模式
+     * @param {Object} [options] - 选项
+     * @param {boolean} [options.throwOnError] - 失败时抛出错误（删除失败会带来安全问题时使用，如撤销登录会话）
      */
-    async deletePattern(pattern) {
+    async deletePattern(pattern, options = {}) {
         try {
             if (!this.isReady()) {
                 await this.connect();
@@ -292,6 +294,9 @@ class RedisManager {
             return await this.client.del(keys);
         } catch (error) {
             logger.error(`Redis 批量删除操作失败 [${pattern}]:`, error);
+            if (options.throwOnError) {
+                throw error;
+            }
             return 0;
         }
     }
@@ -313,6 +318,162 @@ class RedisManager {
         }
     }
 
+    /**
+     * 键不存在时才设置（原子操作）
+     * @param {string} key - 键
+     * @param {any} value - 值
+     * @param {number} ttl - 过期时间（秒）
+     * @returns {Promise<boolean>} 是否设置成功
+     */
+    async setNX(key, value, ttl) {
+        try {
+            if (!this.isReady()) {
+                await this.connect();
+            }
+
+            const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
+            return (await this.client.set(key, stringValue, 'EX', ttl, 'NX')) === 'OK';
+        } catch (error) {
+            logger.error(`Redis SETNX 操作失败 [${key}]:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * 哈希字段自增
+     * @param {string} key - 键
+     * @param {string} field - 字段
+     * @param {number} increment - 增量
+     * @returns {Promise<number|null>} 自增后的值
+     */
+    async hincrby(key, field, increment = 1) {
+        try {
+            if (!this.isReady()) {
+                await this.connect();
+            }
+
+            return await this.client.hincrby(key, field, increment);
+        } catch (error) {
+            logger.error(`Redis HINCRBY 操作失败 [${key}]:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * 获取哈希字段值
+     * @param {string} key - 键
+     * @param {string} field - 字段
+     * @returns {Promise<string|null>}
+     */
+    async hget(key, field) {
+        try {
+            if (!this.isReady()) {
+                await this.connect();
+            }
+
+            return await this.client.hget(key, field);
+        } catch (error) {
+            logger.error(`Redis HGET 操作失败 [${key}]:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * 获取哈希全部字段
+     * @param {string} key - 键
+     * @returns {Promise<Object>}
+     */
+    async hgetall(key) {
+        try {
+            if (!this.isReady()) {
+                await this.connect();
+            }
+
+            return await this.client.hgetall(key);
+        } catch (error) {
+            logger.error(`Redis HGETALL 操作失败 [${key}]:`, error);
+            return {};
+        }
+    }
+
+    /**
+     * 删除哈希字段
+     * @param {string} key - 键
+     * @param {string|string[]} fields - 字段或字段数组
+     * @returns {Promise<number>} 删除的字段数
+     */
+    async hdel(key, fields) {
+        try {
+            if (!this.isReady()) {
+                await this.connect();
+            }
+
+            return await this.client.hdel(key, ...[].concat(fields));
+        } catch (error) {
+            logger.error(`Redis HDEL 操作失败 [${key}]:`, error);
+            return 0;
+        }
+    }
+
+    /**
+     * 目标键不存在时重命名键（原子操作）
+     * @param {string} key - 原键
+     * @param {string} newKey - 新键
+     * @returns {Promise<boolean>} 是否重命名成功（原键不存在或新键已存在时返回 false）
+     */
+    async renamenx(key, newKey) {
+        try {
+            if (!this.isReady()) {
+                await this.connect();
+            }
+
+            if (!(await this.client.exists(key))) {
+                return false;
+            }
+            return (await this.client.renamenx(key, newKey)) === 1;
+        } catch (error) {
+            logger.error(`Redis RENAMENX 操作失败 [${key}]:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * 获取分布式锁
+     * @param {string} key - 锁的键
+     * @param {number} ttl - 锁的过期时间（秒），防止持有者异常退出后死锁
+     * @returns {Promise<string|null>} 锁令牌，获取失败返回 null
+     */
+    async acquireLock(key, ttl = 30) {
+        const token = `${process.pid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+        const acquired = await this.setNX(key, token, ttl);
+        return acquired ? token : null;
+    }
+
+    /**
+     * 释放分布式锁（仅当锁仍由当前令牌持有时才删除）
+     * @param {string} key - 锁的键
+     * @param {string} token - 获取锁时返回的令牌
+     * @returns {Promise<boolean>} 是否释放成功
+     */
+    async releaseLock(key, token) {
+        try {
+            if (!this.isReady()) {
+                await this.connect();
+            }
+
+            const script = `
+                if redis.call('get', KEYS[1]) == ARGV[1] then
+                    return redis.call('del', KEYS[1])
+                end
+                return 0
+            `;
+            return (await this.client.eval(script, 1, key, token)) === 1;
+        } catch (error) {
+            logger.error(`Redis 释放锁失败 [${key}]:`, error);
+            return false;
+        }
+    }
+
     /**
      * 缓存包装器 - 如果缓存中有数据则返回，否则执行回调并缓存结果
      * @param {string} key - 缓存键
@@ -75,6 +75,18 @@ class PaginatedResponse extends SuccessResponse {
     }
 }
 
+/**
+ * 业务错误类
+ * 服务层抛出时携带HTTP状态码，由全局错误处理中间件转换为对应的错误响应
+ */
+class BusinessError extends Error {
+    constructor(message = '操作失败', statusCode = 400) {
+        super(message);
+        this.name = 'BusinessError';
+        this.statusCode = statusCode;
+    }
+}
+
 /**
  * 创建成功响应
  * @param {*} data - 响应数据
@@ -346,6 +358,7 @@ module.exports = {
     SuccessResponse,
     ErrorResponse,
     PaginatedResponse,
+    BusinessError,
 
     // 响应方法
     success,
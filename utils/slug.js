@@ -0,0 +1,78 @@
+const { Op } = require('sequelize');
+const { pinyin } = require('pinyin-pro');
+
+// 汉字
+const HAN_PATTERN = /\p{Script=Han}/u;
+// 别名最大长度（与各模型 slug 字段的 STRING(80) 一致）
+const MAX_LENGTH = 80;
+
+/**
+ * 将文本转换为 URL 友好的别名
+ * 保留字母（含中文）和数字，其余字符统一替换为连字符
+ * @param {string} text - 原始文本
+ * @returns {string} 别名
+ */
+const slugify = text => {
+    return String(text || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, MAX_LENGTH)
+        .replace(/-+$/, '');
+};
+
+/**
+ * 将文本中的汉字转换为拼音（不带声调，每个字之间以连字符分隔），其他字符保持不变
+ * @param {string} text - 原始文本
+ * @returns {string} 转换后的文本
+ */
+const transliterate = text => {
+    const value = String(text || '');
+    if (!HAN_PATTERN.test(value)) {
+        return value;
+    }
+    return pinyin(value, { toneType: 'none', type: 'array', nonZh: 'consecutive' }).join('-');
+};
+
+/**
+ * 生成模型内唯一的别名，重复时追加数字后缀（如 node-2）
+ * @param {Object} model - Sequelize 模型
+ * @param {string} text - 用于生成别名的文本
+ * @param {Object} [options] - 选项
+ * @param {number} [options.excludeId] - 排除的记录ID（更新时排除自身）
+ * @param {string} [options.fallback] - 文本无法生成别名时使用的前缀
+ * @param {boolean} [options.transliterate] - 是否将汉字转换为拼音
+ * @param {Function} [options.isReserved] - 额外的占用检查 async (slug) => boolean（如历史别名）
+ * @param {Object} [options.transaction] - 事务
+ * @returns {Promise<string>} 唯一别名
+ */
+const generateUniqueSlug = async (model, text, options = {}) => {
+    const { excludeId, fallback = 'item', transaction, isReserved } = options;
+    const base =
+        slugify(options.transliterate ? transliterate(text) : text) || `${fallback}-${Date.now().toString(36)}`;
+
+    let slug = base;
+    let suffix = 1;
+    while (true) {
+        const where = { slug };
+        if (excludeId) {
+            where.id = { [Op.ne]: excludeId };
+        }
+        // 回收站中（软删除）的记录同样占用别名，保证恢复时不冲突
+        const existing = await model.findOne({ where, attributes: ['id'], transaction, paranoid: false });
+        if (!existing && !(isReserved && (await isReserved(slug)))) {
+            return slug;
+        }
+        suffix++;
+        // 截短基础部分，保证追加后缀后不超过字段长度
+        const tail = `-${suffix}`;
+        slug = `${base.substring(0, MAX_LENGTH - tail.length).replace(/-+$/, '')}${tail}`;
+    }
+};
+
+module.exports = {
+    slugify,
+    transliterate,
+    generateUniqueSlug,
+};
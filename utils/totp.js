@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+// Base32 字母表（RFC 4648）
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// 时间步长（秒）
+const STEP = 30;
+// 验证码位数
+const DIGITS = 6;
+
+/**
+ * Base32 编码（不带填充）
+ * @param {Buffer} buffer - 原始数据
+ * @returns {string}
+ */
+const base32Encode = buffer => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Base32 解码（忽略大小写、空格和填充）
+ * @param {string} text - Base32 文本
+ * @returns {Buffer}
+ */
+const base32Decode = text => {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`无效的 Base32 字符: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * 生成 TOTP 密钥（160 位，Base32 编码）
+ * @returns {string}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * 计算指定时间步的验证码（RFC 4226 / RFC 6238，HMAC-SHA1）
+ * @param {string} secret - Base32 密钥
+ * @param {number} counter - 时间步
+ * @returns {string} 6 位验证码
+ */
+const generateCode = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * 获取当前时间步
+ * @param {number} [time] - 时间戳（毫秒）
+ * @returns {number}
+ */
+const getCounter = (time = Date.now()) => Math.floor(time / 1000 / STEP);
+
+/**
+ * 校验验证码，允许前后各 window 个时间步的时钟偏差
+ * @param {string} secret - Base32 密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {number} [window] - 允许偏差的时间步数
+ * @returns {number|null} 匹配的时间步，不匹配时返回 null
+ */
+const verifyCode = (secret, code, window = 1) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+    const current = getCounter();
+    for (let offset = -window; offset <= window; offset++) {
+        const expected = generateCode(secret, current + offset);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return current + offset;
+        }
+    }
+    return null;
+};
+
+/**
+ * 生成身份验证器应用使用的 otpauth URI
+ * @param {Object} options - 选项
+ * @param {string} options.secret - Base32 密钥
+ * @param {string} options.account - 账号名称（如用户名）
+ * @param {string} options.issuer - 签发方（如站点名称）
+ * @returns {string}
+ */
+const buildUri = ({ secret, account, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    getCounter,
+    verifyCode,
+    buildUri,
+};